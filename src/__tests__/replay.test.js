@@ -0,0 +1,165 @@
+/**
+ * @jest-environment jsdom
+ */
+// 세션 재생 샌드박스 테스트 (src/__tests__/replay.test.js)
+
+import DOMSerializer from '../core/snapshot';
+import '../replay';
+
+// 별도 문서에서 스냅샷과 DOM 변경 이벤트를 기록
+function createRecording(html) {
+  const source = document.implementation.createHTMLDocument('');
+  source.body.innerHTML = html;
+
+  const serializer = new DOMSerializer();
+  const domSnapshot = serializer.takeSnapshot(source);
+  const observer = new MutationObserver(() => {});
+  observer.observe(source.documentElement, {
+    childList: true,
+    subtree: true,
+    attributes: true,
+    characterData: true
+  });
+
+  const events = [];
+  // 이벤트마다 기록 시점의 원본 body (탐색 결과 비교용)
+  const bodies = [source.body.innerHTML];
+
+  return {
+    source,
+    serializer,
+    events,
+    bodies,
+    record(change) {
+      change(source);
+      events.push({
+        type: 'dom-mutation',
+        timestamp: events.length,
+        mutations: serializer.serializeMutations(observer.takeRecords())
+      });
+      bodies.push(source.body.innerHTML);
+    },
+    session() {
+      observer.disconnect();
+      return { sessionId: 'test', startTime: 0, domSnapshot, events };
+    }
+  };
+}
+
+function createReplayer(recording, options = {}) {
+  const replayer = new window.SessionReplayer({ mode: 'sandbox', showProgress: false, ...options });
+  replayer.loadSession(recording.session());
+  return replayer;
+}
+
+function sandboxBody(replayer) {
+  return replayer.sandboxFrame.contentDocument.body;
+}
+
+describe('SessionReplayer 샌드박스', () => {
+  let replayer;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    // jsdom은 window.scrollTo를 구현하지 않아 오류를 출력함
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    if (replayer) replayer.destroy();
+    replayer = null;
+    document.body.innerHTML = '';
+    jest.restoreAllMocks();
+  });
+
+  test('스냅샷으로 문서를 재구성', () => {
+    const recording = createRecording('<main id="app"><p class="lead">결제</p></main>');
+    replayer = createReplayer(recording);
+    replayer.rebuildSandbox(replayer.sessionData.domSnapshot);
+
+    expect(sandboxBody(replayer).innerHTML).toBe(recording.bodies[0]);
+    expect(replayer.sandboxFrame.getAttribute('sandbox')).toBe('allow-same-origin');
+  });
+
+  test('이미 있는 ID를 다시 삽입하면 기존 노드를 교체', () => {
+    const recording = createRecording('<main id="app"><p>결제</p></main><aside></aside>');
+    const paragraph = recording.source.querySelector('p');
+    const aside = recording.source.querySelector('aside');
+    const paragraphNode = recording.serializer.serializeNode(paragraph);
+    replayer = createReplayer(recording);
+    replayer.rebuildSandbox(replayer.sessionData.domSnapshot);
+
+    replayer.replayDOMMutation({
+      mutations: [{
+        op: 'insert',
+        parentId: recording.serializer.getId(aside),
+        nextSiblingId: null,
+        node: paragraphNode
+      }]
+    });
+
+    const body = sandboxBody(replayer);
+    expect(body.querySelectorAll('p')).toHaveLength(1);
+    expect(body.querySelector('aside > p')).not.toBeNull();
+    expect(replayer.sandboxNodes.get(paragraphNode.id)).toBe(body.querySelector('p'));
+  });
+
+  test('기록된 DOM 변경을 순서대로 재생하면 원본과 같음', () => {
+    const recording = createRecording('<main id="app"><p>결제</p></main><aside></aside>');
+    recording.record(doc => {
+      const form = doc.createElement('form');
+      doc.getElementById('app').appendChild(form);
+      form.innerHTML = '<input name="card"><button>결제</button>';
+    });
+    recording.record(doc => doc.querySelector('aside').appendChild(doc.querySelector('p')));
+    recording.record(doc => {
+      doc.querySelector('form').setAttribute('action', '/pay');
+      doc.querySelector('p').firstChild.data = '옮긴 문단';
+    });
+    recording.record(doc => doc.querySelector('button').remove());
+    replayer = createReplayer(recording);
+    replayer.rebuildSandbox(replayer.sessionData.domSnapshot);
+
+    replayer.events.forEach(event => replayer.replayEvent(event));
+    expect(sandboxBody(replayer).innerHTML).toBe(recording.bodies[recording.bodies.length - 1]);
+  });
+
+  test('체크포인트를 거쳐 앞뒤로 탐색해도 각 시점의 문서와 같음', () => {
+    const recording = createRecording('<ul id="list"></ul>');
+    for (let i = 0; i < 5; i++) {
+      recording.record(doc => {
+        const item = doc.createElement('li');
+        item.textContent = `항목 ${i}`;
+        doc.getElementById('list').insertBefore(item, doc.getElementById('list').firstChild);
+      });
+    }
+    recording.record(doc => doc.getElementById('list').lastChild.remove());
+    replayer = createReplayer(recording, { checkpointInterval: 2 });
+
+    [6, 1, 4, 0, 3].forEach(index => {
+      replayer.restoreToIndex(index);
+      expect(sandboxBody(replayer).innerHTML).toBe(recording.bodies[index]);
+    });
+    expect(replayer.checkpoints.map(checkpoint => checkpoint.index)).toEqual([0, 2, 4, 6]);
+  });
+
+  test('복제한 DOM은 노드 ID를 유지하고 복원 후에도 변경을 적용', () => {
+    const recording = createRecording('<main id="app"><p>결제</p></main>');
+    recording.record(doc => doc.querySelector('p').setAttribute('class', 'done'));
+    replayer = createReplayer(recording);
+    replayer.rebuildSandbox(replayer.sessionData.domSnapshot);
+
+    const paragraphId = recording.serializer.getId(recording.source.querySelector('p'));
+    const dom = replayer.cloneSandboxDOM();
+    const clonedParagraph = dom.root.querySelector('p');
+    expect(dom.ids.get(clonedParagraph)).toBe(paragraphId);
+
+    replayer.restoreSandboxDOM(dom);
+    const restoredParagraph = sandboxBody(replayer).querySelector('p');
+    expect(restoredParagraph).not.toBe(clonedParagraph);
+    expect(replayer.sandboxNodes.get(paragraphId)).toBe(restoredParagraph);
+
+    replayer.replayEvent(replayer.events[0]);
+    expect(restoredParagraph.getAttribute('class')).toBe('done');
+  });
+});
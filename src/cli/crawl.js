@@ -0,0 +1,411 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const puppeteer = require('puppeteer');
+const ScriptInventory = require('../shared/inventory');
+
+// 페이지 감사 크롤러 (src/cli/crawl.js)
+// 헤드리스 Chromium에서 페이지 스크립트보다 먼저 WebForensic 번들을 주입하고,
+// URL마다 기록, HAR, 스크린샷, DOM 스냅샷, 판정 요약을 증거 묶음 디렉터리로 저장
+//
+// 사용법: node src/cli/crawl.js [옵션] <url...>
+//   --urls <파일>        한 줄에 URL 하나 (#으로 시작하는 줄은 무시)
+//   --out <디렉터리>     증거 묶음 저장 위치 (기본: data/crawl/<시각>)
+//   --bundle <파일>      주입할 번들 (기본: dist/web-forrensic.js)
+//   --checkout <모듈>    페이지 로드 후 실행할 결제 흐름 (async (page, context) => {})
+//   --config <파일>      WebForensic 옵션 JSON (allowedDomains, maskingPolicy 등)
+//   --timeout <ms>       페이지 이동 제한 시간 (기본: 30000)
+//   --wait <ms>          흐름 실행 후 비동기 전송을 기다리는 시간 (기본: 2000)
+//   --threshold <점수>   의심 기록으로 볼 최소 위험도 (기본: 0.8)
+//   --baseline <파일>    스크립트 목록 기준선 (URL별 목록, 있으면 추가/삭제/변경된 스크립트를 보고)
+//   --update-baseline    비교하지 않고 이번 스크립트 목록으로 기준선 파일 갱신
+//   --no-sandbox         Chromium 샌드박스 끄기 (컨테이너/root 실행)
+//
+// 종료 코드: 0 모두 정상, 1 크롤링 실패 있음, 2 의심/악성 판정 있음
+
+// 하나만 있어도 악성으로 판정하는 기록 유형
+const MALICIOUS_TYPES = ['exfiltration-chain', 'covert-exfiltration'];
+
+// 요약에 남길 최대 스크립트 수
+const MAX_SUMMARY_SCRIPTS = 5;
+
+// 명령행 인자 해석
+function parseArgs(argv) {
+    const config = {
+        urls: [],
+        urlsFile: null,
+        outDir: null,
+        bundle: path.join(__dirname, '../../dist/web-forrensic.js'),
+        checkout: null,
+        configFile: null,
+        timeout: 30000,
+        wait: 2000,
+        threshold: 0.8,
+        baseline: null,
+        updateBaseline: false,
+        sandbox: true
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg} 옵션에 값이 없습니다.`);
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '--urls': config.urlsFile = next(); break;
+            case '--out': config.outDir = next(); break;
+            case '--bundle': config.bundle = next(); break;
+            case '--checkout': config.checkout = next(); break;
+            case '--config': config.configFile = next(); break;
+            case '--timeout': config.timeout = Number(next()); break;
+            case '--wait': config.wait = Number(next()); break;
+            case '--threshold': config.threshold = Number(next()); break;
+            case '--baseline': config.baseline = next(); break;
+            case '--update-baseline': config.updateBaseline = true; break;
+            case '--no-sandbox': config.sandbox = false; break;
+            default:
+                if (arg.startsWith('--')) throw new Error(`알 수 없는 옵션: ${arg}`);
+                config.urls.push(arg);
+        }
+    }
+
+    return config;
+}
+
+// URL 목록 파일 읽기
+async function readUrlsFile(file) {
+    const text = await fs.promises.readFile(file, 'utf8');
+    return text.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'));
+}
+
+// URL별 증거 묶음 디렉터리 이름 (순번-호스트-경로)
+function getBundleName(url, index) {
+    let name = url;
+    try {
+        const { hostname, pathname } = new URL(url);
+        name = `${hostname}${pathname}`;
+    } catch (error) {
+        // 잘못된 URL도 감사 실패 요약을 남길 수 있도록 원문으로 이름을 만듦 (오류는 감사 중에 기록)
+    }
+    const slug = name
+        .replace(/[^A-Za-z0-9.-]+/g, '_')
+        .replace(/_+$/, '')
+        .slice(0, 80);
+    return `${String(index + 1).padStart(2, '0')}-${slug}`;
+}
+
+// 새 문서마다 번들 다음에 실행되는 초기화 (브라우저에서 실행)
+function startForensic(options) {
+    // 최상위 문서만 감사 (iframe마다 별도 인스턴스가 생기지 않도록)
+    if (window !== window.top) return;
+
+    const start = () => {
+        const WebForensic = window.WebForensic.default || window.WebForensic;
+        window.__webForensic = new WebForensic(options);
+        window.__webForensic.start();
+    };
+
+    if (document.documentElement) {
+        start();
+        return;
+    }
+
+    // 문서 요소가 생기자마자 시작 (첫 페이지 스크립트 실행 전에 마이크로태스크로 처리됨)
+    const observer = new MutationObserver(() => {
+        if (!document.documentElement) return;
+        observer.disconnect();
+        start();
+    });
+    observer.observe(document, { childList: true });
+}
+
+// 페이지에서 증거 수집 (브라우저에서 실행)
+async function collectEvidence() {
+    const forensic = window.__webForensic;
+    if (!forensic) return null;
+
+    return {
+        inventory: await forensic.getScriptInventory(),
+        records: {
+            dom: forensic.getDOMRecords(),
+            network: forensic.getNetworkRecords(),
+            suspicious: forensic.suspiciousTracker.getRecords()
+        },
+        har: forensic.exportHar(),
+        domSnapshot: forensic.getDOMSnapshot(),
+        scripts: forensic.getScriptSummary()
+    };
+}
+
+// 페이지 스크립트 목록에 Puppeteer 스크립트 응답 반영
+// 교차 출처라 페이지에서 읽지 못한 스크립트의 해시를 채우고, DOM에 없던 스크립트 응답도 추가
+function mergeScriptResponses(inventory, responses) {
+    const { pageUrl } = inventory;
+    const contents = new Map();
+    responses.forEach(({ url, content }) => {
+        if (typeof content === 'string') {
+            contents.set(ScriptInventory.normalizeScriptUrl(url, pageUrl), content);
+        }
+    });
+
+    const scripts = inventory.scripts.map(entry => {
+        if (entry.inline || entry.integrity || !contents.has(entry.url)) return entry;
+        return ScriptInventory.createEntry({ url: entry.url, content: contents.get(entry.url), pageUrl });
+    });
+
+    const keys = new Set(scripts.map(entry => entry.key));
+    contents.forEach((content, url) => {
+        if (!keys.has(url)) scripts.push(ScriptInventory.createEntry({ url, content, pageUrl }));
+    });
+
+    return { ...inventory, scripts };
+}
+
+// 기준선 파일 읽기 ({ updatedAt, pages: URL -> 스크립트 목록 }, 없으면 빈 기준선)
+async function readBaseline(file) {
+    try {
+        return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return { updatedAt: null, pages: {} };
+        throw error;
+    }
+}
+
+// 증거로부터 판정 요약 생성 (clean / suspicious / malicious)
+function buildVerdict(url, evidence, threshold) {
+    const suspicious = evidence.records.suspicious;
+    const findings = suspicious.filter(record => record.severity >= threshold);
+
+    const findingsByType = {};
+    findings.forEach(record => {
+        findingsByType[record.type] = (findingsByType[record.type] || 0) + 1;
+    });
+
+    let verdict = 'clean';
+    if (findings.some(record => MALICIOUS_TYPES.includes(record.type))) {
+        verdict = 'malicious';
+    } else if (findings.length > 0) {
+        verdict = 'suspicious';
+    }
+
+    return {
+        url,
+        verdict,
+        maxSeverity: suspicious.reduce((max, record) => Math.max(max, record.severity || 0), 0),
+        findingCount: findings.length,
+        findingsByType,
+        recordCounts: {
+            dom: evidence.records.dom.length,
+            network: evidence.records.network.length,
+            suspicious: suspicious.length
+        },
+        scripts: evidence.scripts.slice(0, MAX_SUMMARY_SCRIPTS).map(script => ({
+            url: script.url,
+            maxSeverity: script.maxSeverity,
+            behaviors: script.behaviors
+        }))
+    };
+}
+
+// 파일 쓰기 (JSON은 사람이 읽을 수 있게 들여쓰기)
+async function writeJson(file, data) {
+    await fs.promises.writeFile(file, JSON.stringify(data, null, 2));
+}
+
+// URL 하나 감사
+async function crawlUrl(browser, url, index, context) {
+    const { config, bundleSource, checkout, forensicOptions } = context;
+    const bundleDir = path.join(config.outDir, getBundleName(url, index));
+    await fs.promises.mkdir(bundleDir, { recursive: true });
+
+    const page = await browser.newPage();
+    const startedAt = Date.now();
+    let dialogCount = 0;
+
+    // 스크립트 응답 본문 (페이지에서 읽을 수 없는 교차 출처 스크립트 해시용)
+    const scriptResponses = [];
+    page.on('response', response => {
+        if (response.request().resourceType() !== 'script') return;
+        scriptResponses.push(response.text()
+            .then(content => ({ url: response.url(), content }))
+            .catch(() => ({ url: response.url(), content: null })));
+    });
+
+    // 감지 알림(alert)과 페이지 대화상자가 실행을 막지 않도록 닫음
+    page.on('dialog', dialog => {
+        dialogCount++;
+        dialog.dismiss().catch(() => {});
+    });
+
+    try {
+        await page.evaluateOnNewDocument(bundleSource);
+        await page.evaluateOnNewDocument(startForensic, {
+            // 감사 대상 사이트 자신은 허용 도메인
+            ...forensicOptions,
+            allowedDomains: [new URL(url).hostname, ...(forensicOptions.allowedDomains || [])]
+        });
+
+        const response = await page.goto(url, { waitUntil: 'networkidle2', timeout: config.timeout });
+
+        if (checkout) {
+            console.log(`[Crawler] 결제 흐름 실행: ${url}`);
+            await checkout(page, { url, bundleDir });
+        }
+        await new Promise(resolve => setTimeout(resolve, config.wait));
+
+        const evidence = await page.evaluate(collectEvidence);
+        if (!evidence) {
+            throw new Error('페이지에서 WebForensic이 시작되지 않았습니다.');
+        }
+
+        const inventory = mergeScriptResponses(evidence.inventory, await Promise.all(scriptResponses));
+        const baselineInventory = context.baseline && !config.updateBaseline
+            ? context.baseline.pages[url]
+            : null;
+        let scriptDrift = null;
+        if (baselineInventory) {
+            const diff = ScriptInventory.compareInventories(baselineInventory, inventory);
+            ScriptInventory.toDriftFindings(diff).forEach(finding => {
+                evidence.records.suspicious.push({
+                    ...finding,
+                    timestamp: Date.now(),
+                    pageUrl: url,
+                    severity: ScriptInventory.getDriftSeverity(finding)
+                });
+            });
+            scriptDrift = {
+                added: diff.added.length,
+                removed: diff.removed.length,
+                modified: diff.modified.length,
+                unchanged: diff.unchanged
+            };
+        }
+
+        await page.screenshot({ path: path.join(bundleDir, 'screenshot.png'), fullPage: true });
+        await writeJson(path.join(bundleDir, 'scripts.json'), inventory);
+        await writeJson(path.join(bundleDir, 'records.json'), evidence.records);
+        await writeJson(path.join(bundleDir, 'network.har'), evidence.har);
+        await writeJson(path.join(bundleDir, 'dom-snapshot.json'), evidence.domSnapshot);
+
+        const summary = {
+            ...buildVerdict(url, evidence, config.threshold),
+            status: response ? response.status() : null,
+            finalUrl: page.url(),
+            scriptDrift,
+            dialogCount,
+            startedAt,
+            duration: Date.now() - startedAt
+        };
+        await writeJson(path.join(bundleDir, 'summary.json'), summary);
+        return { ...summary, bundleDir, inventory };
+    } catch (error) {
+        console.error(`[Crawler] 감사 실패: ${url}`, error);
+        const summary = {
+            url,
+            verdict: 'error',
+            error: error.message,
+            startedAt,
+            duration: Date.now() - startedAt
+        };
+        await writeJson(path.join(bundleDir, 'summary.json'), summary);
+        return { ...summary, bundleDir };
+    } finally {
+        await page.close().catch(() => {});
+    }
+}
+
+// URL 목록 감사 (URL별 요약 목록 반환, 전체 목록은 index.json으로 저장)
+async function crawl(config) {
+    const urls = [...config.urls];
+    if (config.urlsFile) {
+        urls.push(...await readUrlsFile(config.urlsFile));
+    }
+    if (urls.length === 0) {
+        throw new Error('감사할 URL이 없습니다.');
+    }
+
+    if (!fs.existsSync(config.bundle)) {
+        throw new Error(`번들을 찾을 수 없습니다: ${config.bundle} (npm run build 먼저 실행)`);
+    }
+
+    const outDir = config.outDir ||
+        path.join(process.cwd(), 'data', 'crawl', new Date().toISOString().replace(/[:.]/g, '-'));
+    await fs.promises.mkdir(outDir, { recursive: true });
+
+    const context = {
+        config: { ...config, outDir },
+        bundleSource: await fs.promises.readFile(config.bundle, 'utf8'),
+        checkout: config.checkout ? require(path.resolve(config.checkout)) : null,
+        forensicOptions: config.configFile
+            ? JSON.parse(await fs.promises.readFile(config.configFile, 'utf8'))
+            : {},
+        baseline: config.baseline ? await readBaseline(config.baseline) : null
+    };
+
+    const browser = await puppeteer.launch({
+        headless: true,
+        args: config.sandbox ? [] : ['--no-sandbox', '--disable-setuid-sandbox']
+    });
+
+    const results = [];
+    try {
+        // 한 번에 한 페이지씩 (기록이 서로 섞이지 않도록)
+        for (let i = 0; i < urls.length; i++) {
+            console.log(`[Crawler] 감사 중 (${i + 1}/${urls.length}): ${urls[i]}`);
+            const result = await crawlUrl(browser, urls[i], i, context);
+            console.log(`[Crawler] ${result.verdict}: ${urls[i]} -> ${result.bundleDir}`);
+            results.push(result);
+        }
+    } finally {
+        await browser.close();
+    }
+
+    // 감사에 성공한 URL의 스크립트 목록으로 기준선 갱신 (다른 URL의 기준선은 유지)
+    if (config.baseline && config.updateBaseline) {
+        results.filter(result => result.inventory).forEach(result => {
+            context.baseline.pages[result.url] = result.inventory;
+        });
+        context.baseline.updatedAt = new Date().toISOString();
+        await writeJson(config.baseline, context.baseline);
+        console.log(`[Crawler] 스크립트 기준선 갱신: ${config.baseline}`);
+    }
+
+    await writeJson(path.join(outDir, 'index.json'), {
+        crawledAt: new Date().toISOString(),
+        results: results.map(({ url, verdict, maxSeverity, findingCount, error, bundleDir }) => ({
+            url,
+            verdict,
+            maxSeverity,
+            findingCount,
+            error,
+            bundle: path.relative(outDir, bundleDir)
+        }))
+    });
+
+    return results;
+}
+
+// 명령행 실행
+async function main() {
+    try {
+        const results = await crawl(parseArgs(process.argv.slice(2)));
+        if (results.some(result => result.verdict === 'error')) {
+            process.exitCode = 1;
+        } else if (results.some(result => result.verdict !== 'clean')) {
+            process.exitCode = 2;
+        }
+    } catch (error) {
+        console.error('[Crawler]', error.message);
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { crawl, parseArgs, buildVerdict };
@@ -0,0 +1,31 @@
+// shop_test 결제 흐름 (src/cli/flows/shop-checkout.js)
+// crawl.js --checkout 으로 실행: 주문자/배송지/카드 정보를 입력하고 결제 버튼 클릭
+// 카드 번호는 결제망에서 쓰이지 않는 테스트 번호
+
+// 입력할 필드 (선택자 -> 값)
+const FIELDS = [
+    ['#username1', '홍길동'],
+    ['#email', 'buyer@example.com'],
+    ['#phone1', '010-1234-5678'],
+    ['#address1', '06236'],
+    ['#address1-2', '서울특별시 강남구 테헤란로 123'],
+    ['#username2', '홍길동'],
+    ['#phone2', '010-1234-5678'],
+    ['#address2', '06236'],
+    ['#address2-2', '서울특별시 강남구 테헤란로 123'],
+    ['#usepoint', '1000'],
+    ['#cardnum', '4111 1111 1111 1111'],
+    ['#mmyy', '12/30'],
+    ['#cvc', '123']
+];
+
+module.exports = async function shopCheckout(page) {
+    for (const [selector, value] of FIELDS) {
+        if (await page.$(selector)) {
+            await page.type(selector, value);
+        }
+    }
+
+    await page.click('#agree');
+    await page.click('#payButton');
+};
@@ -0,0 +1,52 @@
+// 유출 흐름 상관 분석 테스트 (src/core/__tests__/correlation.test.js)
+
+import ExfiltrationCorrelator from '../correlation';
+import MaskingEngine from '../../shared/masking';
+
+const CARD = '4111 1111 1111 1111';
+
+// 읽기 → 변환 → 전송까지 이어진 체인 사건
+function runChain(correlator) {
+  const now = Date.now();
+  const encoded = Buffer.from(CARD.replace(/ /g, '')).toString('base64');
+
+  correlator.trackRead(CARD, { type: 'value-access', seq: 1, timestamp: now, severity: 0.5 });
+  correlator.trackTransform(CARD.replace(/ /g, ''), encoded, { type: 'encoding-attempt', seq: 2, timestamp: now, severity: 0.6 });
+
+  const flows = correlator.findFlows([`d=${encoded}`]);
+  return correlator.trackSend(flows, {
+    type: 'sensitive-network',
+    seq: 3,
+    timestamp: now + 10,
+    severity: 0.8,
+    url: 'https://evil.example/c'
+  }, 'evil.example');
+}
+
+describe('ExfiltrationCorrelator', () => {
+  test('읽은 값이 변환되어 전송되면 체인 사건 생성', () => {
+    const [incident] = runChain(new ExfiltrationCorrelator());
+
+    expect(incident).toMatchObject({
+      type: 'exfiltration-chain',
+      stages: ['read', 'encode', 'send'],
+      destination: 'evil.example',
+      records: [
+        { type: 'value-access', seq: 1 },
+        { type: 'encoding-attempt', seq: 2 },
+        { type: 'sensitive-network', seq: 3 }
+      ]
+    });
+    expect(JSON.stringify(incident)).not.toContain('4111');
+  });
+
+  test('지문은 마스킹 엔진의 솔트 해시 (솔트 없는 해시를 남기지 않음)', () => {
+    const masking = new MaskingEngine({ maskingPolicy: { hashSalt: 'session-a' } });
+    const [incident] = runChain(new ExfiltrationCorrelator({ maskingEngine: masking }));
+    const [other] = runChain(new ExfiltrationCorrelator({ maskingPolicy: { hashSalt: 'session-b' } }));
+
+    expect(incident.fingerprint).toBe(masking.hash(CARD));
+    expect(incident.fingerprint).not.toContain(MaskingEngine.sha256Hex(CARD).slice(0, 16));
+    expect(other.fingerprint).not.toBe(incident.fingerprint);
+  });
+});
@@ -0,0 +1,116 @@
+// 사용자 정의 감지기 등록 테스트 (src/core/__tests__/detectors.test.js)
+
+import DetectorRegistry from '../detectors';
+
+// 테스트에서 등록한 감지기 이름 (끝나면 등록 해제)
+const registered = [];
+
+function register(definition) {
+  DetectorRegistry.register(definition);
+  registered.push(definition.name);
+}
+
+// 보고된 기록을 모으는 레지스트리
+function createRegistry(options = {}) {
+  const findings = [];
+  const registry = new DetectorRegistry(options, finding => {
+    findings.push(finding);
+    return finding;
+  });
+  return { registry, findings };
+}
+
+describe('DetectorRegistry', () => {
+  afterEach(() => {
+    registered.splice(0).forEach(name => DetectorRegistry.unregister(name));
+    jest.restoreAllMocks();
+  });
+
+  test('잘못된 정의는 등록하지 않음', () => {
+    expect(() => DetectorRegistry.register({ hooks: [] })).toThrow('감지기 이름');
+    expect(() => DetectorRegistry.register({ name: 'a', hooks: ['storage'] })).toThrow('알 수 없는 훅');
+    expect(() => DetectorRegistry.register({ name: 'b', hooks: ['dom'] })).toThrow('onDom');
+    expect(() => DetectorRegistry.register({ name: 'c', hooks: ['event'], onEvent() {} })).toThrow('events');
+
+    register({ name: 'dup', hooks: [] });
+    expect(() => DetectorRegistry.register({ name: 'dup', hooks: [] })).toThrow('이미 등록된');
+    expect(DetectorRegistry.list()).toEqual([{ name: 'dup', hooks: [], events: [], severity: undefined }]);
+  });
+
+  test('배포 설정으로 끄거나 설정과 위험도를 덮어씀', () => {
+    register({
+      name: 'coupon',
+      hooks: ['event'],
+      events: ['paste'],
+      severity: 0.5,
+      config: { selector: '#coupon', limit: 1 },
+      onEvent(event, context) {
+        context.report({ selector: context.config.selector, limit: context.config.limit });
+      }
+    });
+    register({ name: 'off', hooks: ['event'], events: ['paste'], onEvent: jest.fn() });
+
+    const { registry, findings } = createRegistry({
+      detectors: { coupon: { severity: 0.9, config: { selector: '#promo' } }, off: false }
+    });
+    registry.start();
+
+    expect(registry.getEventTypes()).toEqual(['paste']);
+    expect(registry.isEnabled('off')).toBe(false);
+
+    registry.dispatch('event', { type: 'copy' });
+    registry.dispatch('event', { type: 'paste' });
+    expect(findings).toEqual([{
+      selector: '#promo',
+      limit: 1,
+      type: 'coupon',
+      detector: 'coupon',
+      severity: 0.9
+    }]);
+  });
+
+  test('보고된 기록은 마스킹 정책을 거침', () => {
+    register({
+      name: 'leaky',
+      hooks: ['value-access'],
+      onValueAccess(access, context) {
+        context.report({ type: 'card-read', note: `읽은 값 ${access.value}`, password: 'hunter2', severity: 2 });
+      }
+    });
+
+    const { registry, findings } = createRegistry();
+    registry.start();
+    registry.dispatch('value-access', { name: 'cardNumber', selector: '#card', value: '4111 1111 1111 1111' });
+
+    expect(findings).toEqual([{
+      type: 'card-read',
+      note: '읽은 값 •••• •••• •••• 1111',
+      password: '*******',
+      detector: 'leaky',
+      severity: 1
+    }]);
+  });
+
+  test('감지기 오류는 다른 감지기에 영향을 주지 않음', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    register({ name: 'broken', hooks: ['dom'], onDom() { throw new Error('boom'); } });
+    register({ name: 'working', hooks: ['dom'], onDom(mutations, context) { context.report({ count: mutations.length }); } });
+
+    const { registry, findings } = createRegistry();
+    registry.start();
+    registry.dispatch('dom', [{}, {}]);
+
+    expect(findings).toEqual([{ count: 2, type: 'working', detector: 'working', severity: 0.5 }]);
+    expect(console.warn).toHaveBeenCalledTimes(1);
+  });
+
+  test('같은 훅 처리 중에 다시 불린 훅은 전달하지 않음', () => {
+    const { registry } = createRegistry();
+    const onValueAccess = jest.fn(() => registry.dispatch('value-access', { value: 'again' }));
+    register({ name: 'reader', hooks: ['value-access'], onValueAccess });
+
+    registry.start();
+    registry.dispatch('value-access', { value: 'first' });
+    expect(onValueAccess).toHaveBeenCalledTimes(1);
+  });
+});
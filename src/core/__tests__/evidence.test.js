@@ -0,0 +1,83 @@
+// 해시 체인 검증 테스트 (src/core/__tests__/evidence.test.js)
+
+import EvidenceChain from '../evidence';
+
+// 기록 여러 개를 연결한 체인과 봉인
+async function buildChain(count) {
+  const chain = new EvidenceChain({ sessionId: 's1' });
+  const records = [];
+  for (let i = 0; i < count; i++) {
+    records.push(await chain.append({ type: 'fetch', timestamp: i, url: `https://shop.example/${i}` }));
+  }
+  const seal = await chain.sealChain();
+  return { chain, records, seal };
+}
+
+describe('EvidenceChain', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('키 순서와 관계없이 같은 정규 JSON', () => {
+    expect(EvidenceChain.canonicalize({ b: 1, a: [true, null, { d: undefined, c: 'x' }] }))
+      .toBe('{"a":[true,null,{"c":"x"}],"b":1}');
+  });
+
+  test('기록마다 순번과 이전 해시 연결', async () => {
+    const { records, seal } = await buildChain(3);
+    expect(records.map(record => record.chainIndex)).toEqual([0, 1, 2]);
+    expect(records[0].prevHash).toBe('0'.repeat(64));
+    expect(records[2].prevHash).toBe(records[1].hash);
+    expect(seal).toMatchObject({ type: 'evidence-seal', recordCount: 3, lastHash: records[2].hash });
+  });
+
+  test('변경 없는 체인은 유효', async () => {
+    const { records, seal } = await buildChain(3);
+    const result = await EvidenceChain.verify([...records].reverse(), seal);
+    expect(result).toEqual({ valid: true, sealed: true, totalRecords: 3, errors: [] });
+  });
+
+  test('내용이 바뀐 기록 보고', async () => {
+    const { records, seal } = await buildChain(3);
+    records[1] = { ...records[1], url: 'https://evil.example/' };
+
+    const result = await EvidenceChain.verify(records, seal);
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([{ chainIndex: 1, type: 'altered', reason: 'content-mismatch' }]);
+  });
+
+  test('해시를 다시 계산해 바꾼 기록은 다음 기록의 이전 해시로 드러남', async () => {
+    const { records, seal } = await buildChain(3);
+    const altered = { ...records[1], url: 'https://evil.example/' };
+    altered.hash = await EvidenceChain.hashRecord(altered);
+    records[1] = altered;
+
+    const result = await EvidenceChain.verify(records, seal);
+    expect(result.errors).toEqual([{ chainIndex: 1, type: 'altered', reason: 'hash-replaced' }]);
+  });
+
+  test('중간과 마지막 기록 삭제 보고', async () => {
+    const { records, seal } = await buildChain(4);
+
+    const result = await EvidenceChain.verify([records[0], records[2]], seal);
+    expect(result.errors).toEqual([
+      { chainIndex: 1, type: 'removed' },
+      { chainIndex: 3, type: 'removed' }
+    ]);
+  });
+
+  test('봉인이 바뀌면 보고', async () => {
+    const { records, seal } = await buildChain(2);
+    const result = await EvidenceChain.verify(records, { ...seal, recordCount: 1 });
+    expect(result.errors).toEqual([{ type: 'seal-altered' }]);
+  });
+
+  test('봉인된 체인에는 기록을 추가할 수 없음', async () => {
+    const { chain } = await buildChain(1);
+    await expect(chain.append({ type: 'fetch', timestamp: 9 })).rejects.toThrow('봉인된 체인');
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * @jest-environment jsdom
+ */
+// 보호 폼 무결성 감시 테스트 (src/core/__tests__/integrity.test.js)
+
+import FormIntegrityMonitor from '../integrity';
+
+// 결제 폼 하나를 보호하는 감시
+function createMonitor(declaration = {}) {
+  return new FormIntegrityMonitor({
+    protectedForms: [{ selector: '#pay', actionOrigins: ['https://shop.example'], ...declaration }]
+  });
+}
+
+describe('FormIntegrityMonitor', () => {
+  afterEach(() => {
+    document.head.innerHTML = '';
+    document.body.innerHTML = '';
+  });
+
+  test('name="action" 입력이 있어도 action 속성의 출처를 확인', () => {
+    document.body.innerHTML =
+      '<form id="pay" action="https://evil.example/collect"><input name="action" value="pay"></form>';
+    // jsdom은 이름 있는 입력으로 폼 속성을 가리지 않으므로 브라우저 동작을 흉내 냄
+    const form = document.getElementById('pay');
+    Object.defineProperty(form, 'action', { value: form.elements.namedItem('action') });
+
+    expect(createMonitor().verify()).toEqual([expect.objectContaining({
+      check: 'action-changed',
+      source: 'action',
+      action: 'https://evil.example/collect'
+    })]);
+  });
+
+  test('action 속성이 없으면 문서 주소로 제출되는 것으로 봄', () => {
+    document.body.innerHTML = '<form id="pay"><input name="action" value="pay"></form>';
+
+    expect(createMonitor({ actionOrigins: [window.location.origin] }).verify()).toEqual([]);
+    expect(createMonitor().verify()).toEqual([expect.objectContaining({
+      check: 'action-changed',
+      action: document.URL
+    })]);
+  });
+
+  test('상대 경로 action은 문서의 base 기준으로 해석', () => {
+    document.head.innerHTML = '<base href="https://evil.example/">';
+    document.body.innerHTML = '<form id="pay" action="/collect"></form>';
+
+    expect(createMonitor().verify()).toEqual([expect.objectContaining({
+      check: 'action-changed',
+      action: 'https://evil.example/collect'
+    })]);
+  });
+});
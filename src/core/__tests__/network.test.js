@@ -0,0 +1,88 @@
+/**
+ * @jest-environment jsdom
+ */
+// 네트워크 감지 테스트 (src/core/__tests__/network.test.js)
+
+// jsdom에는 fetch가 없어 감지 모듈이 원본을 확보할 수 있도록 먼저 채움
+window.fetch = jest.fn(() => Promise.resolve({ ok: true }));
+const NetworkTracker = require('../network').default;
+
+// 실제 전송 대신 지정한 이벤트를 다음 틱에 발생시키는 XHR send
+function fakeSend(events) {
+  return function() {
+    const xhr = this;
+    setTimeout(() => events.shift().forEach(type => xhr.dispatchEvent(new Event(type))));
+  };
+}
+
+// 다음 틱까지 대기
+const tick = () => new Promise(resolve => setTimeout(resolve));
+
+describe('NetworkTracker', () => {
+  let tracker;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+    // 가짜 전송에는 응답 본문이 없어 본문 읽기 실패 경고가 출력됨
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    tracker = new NetworkTracker({ logLevel: 'warn' });
+  });
+
+  afterEach(() => {
+    tracker.stop();
+    localStorage.clear();
+    jest.restoreAllMocks();
+  });
+
+  test('같은 XHR을 다시 보내도 응답 기록은 요청마다 한 번', async () => {
+    tracker.originalXHRSend = fakeSend([['error', 'loadend'], ['loadend']]);
+    tracker.start();
+
+    const xhr = new XMLHttpRequest();
+    xhr.open('POST', 'https://shop.example/api/a');
+    xhr.send('first');
+    await tick();
+    xhr.open('POST', 'https://shop.example/api/b');
+    xhr.send('second');
+    await tick();
+
+    const requests = tracker.records.filter(record => record.type === 'xhr');
+    const responses = tracker.records.filter(record => record.type === 'xhr-response');
+    expect(responses.map(record => [record.requestId, record.error || null])).toEqual([
+      [requests[0].requestId, 'error'],
+      [requests[1].requestId, null]
+    ]);
+  });
+
+  test('중지하면 직접 교체한 함수만 원래대로 복원', () => {
+    const nativeFetch = window.fetch;
+    const nativeOpen = XMLHttpRequest.prototype.open;
+    const nativeSend = XMLHttpRequest.prototype.send;
+    tracker.start();
+
+    // 감지 시작 뒤 다른 코드가 fetch와 XHR send를 다시 감쌈
+    const laterFetch = jest.fn();
+    const laterSend = function() {};
+    window.fetch = laterFetch;
+    XMLHttpRequest.prototype.send = laterSend;
+    tracker.stop();
+
+    expect(window.fetch).toBe(laterFetch);
+    expect(XMLHttpRequest.prototype.send).toBe(laterSend);
+    expect(XMLHttpRequest.prototype.open).toBe(nativeOpen);
+
+    window.fetch = nativeFetch;
+    XMLHttpRequest.prototype.send = nativeSend;
+  });
+
+  test('중지 뒤 남은 래퍼는 기록 없이 원래 함수로 넘김', async () => {
+    tracker.start();
+    const trackedFetch = window.fetch;
+    tracker.stop();
+
+    await trackedFetch('https://shop.example/api/cart');
+    expect(window.fetch).toHaveBeenCalledWith('https://shop.example/api/cart', {});
+    expect(tracker.records).toEqual([]);
+  });
+});
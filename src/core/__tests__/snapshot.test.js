@@ -0,0 +1,141 @@
+/**
+ * @jest-environment jsdom
+ */
+// DOM 직렬화 테스트 (src/core/__tests__/snapshot.test.js)
+
+import DOMSerializer from '../snapshot';
+
+// 문서 변경을 기록하는 감시 (takeRecords로 한 배치를 꺼냄)
+function observe() {
+  const observer = new MutationObserver(() => {});
+  observer.observe(document.documentElement, {
+    childList: true,
+    subtree: true,
+    attributes: true,
+    characterData: true
+  });
+  return observer;
+}
+
+// 직렬화된 하위 트리의 태그 목록 (깊이 우선)
+function collectTags(node, tags = []) {
+  if (node.tagName) tags.push(node.tagName);
+  (node.childNodes || []).forEach(child => collectTags(child, tags));
+  return tags;
+}
+
+describe('DOMSerializer', () => {
+  let serializer;
+  let observer;
+
+  beforeEach(() => {
+    document.body.innerHTML = '<main id="app"><p>첫 문단</p></main>';
+    serializer = new DOMSerializer({ maskValue: value => `masked:${value}` });
+    serializer.takeSnapshot(document);
+    observer = observe();
+  });
+
+  afterEach(() => {
+    observer.disconnect();
+  });
+
+  test('스냅샷은 노드마다 ID를 부여하고 입력 값을 마스킹', () => {
+    document.body.innerHTML = '<input name="card" value="4111">';
+    const snapshot = new DOMSerializer({ maskValue: value => `masked:${value}` }).takeSnapshot(document);
+    const html = snapshot.root.childNodes.find(node => node.tagName === 'html');
+    const body = html.childNodes.find(node => node.tagName === 'body');
+
+    expect(body.tagName).toBe('body');
+    expect(body.childNodes[0]).toMatchObject({
+      tagName: 'input',
+      value: 'masked:4111',
+      attributes: { name: 'card', value: 'masked:4111' }
+    });
+  });
+
+  test('삽입 위치는 이미 ID가 있는 다음 형제로 표시', () => {
+    const app = document.getElementById('app');
+    const first = app.firstChild;
+    app.insertBefore(document.createElement('nav'), first);
+
+    const [diff] = serializer.serializeMutations(observer.takeRecords());
+    expect(diff).toMatchObject({
+      op: 'insert',
+      parentId: serializer.getId(app),
+      nextSiblingId: serializer.getId(first),
+      node: { tagName: 'nav' }
+    });
+  });
+
+  test('같은 배치에서 삽입한 노드 안에 추가한 자식은 다시 삽입하지 않음', () => {
+    const app = document.getElementById('app');
+    const div = document.createElement('div');
+    app.appendChild(div);
+    div.appendChild(document.createElement('span'));
+    div.appendChild(document.createElement('form')).innerHTML = '<input name="card"><b>x</b>';
+
+    const diffs = serializer.serializeMutations(observer.takeRecords());
+    expect(diffs.filter(diff => diff.op === 'insert')).toHaveLength(1);
+    expect(collectTags(diffs[0].node)).toEqual(['div', 'span', 'form', 'input', 'b']);
+  });
+
+  test('삽입 직후 innerHTML로 채운 노드도 한 번만 삽입', () => {
+    const overlay = document.createElement('div');
+    document.body.appendChild(overlay);
+    overlay.innerHTML = '<iframe src="https://evil.example/pay"></iframe>';
+
+    const diffs = serializer.serializeMutations(observer.takeRecords());
+    expect(diffs.map(diff => diff.op)).toEqual(['insert']);
+    expect(collectTags(diffs[0].node)).toEqual(['div', 'iframe']);
+  });
+
+  test('같은 노드를 다시 붙이면 한 번만 삽입', () => {
+    const app = document.getElementById('app');
+    const div = document.createElement('div');
+    app.appendChild(div);
+    app.appendChild(document.createElement('hr'));
+    app.appendChild(div);
+
+    const diffs = serializer.serializeMutations(observer.takeRecords());
+    expect(diffs.map(diff => [diff.op, diff.node.tagName])).toEqual([['insert', 'div'], ['insert', 'hr']]);
+  });
+
+  test('기존 노드를 같은 배치에서 삽입한 노드 안으로 옮기면 제거하지 않음', () => {
+    const app = document.getElementById('app');
+    const paragraph = app.firstChild;
+    const wrapper = document.createElement('section');
+    app.appendChild(wrapper);
+    wrapper.appendChild(paragraph);
+
+    const diffs = serializer.serializeMutations(observer.takeRecords());
+    expect(diffs.map(diff => diff.op)).toEqual(['insert']);
+    expect(diffs[0].node.childNodes[0].id).toBe(serializer.getId(paragraph));
+  });
+
+  test('기존 노드를 다른 곳으로 옮기면 제거 후 삽입', () => {
+    const app = document.getElementById('app');
+    const paragraph = app.firstChild;
+    document.body.appendChild(paragraph);
+
+    const diffs = serializer.serializeMutations(observer.takeRecords());
+    expect(diffs.map(diff => [diff.op, diff.id || diff.node.id])).toEqual([
+      ['remove', serializer.getId(paragraph)],
+      ['insert', serializer.getId(paragraph)]
+    ]);
+  });
+
+  test('다음 배치의 추가는 다시 기록', () => {
+    const app = document.getElementById('app');
+    const div = document.createElement('div');
+    app.appendChild(div);
+    serializer.serializeMutations(observer.takeRecords());
+
+    div.appendChild(document.createElement('span'));
+    const diffs = serializer.serializeMutations(observer.takeRecords());
+    expect(diffs).toEqual([expect.objectContaining({
+      op: 'insert',
+      parentId: serializer.getId(div),
+      node: expect.objectContaining({ tagName: 'span' })
+    })]);
+  });
+});
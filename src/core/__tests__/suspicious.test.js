@@ -0,0 +1,98 @@
+/**
+ * @jest-environment jsdom
+ */
+// 의심 요소 감지 테스트 (src/core/__tests__/suspicious.test.js)
+
+// jsdom에는 fetch가 없어 전송 모듈이 원본을 확보할 수 있도록 먼저 채움
+window.fetch = jest.fn();
+const SuspiciousTracker = require('../suspicious').default;
+
+// 기록만 확인할 수 있도록 감지 상태로 만든 감지기
+function createTracker() {
+  const tracker = new SuspiciousTracker();
+  SuspiciousTracker.instance = tracker;
+  tracker.isTracking = true;
+  return tracker;
+}
+
+describe('SuspiciousTracker 동적 코드 감지', () => {
+  const nativeFunction = window.Function;
+  let tracker;
+
+  beforeAll(() => {
+    tracker = createTracker();
+    tracker.trackDynamicCode();
+  });
+
+  beforeEach(() => {
+    tracker.records = [];
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(window, 'alert').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('Function 생성자와 함수의 constructor 경로를 모두 기록', () => {
+    const add = new Function('a', 'b', 'return a + b');
+    const answer = (function() {}).constructor('return 42');
+
+    expect(add(1, 2)).toBe(3);
+    expect(answer()).toBe(42);
+    expect(tracker.records.map(record => [record.type, record.method, record.length])).toEqual([
+      ['dynamic-code', 'Function', 'return a + b'.length],
+      ['dynamic-code', 'Function', 'return 42'.length]
+    ]);
+  });
+
+  test('함수의 constructor와 window.Function이 같은 생성자를 가리킴', () => {
+    function pageFunction() {}
+
+    expect(pageFunction.constructor).toBe(window.Function);
+    expect(Function.prototype.constructor).toBe(window.Function);
+    expect(pageFunction instanceof window.Function).toBe(true);
+    expect(window.Function.prototype).toBe(nativeFunction.prototype);
+    expect(window.Function.length).toBe(nativeFunction.length);
+  });
+
+  test('eval은 감싸지 않아 지역 범위를 유지', () => {
+    const local = 'page';
+    expect(eval('local')).toBe('page');
+    expect(tracker.records).toEqual([]);
+  });
+});
+
+describe('SuspiciousTracker 보호 폼 감시', () => {
+  let tracker;
+
+  beforeEach(() => {
+    document.body.innerHTML = '<form id="pay"><input name="card"></form>';
+    tracker = new SuspiciousTracker({ protectedForms: [{ selector: '#pay', fields: ['card'] }] });
+    SuspiciousTracker.instance = tracker;
+    tracker.isTracking = true;
+    jest.spyOn(tracker.formMonitor, 'verify');
+  });
+
+  afterEach(() => {
+    tracker.stop();
+    document.body.innerHTML = '';
+    jest.restoreAllMocks();
+  });
+
+  test('스타일 변경이 몰려도 프레임마다 한 번만 확인', async () => {
+    tracker.trackProtectedForms();
+    expect(tracker.formMonitor.verify).toHaveBeenCalledTimes(1);
+
+    const input = document.querySelector('input');
+    for (let i = 0; i < 10; i++) {
+      input.style.width = `${100 + i}px`;
+      input.className = `field-${i}`;
+      await Promise.resolve();
+    }
+    await new Promise(resolve => requestAnimationFrame(() => setTimeout(resolve)));
+
+    expect(tracker.formMonitor.verify).toHaveBeenCalledTimes(2);
+  });
+});
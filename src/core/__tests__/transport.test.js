@@ -0,0 +1,82 @@
+/**
+ * @jest-environment jsdom
+ */
+// 증거 전송 테스트 (src/core/__tests__/transport.test.js)
+
+// jsdom에는 fetch와 sendBeacon이 없어 전송 모듈이 원본을 확보할 수 있도록 먼저 채움
+window.fetch = jest.fn();
+navigator.sendBeacon = jest.fn(() => true);
+const ForensicTransport = require('../transport').default;
+
+// 직접 완료시킬 수 있는 fetch 응답
+function deferResponse() {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  window.fetch.mockImplementationOnce(() => promise);
+  return status => resolve({ ok: status >= 200 && status < 300, status });
+}
+
+// Blob 내용 (jsdom의 Blob에는 text()가 없음)
+function readBlob(blob) {
+  return new Promise(resolve => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.readAsText(blob);
+  });
+}
+
+// 비콘으로 보낸 배치 ID 목록
+async function beaconBatchIds() {
+  const blobs = navigator.sendBeacon.mock.calls.map(([, blob]) => blob);
+  const texts = await Promise.all(blobs.map(readBlob));
+  return texts.map(text => JSON.parse(text).batchId);
+}
+
+// 대기 중인 비동기 작업 처리
+const settle = (ms = 0) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('ForensicTransport 페이지 이탈', () => {
+  let transport;
+
+  beforeEach(() => {
+    window.fetch.mockReset();
+    navigator.sendBeacon.mockClear();
+    transport = new ForensicTransport({ apiEndpoint: 'https://collector.example/api/records', compress: false, retryBaseDelay: 10 });
+  });
+
+  test('요청이 진행 중인 배치는 비콘으로 다시 보내지 않음', async () => {
+    const respond = deferResponse();
+    transport.enqueue({ type: 'click' });
+    const flushing = transport.flush();
+    await settle();
+    const [sendingId] = transport.inFlight.keys();
+
+    transport.enqueue({ type: 'input' });
+    transport.handlePageHide();
+    const beaconed = await beaconBatchIds();
+    expect(beaconed).toHaveLength(1);
+    expect(beaconed).not.toContain(sendingId);
+
+    respond(200);
+    await flushing;
+    expect(window.fetch).toHaveBeenCalledTimes(1);
+    expect(transport.inFlight.size).toBe(0);
+  });
+
+  test('재시도를 기다리는 배치는 비콘으로 보내고 재시도하지 않음', async () => {
+    const respond = deferResponse();
+    transport.enqueue({ type: 'click' });
+    const flushing = transport.flush();
+    await settle();
+    const [batchId] = transport.inFlight.keys();
+
+    respond(503);
+    await settle();
+    transport.handlePageHide();
+    expect(await beaconBatchIds()).toEqual([batchId]);
+
+    await flushing;
+    await settle(50);
+    expect(window.fetch).toHaveBeenCalledTimes(1);
+  });
+});
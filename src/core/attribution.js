@@ -0,0 +1,167 @@
+// 스크립트 출처 추적 모듈 (src/core/attribution.js)
+// 감지 시점의 호출 스택에서 원인 스크립트 URL과 줄 번호를 찾고, 스크립트별 행위 요약을 유지
+
+// Chrome/Edge 스택 프레임: "at fn (url:line:col)" 또는 "at url:line:col"
+const V8_FRAME = /^\s*at (?:(.*?) \()?(.*?):(\d+):(\d+)\)?\s*$/;
+// V8 eval 프레임: "eval at fn (url:line:col), <anonymous>:line:col"
+const V8_EVAL_ORIGIN = /\((\S+?):(\d+):(\d+)\)/;
+// Firefox/Safari 스택 프레임: "fn@url:line:col"
+const GECKO_FRAME = /^\s*(.*?)@(.*?):(\d+):(\d+)\s*$/;
+
+// 기록에 남길 최대 스택 프레임 수
+const MAX_STACK_FRAMES = 5;
+// 스크립트별로 보관할 최대 줄 번호 수
+const MAX_LINES_PER_SCRIPT = 20;
+
+class ScriptAttributor {
+  constructor(options = {}) {
+    this.options = {
+      // 출처에서 제외할 스크립트 URL 일부 (포렌식 도구 자신, 신뢰하는 래퍼 등)
+      ignoreScripts: options.ignoreScripts || [],
+      ...options
+    };
+
+    // 이 도구 자신의 스크립트 URL (번들이면 모든 모듈이 같은 파일)
+    this.ownScripts = new Set();
+    const ownFrame = this.parseStack(new Error().stack)[0];
+    if (ownFrame) {
+      this.ownScripts.add(ownFrame.url);
+    }
+
+    // 스크립트 URL -> 행위 요약
+    this.scripts = new Map();
+  }
+
+  // 스택 프레임 한 줄 해석 ({ url, line, column, functionName } 또는 null)
+  parseFrame(line) {
+    const v8 = line.match(V8_FRAME);
+    if (v8) {
+      let [, functionName, url, lineNumber, column] = v8;
+      // eval로 실행된 코드는 eval을 호출한 스크립트로 귀속
+      if (url.includes('eval at')) {
+        const origin = url.match(V8_EVAL_ORIGIN);
+        if (!origin) return null;
+        [, url, lineNumber, column] = origin;
+      }
+      return this.createFrame(url, lineNumber, column, functionName);
+    }
+
+    const gecko = line.match(GECKO_FRAME);
+    if (gecko) {
+      const [, functionName, location, lineNumber, column] = gecko;
+      // "url line 2 > eval" 형식은 eval을 호출한 스크립트 URL만 사용
+      const url = location.split(' line ')[0];
+      return this.createFrame(url, lineNumber, column, functionName);
+    }
+
+    return null;
+  }
+
+  // 프레임 객체 생성 (URL이 아닌 위치는 제외)
+  createFrame(url, line, column, functionName) {
+    if (!url || url === '<anonymous>' || url === 'native' || url.startsWith('[native')) return null;
+    return {
+      url,
+      line: Number(line),
+      column: Number(column),
+      functionName: functionName || null
+    };
+  }
+
+  // 스택 문자열을 프레임 목록으로 변환
+  parseStack(stack) {
+    if (typeof stack !== 'string') return [];
+    return stack.split('\n')
+      .map(line => this.parseFrame(line))
+      .filter(Boolean);
+  }
+
+  // 도구 자신 또는 제외 대상 스크립트인지
+  isIgnored(url) {
+    return this.ownScripts.has(url) ||
+      this.options.ignoreScripts.some(pattern => url.includes(pattern));
+  }
+
+  // 인라인 스크립트인지 (스택에 페이지 URL이 찍힘)
+  isInline(url) {
+    const pageUrl = window.location.href.split('#')[0];
+    return url === pageUrl;
+  }
+
+  // 현재 호출 스택에서 원인 스크립트 찾기 (알 수 없으면 null)
+  capture() {
+    // 래퍼와 기록 함수 프레임이 앞을 차지하므로 스택 깊이를 잠시 늘림
+    const stackTraceLimit = Error.stackTraceLimit;
+    try {
+      Error.stackTraceLimit = 50;
+      const frames = this.parseStack(new Error().stack)
+        .filter(frame => !this.isIgnored(frame.url));
+      if (frames.length === 0) return null;
+
+      const [origin] = frames;
+      return {
+        url: origin.url,
+        line: origin.line,
+        column: origin.column,
+        functionName: origin.functionName,
+        inline: this.isInline(origin.url),
+        stack: frames.slice(0, MAX_STACK_FRAMES)
+          .map(frame => `${frame.functionName ? `${frame.functionName} ` : ''}${frame.url}:${frame.line}:${frame.column}`)
+      };
+    } catch (error) {
+      console.warn('[ScriptAttributor] 호출 스택 해석 실패:', error);
+      return null;
+    } finally {
+      Error.stackTraceLimit = stackTraceLimit;
+    }
+  }
+
+  // 기록을 스크립트별 요약에 반영
+  observe(record) {
+    if (!record || !record.script) return;
+
+    const { url, line, inline } = record.script;
+    let summary = this.scripts.get(url);
+    if (!summary) {
+      summary = {
+        url,
+        inline,
+        recordCount: 0,
+        behaviors: {},
+        maxSeverity: 0,
+        lines: [],
+        firstSeen: record.timestamp,
+        lastSeen: record.timestamp
+      };
+      this.scripts.set(url, summary);
+    }
+
+    summary.recordCount++;
+    summary.behaviors[record.type] = (summary.behaviors[record.type] || 0) + 1;
+    if (typeof record.severity === 'number') {
+      summary.maxSeverity = Math.max(summary.maxSeverity, record.severity);
+    }
+    if (!summary.lines.includes(line) && summary.lines.length < MAX_LINES_PER_SCRIPT) {
+      summary.lines.push(line);
+    }
+    summary.lastSeen = record.timestamp;
+  }
+
+  // 스크립트별 행위 요약 (위험도 높은 순)
+  getSummary() {
+    return Array.from(this.scripts.values())
+      .map(summary => ({
+        ...summary,
+        behaviors: { ...summary.behaviors },
+        lines: [...summary.lines].sort((a, b) => a - b)
+      }))
+      .sort((a, b) => b.maxSeverity - a.maxSeverity || b.recordCount - a.recordCount);
+  }
+
+  // 요약 초기화
+  clear() {
+    this.scripts.clear();
+  }
+}
+
+export default ScriptAttributor;
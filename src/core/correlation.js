@@ -0,0 +1,214 @@
+// 유출 흐름 상관 분석 모듈 (src/core/correlation.js)
+// 입력값 읽기(value-access) → 변환(encoding-attempt) → 외부 전송(sensitive-network, covert-exfiltration)을
+// 값 지문으로 이어 하나의 유출 체인으로 묶음
+
+import MaskingEngine from '../shared/masking';
+
+// 체인 단계
+const STAGES = ['read', 'encode', 'send'];
+
+// 단계별로 보관할 최대 기록 참조 수
+const MAX_STAGE_REFERENCES = 5;
+
+// 값마다 보관할 최대 파생 형태 수 (base64 결과 등)
+const MAX_FORMS = 20;
+
+class ExfiltrationCorrelator {
+  constructor(options = {}) {
+    this.options = {
+      // 추적할 값의 최소 길이 (짧은 값은 우연히 일치하기 쉬움)
+      minValueLength: options.exfiltrationMinLength || 4,
+      // 읽기부터 전송까지 하나의 흐름으로 보는 최대 시간 (ms)
+      chainWindow: options.chainWindow || 60000,
+      // 동시에 추적할 최대 값 수 (오래된 값부터 제거)
+      maxTrackedValues: options.maxTrackedValues || 200,
+      ...options
+    };
+
+    // 지문은 세션마다 다른 솔트로 해시 (전송되는 기록의 지문으로 원래 값을 대입 추측할 수 없도록)
+    this.masking = this.options.maskingEngine || new MaskingEngine(this.options);
+
+    // 값 지문 -> 흐름 ({ fingerprint, forms: 형태 -> 변환 결과 여부, stages, firstSeen, lastSeen })
+    this.flows = new Map();
+  }
+
+  // 값 지문 (원래 값이나 솔트 없는 해시는 기록에 남기지 않음)
+  fingerprint(value) {
+    return this.masking.hash(value);
+  }
+
+  // 숫자형 값은 공백/하이픈 없이도 비교 (카드 번호 등)
+  normalize(value) {
+    return /^[\d\s-]+$/.test(value) ? value.replace(/[\s-]/g, '') : value;
+  }
+
+  // 기록 참조 (체인 사건에서 원본 기록을 찾기 위한 최소 정보)
+  getReference(record) {
+    return {
+      type: record.type,
+      seq: record.seq !== undefined ? record.seq : null,
+      timestamp: record.timestamp,
+      severity: record.severity
+    };
+  }
+
+  // 흐름에 단계 기록 추가
+  addStage(flow, stage, record) {
+    const references = flow.stages[stage];
+    references.push(this.getReference(record));
+    if (references.length > MAX_STAGE_REFERENCES) references.shift();
+    flow.lastSeen = Date.now();
+  }
+
+  // 흐름에 비교용 형태 추가 (derived: 변환 결과인지)
+  addForm(flow, value, derived) {
+    if (typeof value !== 'string' || value.length < this.options.minValueLength) return;
+    if (flow.forms.size >= MAX_FORMS) return;
+    [value, this.normalize(value)].forEach(form => {
+      if (!flow.forms.has(form)) flow.forms.set(form, derived);
+    });
+  }
+
+  // 만료된 흐름 정리 (읽기 후 체인 시간이 지난 값, 최대 개수 초과분)
+  prune() {
+    const now = Date.now();
+    this.flows.forEach((flow, fingerprint) => {
+      if (now - flow.lastSeen > this.options.chainWindow) {
+        this.flows.delete(fingerprint);
+      }
+    });
+
+    while (this.flows.size > this.options.maxTrackedValues) {
+      this.flows.delete(this.flows.keys().next().value);
+    }
+  }
+
+  // 텍스트 목록에 들어 있는 흐름의 형태 (변환 결과가 있으면 'encode', 원래 값만 있으면 'read', 없으면 null)
+  matchFlow(flow, texts) {
+    let matched = null;
+    texts.forEach(text => {
+      const normalized = this.normalize(text);
+      flow.forms.forEach((derived, form) => {
+        if (matched === 'encode') return;
+        if (text.includes(form) || normalized.includes(form)) {
+          matched = derived ? 'encode' : 'read';
+        }
+      });
+    });
+    return matched;
+  }
+
+  // 비교 대상 텍스트 확장 (퍼센트 인코딩 해제본 포함)
+  expandTexts(texts) {
+    const expanded = [];
+    texts.forEach(text => {
+      if (typeof text !== 'string' || !text) return;
+      expanded.push(text);
+      try {
+        const decoded = decodeURIComponent(text.replace(/\+/g, ' '));
+        if (decoded !== text) expanded.push(decoded);
+      } catch (error) {
+        // 잘못된 퍼센트 인코딩
+      }
+    });
+    return expanded;
+  }
+
+  // 1단계: 페이지 스크립트가 입력값을 읽음
+  trackRead(value, record) {
+    if (typeof value !== 'string' || value.trim().length < this.options.minValueLength) return;
+
+    const fingerprint = this.fingerprint(value);
+    let flow = this.flows.get(fingerprint);
+    if (!flow) {
+      flow = {
+        fingerprint,
+        forms: new Map(),
+        stages: { read: [], encode: [], send: [] },
+        firstSeen: Date.now(),
+        lastSeen: Date.now()
+      };
+      this.flows.set(fingerprint, flow);
+      this.prune();
+    }
+
+    this.addForm(flow, value, false);
+    this.addStage(flow, 'read', record);
+  }
+
+  // 2단계: 읽은 값이 들어 있는 입력이 변환됨 (변환 결과도 이후 비교 대상에 추가)
+  // record: 변환 기록, 또는 일치하는 흐름이 있을 때만 기록을 만드는 함수 (JSON.stringify처럼 흔한 변환)
+  trackTransform(input, output, record) {
+    if (typeof input !== 'string' || this.flows.size === 0) return [];
+
+    const texts = this.expandTexts([input]);
+    const matched = Array.from(this.flows.values()).filter(flow => this.matchFlow(flow, texts));
+    if (matched.length === 0) return matched;
+
+    const stageRecord = typeof record === 'function' ? record() : record;
+    if (!stageRecord) return [];
+
+    matched.forEach(flow => {
+      this.addStage(flow, 'encode', stageRecord);
+      this.addForm(flow, output, true);
+    });
+    return matched;
+  }
+
+  // 전송 데이터에 들어 있는 최근에 읽힌 값의 흐름 목록 ({ flow, via })
+  findFlows(texts) {
+    if (this.flows.size === 0) return [];
+
+    const now = Date.now();
+    const expanded = this.expandTexts(texts);
+
+    return Array.from(this.flows.values())
+      .filter(flow => {
+        const lastRead = flow.stages.read[flow.stages.read.length - 1];
+        return lastRead && now - lastRead.timestamp <= this.options.chainWindow;
+      })
+      .map(flow => ({ flow, via: this.matchFlow(flow, expanded) }))
+      .filter(match => match.via !== null);
+  }
+
+  // 3단계: 읽은 값(또는 변환 결과)이 외부로 전송됨 → 체인 사건 목록 반환
+  trackSend(matches, record, destination) {
+    return matches.map(({ flow, via }) => {
+      this.addStage(flow, 'send', record);
+      return this.buildIncident(flow, record, destination, via === 'encode');
+    });
+  }
+
+  // 결합 신뢰도 (각 단계 기록이 독립적인 증거라고 보고 1 - Π(1 - 위험도))
+  getConfidence(references) {
+    const remaining = references.reduce((product, reference) =>
+      product * (1 - (typeof reference.severity === 'number' ? reference.severity : 0)), 1);
+    return Math.round((1 - remaining) * 1000) / 1000;
+  }
+
+  // 체인 사건 생성 (단계별로 가장 최근 기록을 근거로 사용, 변환 결과가 전송된 경우에만 변환 단계 포함)
+  buildIncident(flow, sendRecord, destination, encoded) {
+    const stages = STAGES.filter(stage => stage !== 'encode' || encoded);
+    const references = stages.map(stage => (stage === 'send'
+      ? this.getReference(sendRecord)
+      : flow.stages[stage][flow.stages[stage].length - 1]));
+
+    return {
+      type: 'exfiltration-chain',
+      fingerprint: flow.fingerprint,
+      stages,
+      url: sendRecord.url,
+      destination,
+      records: references.map(({ type, seq, timestamp }) => ({ type, seq, timestamp })),
+      duration: sendRecord.timestamp - flow.firstSeen,
+      confidence: this.getConfidence(references)
+    };
+  }
+
+  // 추적 중인 흐름 초기화
+  clear() {
+    this.flows.clear();
+  }
+}
+
+export default ExfiltrationCorrelator;
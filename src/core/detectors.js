@@ -0,0 +1,189 @@
+// 사용자 정의 감지 규칙 모듈 (src/core/detectors.js)
+// 사이트별 규칙을 감지기로 등록하면 SuspiciousTracker가 필요한 훅(DOM, 네트워크, 값 접근, 이벤트)을 연결하고
+// 감지기가 보고한 기록을 다른 감지 기록과 같은 경로로 저장
+//
+// 감지기 정의:
+//   {
+//     name: 'coupon-field-watch',         // 고유 이름 (options.detectors 설정 키, 기록의 detector 값)
+//     hooks: ['dom', 'event'],            // 사용할 훅
+//     events: ['paste'],                  // event 훅에서 받을 DOM 이벤트 유형
+//     severity: 0.7,                      // 기록에 위험도가 없을 때 사용할 기본 위험도
+//     config: { selector: '#coupon' },    // 기본 설정 (배포별로 options.detectors에서 덮어씀)
+//     setup(context) {},                  // 시작 시 1회 (선택)
+//     onDom(mutations, context) {},       // MutationRecord 목록
+//     onNetwork(request, context) {},     // { api, url, method, body, element }
+//     onValueAccess(access, context) {},  // { element, name, selector, value } (value는 마스킹 전 원문이므로 기록에 넣지 않음)
+//     onEvent(event, context) {}          // DOM 이벤트
+//   }
+// context: { name, config, report(finding) } (finding.type이 없으면 감지기 이름 사용)
+// 보고한 기록은 공유 마스킹 정책을 거쳐 저장되지만, 입력값 원문은 판정에만 쓰고 보고하지 않아야 함
+//
+// 배포별 설정 (options.detectors):
+//   { 'coupon-field-watch': { enabled: true, severity: 0.9, config: { selector: '#promo' } },
+//     'dynamic-code': false }   // 기본 감지도 이름으로 끌 수 있음
+
+import MaskingEngine from '../shared/masking';
+
+// 훅 이름 -> 감지기 처리 함수 이름
+const HOOK_HANDLERS = {
+  dom: 'onDom',
+  network: 'onNetwork',
+  'value-access': 'onValueAccess',
+  event: 'onEvent'
+};
+
+// 등록된 감지기 (모든 SuspiciousTracker가 공유, 생성 전에 등록해도 됨)
+const definitions = new Map();
+
+// 위험도를 0~1로 제한
+function clampSeverity(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+class DetectorRegistry {
+  // report: 감지기 기록을 저장하는 함수 (finding => record)
+  constructor(options = {}, report) {
+    this.options = {
+      // 감지기별 설정 (false: 끔, { enabled, severity, config })
+      detectors: options.detectors || {},
+      ...options
+    };
+    this.report = report;
+    // 감지기 기록 마스킹 (SuspiciousTracker와 같은 정책)
+    this.masking = this.options.maskingEngine || new MaskingEngine(this.options);
+
+    // 시작된 감지기 ({ definition, context, severity })
+    this.active = [];
+    // 처리 중인 훅 (감지기가 값을 읽어 같은 훅이 다시 불리는 재귀 방지)
+    this.dispatching = new Set();
+  }
+
+  // 감지기 등록 (같은 이름이 있거나 훅 처리 함수가 없으면 오류)
+  static register(definition) {
+    if (!definition || typeof definition.name !== 'string' || !definition.name) {
+      throw new Error('감지기 이름(name)이 필요합니다.');
+    }
+    if (definitions.has(definition.name)) {
+      throw new Error(`이미 등록된 감지기: ${definition.name}`);
+    }
+
+    const hooks = definition.hooks || [];
+    hooks.forEach(hook => {
+      if (!HOOK_HANDLERS[hook]) {
+        throw new Error(`알 수 없는 훅: ${hook} (${definition.name})`);
+      }
+      if (typeof definition[HOOK_HANDLERS[hook]] !== 'function') {
+        throw new Error(`${definition.name} 감지기에 ${HOOK_HANDLERS[hook]} 함수가 없습니다.`);
+      }
+    });
+    if (hooks.includes('event') && (!Array.isArray(definition.events) || definition.events.length === 0)) {
+      throw new Error(`${definition.name} 감지기의 event 훅에는 events 목록이 필요합니다.`);
+    }
+
+    definitions.set(definition.name, { ...definition, hooks });
+  }
+
+  // 감지기 등록 해제 (이미 시작된 추적기에는 영향 없음)
+  static unregister(name) {
+    return definitions.delete(name);
+  }
+
+  // 등록된 감지기 목록
+  static list() {
+    return Array.from(definitions.values()).map(({ name, hooks, events, severity }) => ({
+      name,
+      hooks,
+      events: events || [],
+      severity
+    }));
+  }
+
+  // 감지기 배포 설정 ({ enabled, severity, config })
+  getSetting(name) {
+    const setting = this.options.detectors[name];
+    if (setting === false) return { enabled: false };
+    if (setting === true || setting === undefined) return { enabled: true };
+    return { enabled: setting.enabled !== false, ...setting };
+  }
+
+  // 감지기(기본 감지 포함)가 켜져 있는지
+  isEnabled(name) {
+    return this.getSetting(name).enabled;
+  }
+
+  // 켜진 등록 감지기 시작
+  start() {
+    definitions.forEach(definition => {
+      const setting = this.getSetting(definition.name);
+      if (!setting.enabled) return;
+
+      const entry = {
+        definition,
+        severity: typeof setting.severity === 'number' ? setting.severity : definition.severity
+      };
+      entry.context = {
+        name: definition.name,
+        config: { ...(definition.config || {}), ...(setting.config || {}) },
+        report: finding => this.emit(entry, finding)
+      };
+
+      try {
+        if (typeof definition.setup === 'function') definition.setup(entry.context);
+        this.active.push(entry);
+      } catch (error) {
+        console.error(`[DetectorRegistry] ${definition.name} 감지기 시작 실패:`, error);
+      }
+    });
+  }
+
+  // 시작된 감지기 중 훅을 쓰는 것이 있는지
+  needs(hook) {
+    return this.active.some(entry => entry.definition.hooks.includes(hook));
+  }
+
+  // event 훅에서 받을 DOM 이벤트 유형 목록
+  getEventTypes() {
+    const types = new Set();
+    this.active
+      .filter(entry => entry.definition.hooks.includes('event'))
+      .forEach(entry => entry.definition.events.forEach(type => types.add(type)));
+    return Array.from(types);
+  }
+
+  // 훅 전달 (감지기 오류는 다른 감지기와 페이지에 영향을 주지 않음)
+  dispatch(hook, payload) {
+    if (this.dispatching.has(hook)) return;
+
+    const handler = HOOK_HANDLERS[hook];
+    this.dispatching.add(hook);
+    try {
+      this.active.forEach(entry => {
+        const { definition, context } = entry;
+        if (!definition.hooks.includes(hook)) return;
+        if (hook === 'event' && !definition.events.includes(payload.type)) return;
+
+        try {
+          definition[handler](payload, context);
+        } catch (error) {
+          console.warn(`[DetectorRegistry] ${definition.name} 감지기 처리 중 오류:`, error);
+        }
+      });
+    } finally {
+      this.dispatching.delete(hook);
+    }
+  }
+
+  // 감지기 기록 저장 (위험도: 기록 값, 배포 설정, 감지기 기본값 순)
+  // 감지기가 실수로 넣은 입력값도 저장되지 않도록 필드 이름과 내용으로 마스킹
+  emit(entry, finding = {}) {
+    const severity = typeof finding.severity === 'number' ? finding.severity : entry.severity;
+    return this.report({
+      ...this.masking.maskObject(finding),
+      type: finding.type || entry.definition.name,
+      detector: entry.definition.name,
+      severity: clampSeverity(typeof severity === 'number' ? severity : 0.5)
+    });
+  }
+}
+
+export default DetectorRegistry;
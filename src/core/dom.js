@@ -1,39 +1,67 @@
 // DOM 변경 감지 모듈 (src/core/dom.js)
 
+import DOMSerializer from './snapshot';
+import ForensicTransport from './transport';
+import MaskingEngine from '../shared/masking';
+
+// 주변 입력값 확인 시 값 접근 감지에 걸리지 않도록 원본 getter 보관
+const nativeInputValue = Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, 'value').get;
+const readFieldValue = field => (field.tagName === 'INPUT' ? nativeInputValue.call(field) : field.value);
+
+// 페이지 감시용으로 감싸기 전의 JSON.stringify (변경 기록 저장이 변환 시도로 기록되지 않도록)
+const nativeJsonStringify = JSON.stringify;
+
 class DOMTracker {
   constructor(options = {}) {
     this.options = {
-      maskPatterns: options.maskPatterns || ['card', 'password'],
       logLevel: options.logLevel || 'info',
+      recordSnapshots: options.recordSnapshots !== false,
       ...options
     };
     
     this.observers = new Map();
     this.records = [];
+    this.timeline = this.options.timeline || null;
+    this.evidenceChain = this.options.evidenceChain || null;
+    this.transport = this.options.transport ||
+      (this.options.apiEndpoint ? new ForensicTransport(this.options) : null);
+    this.masking = this.options.maskingEngine || new MaskingEngine(this.options);
+
+    // 전체 스냅샷 + 증분 변경 로그
+    this.serializer = new DOMSerializer({
+      maskValue: (value, fieldName, element) => this.maskSensitiveData(value, element || fieldName),
+      maskText: text => this.maskSensitiveText(text)
+    });
+    this.snapshot = null;
+    this.mutationLog = [];
+    this.mutationListeners = new Set();
   }
 
-  // 민감 정보 마스킹
-  maskSensitiveData(value, type) {
-    if (!value) return value;
-    
-    if (this.options.maskPatterns.some(pattern => 
-      type.toLowerCase().includes(pattern))) {
-      return value.replace(/.(?=.{4})/g, '•');
-    }
-    return value;
+  // 민감 정보 마스킹 (마스킹 정책의 필드 이름/선택자와 값 내용 기준)
+  maskSensitiveData(value, field, context = {}) {
+    return this.masking.maskValue(value, field, context);
+  }
+
+  // 텍스트 안에 섞인 민감 정보 마스킹 (카드 번호, 주민등록번호 등)
+  maskSensitiveText(text) {
+    return this.masking.maskText(text);
   }
 
   // 기록 저장
   record(event) {
     const timestamp = Date.now();
-    const record = {
+    let record = {
       ...event,
       timestamp,
       url: window.location.href
     };
 
+    if (this.timeline) {
+      record = this.timeline.append('dom', record);
+    }
+
     this.records.push(record);
-    console.log(`[DOM RECORD] ${JSON.stringify(record)}`);
+    console.log(`[DOM RECORD] ${nativeJsonStringify(record)}`);
     
     // alert로 감지 내용 표시
     const alertMessage = `[DOM 변경 감지]\n유형: ${record.type}\n요소: ${record.element || 'N/A'}\n선택자: ${record.selector || 'N/A'}\n시간: ${new Date(timestamp).toLocaleString()}`;
@@ -47,28 +75,25 @@ class DOMTracker {
   async saveRecord(record) {
     try {
       // 민감한 데이터 마스킹
-      const maskedRecord = {
+      let maskedRecord = {
         ...record,
-        value: this.maskSensitiveData(record.value, 'text/plain')
+        value: this.maskSensitiveText(record.value)
       };
 
+      // 해시 체인 연결 (위변조 검증용)
+      if (this.evidenceChain) {
+        maskedRecord = await this.evidenceChain.append(maskedRecord);
+      }
+
       // 로컬 스토리지에 저장
-      const storageKey = `dom_${record.timestamp}`;
-      localStorage.setItem(storageKey, JSON.stringify(maskedRecord));
-
-      // 서버로 전송 (API 엔드포인트가 있는 경우)
-      if (this.options.apiEndpoint) {
-        const response = await fetch(this.options.apiEndpoint, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify(maskedRecord)
-        });
+      const storageKey = this.timeline
+        ? this.timeline.getStorageKey(record)
+        : `dom_${record.timestamp}`;
+      localStorage.setItem(storageKey, nativeJsonStringify(maskedRecord));
 
-        if (!response.ok) {
-          console.warn('[DOMTracker] 서버 저장 실패:', await response.text());
-        }
+      // 서버로 전송 (API 엔드포인트가 있는 경우, 배치/재시도는 전송 모듈이 처리)
+      if (this.transport) {
+        this.transport.enqueue(maskedRecord);
       }
 
       // 로그 레벨에 따른 콘솔 출력
@@ -95,11 +120,15 @@ class DOMTracker {
             mutation.attributeName === 'value') {
           const el = mutation.target;
           if (['INPUT', 'TEXTAREA', 'SELECT'].includes(el.tagName)) {
+            const value = readFieldValue(el);
+            const context = this.masking.getContext(el, readFieldValue);
+            const dataType = this.masking.classify(value, context);
             this.record({
               type: 'input-change',
               element: el.tagName,
               name: el.name || '',
-              value: this.maskSensitiveData(el.value, el.name),
+              value: this.maskSensitiveData(value, el, context),
+              sensitiveData: dataType ? [dataType] : [],
               selector: this.getElementSelector(el)
             });
           }
@@ -123,8 +152,9 @@ class DOMTracker {
         if (mutation.type === 'characterData') {
           this.record({
             type: 'text-change',
-            before: mutation.oldValue,
-            after: mutation.target.data,
+            before: this.maskSensitiveText(mutation.oldValue),
+            after: this.maskSensitiveText(mutation.target.data),
+            sensitiveData: this.masking.detect(mutation.target.data),
             selector: this.getElementSelector(mutation.target.parentElement)
           });
         }
@@ -207,6 +237,64 @@ class DOMTracker {
     this.observers.set('disable', observer);
   }
 
+  // 전체 DOM 스냅샷 생성
+  takeSnapshot() {
+    this.snapshot = this.serializer.takeSnapshot(document);
+    this.mutationLog = [];
+
+    if (this.timeline) {
+      this.timeline.setDOMSnapshot(this.snapshot);
+    }
+    return this.snapshot;
+  }
+
+  // 스냅샷 이후의 모든 변경을 ID 기반 diff로 기록
+  trackMutationLog() {
+    this.takeSnapshot();
+
+    // 이미 감시 중이면 새 스냅샷만 기준점으로 사용
+    if (this.observers.has('mutation-log')) return;
+
+    const observer = new MutationObserver(mutations => {
+      const diffs = this.serializer.serializeMutations(mutations);
+      if (diffs.length === 0) return;
+
+      let entry = {
+        type: 'dom-mutation',
+        timestamp: Date.now(),
+        mutations: diffs
+      };
+      if (this.timeline) {
+        entry = this.timeline.append('dom', entry);
+      }
+      this.mutationLog.push(entry);
+      this.mutationListeners.forEach(listener => listener(entry));
+
+      if (this.options.logLevel === 'debug') {
+        console.debug('[DOMTracker] 변경 로그:', entry);
+      }
+    });
+
+    observer.observe(document, {
+      attributes: true,
+      characterData: true,
+      childList: true,
+      subtree: true
+    });
+
+    this.observers.set('mutation-log', observer);
+  }
+
+  // 변경 로그 구독 (세션 레코더 등)
+  addMutationListener(listener) {
+    this.mutationListeners.add(listener);
+  }
+
+  // 변경 로그 구독 해제
+  removeMutationListener(listener) {
+    this.mutationListeners.delete(listener);
+  }
+
   // 요소의 고유 선택자 생성
   getElementSelector(element) {
     if (!element || element === document.documentElement) {
@@ -228,6 +316,12 @@ class DOMTracker {
 
   // 모든 감지 시작
   start() {
+    if (this.transport) {
+      this.transport.start();
+    }
+    if (this.options.recordSnapshots) {
+      this.trackMutationLog();
+    }
     this.trackInputChanges();
     this.trackTextChanges();
     this.trackNodeChanges();
@@ -244,6 +338,16 @@ class DOMTracker {
   getRecords() {
     return this.records;
   }
+
+  // 초기 스냅샷 조회
+  getSnapshot() {
+    return this.snapshot;
+  }
+
+  // 증분 변경 로그 조회
+  getMutationLog() {
+    return this.mutationLog;
+  }
 }
 
 export default DOMTracker; 
@@ -0,0 +1,181 @@
+// 위변조 검증용 해시 체인 모듈 (src/core/evidence.js)
+
+// 페이지 감시용으로 감싸기 전의 JSON.stringify (정규화가 변환 시도로 기록되지 않도록)
+const nativeJsonStringify = JSON.stringify;
+
+// 첫 기록의 이전 해시
+const GENESIS_HASH = '0'.repeat(64);
+
+// 체인 메타데이터 필드 (내용 해시 계산 시 hash 자신은 제외)
+const CHAIN_FIELDS = ['chainIndex', 'prevHash', 'hash'];
+
+class EvidenceChain {
+  constructor(options = {}) {
+    this.options = {
+      sessionId: options.sessionId || null,
+      logLevel: options.logLevel || 'info',
+      ...options
+    };
+
+    this.length = 0;
+    this.lastHash = GENESIS_HASH;
+    this.seal = null;
+
+    // 여러 모듈에서 동시에 추가해도 체인 순서가 꼬이지 않도록 직렬화
+    this.pending = Promise.resolve();
+  }
+
+  // Web Crypto 사용 가능 여부 (보안 컨텍스트에서만 제공)
+  static isSupported() {
+    return typeof crypto !== 'undefined' && !!crypto.subtle;
+  }
+
+  // 키를 정렬한 결정적 JSON (같은 내용이면 항상 같은 문자열)
+  static canonicalize(value) {
+    if (value === null || typeof value !== 'object') {
+      return nativeJsonStringify(value === undefined ? null : value);
+    }
+
+    if (Array.isArray(value)) {
+      return `[${value.map(item => EvidenceChain.canonicalize(item)).join(',')}]`;
+    }
+
+    const keys = Object.keys(value)
+      .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+      .sort();
+    return `{${keys.map(key =>
+      `${nativeJsonStringify(key)}:${EvidenceChain.canonicalize(value[key])}`
+    ).join(',')}}`;
+  }
+
+  // SHA-256 (hex)
+  static async sha256(text) {
+    const data = new TextEncoder().encode(text);
+    const digest = await crypto.subtle.digest('SHA-256', data);
+    return Array.from(new Uint8Array(digest))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('');
+  }
+
+  // 기록 해시 계산 (이전 해시와 순번을 포함한 내용 기준)
+  static hashRecord(record) {
+    const content = { ...record };
+    delete content.hash;
+    return EvidenceChain.sha256(EvidenceChain.canonicalize(content));
+  }
+
+  // 봉인 해시 계산
+  static hashSeal(seal) {
+    const content = { ...seal };
+    delete content.hash;
+    return EvidenceChain.sha256(EvidenceChain.canonicalize(content));
+  }
+
+  // 기록을 체인에 연결 (chainIndex, prevHash, hash 부여)
+  append(record) {
+    const result = this.pending.then(async () => {
+      if (this.seal) {
+        throw new Error('이미 봉인된 체인에는 기록을 추가할 수 없습니다.');
+      }
+
+      const content = { ...record };
+      CHAIN_FIELDS.forEach(field => delete content[field]);
+
+      const linked = {
+        ...content,
+        chainIndex: this.length,
+        prevHash: this.lastHash
+      };
+      linked.hash = await EvidenceChain.hashRecord(linked);
+
+      this.length++;
+      this.lastHash = linked.hash;
+      return linked;
+    });
+
+    // 한 기록의 실패가 이후 기록을 막지 않도록 분리
+    this.pending = result.catch(() => {});
+    return result;
+  }
+
+  // 세션 종료 시 최종 다이제스트로 봉인
+  sealChain() {
+    const result = this.pending.then(async () => {
+      if (this.seal) return this.seal;
+
+      const seal = {
+        type: 'evidence-seal',
+        sessionId: this.options.sessionId,
+        recordCount: this.length,
+        lastHash: this.lastHash,
+        sealedAt: Date.now()
+      };
+      seal.hash = await EvidenceChain.hashSeal(seal);
+
+      this.seal = seal;
+      console.log('[EvidenceChain] 체인 봉인:', seal.hash);
+      return seal;
+    });
+
+    this.pending = result.catch(() => {});
+    return result;
+  }
+
+  // 체인 검증: 변조/삭제된 기록을 chainIndex 단위로 보고
+  static async verify(records, seal = null) {
+    const errors = [];
+    const sorted = records
+      .filter(record => record && typeof record.chainIndex === 'number')
+      .sort((a, b) => a.chainIndex - b.chainIndex);
+
+    let expectedIndex = 0;
+    let prevHash = GENESIS_HASH;
+
+    for (const record of sorted) {
+      // 순번이 비면 그 사이 기록이 삭제된 것
+      if (record.chainIndex > expectedIndex) {
+        for (let index = expectedIndex; index < record.chainIndex; index++) {
+          errors.push({ chainIndex: index, type: 'removed' });
+        }
+      } else if (record.chainIndex < expectedIndex) {
+        errors.push({ chainIndex: record.chainIndex, type: 'duplicated' });
+        continue;
+      } else if (record.prevHash !== prevHash) {
+        // 직전 기록의 해시가 다시 계산되어 바뀐 경우
+        errors.push({ chainIndex: record.chainIndex - 1, type: 'altered', reason: 'hash-replaced' });
+      }
+
+      const hash = await EvidenceChain.hashRecord(record);
+      if (hash !== record.hash) {
+        errors.push({ chainIndex: record.chainIndex, type: 'altered', reason: 'content-mismatch' });
+      }
+
+      expectedIndex = record.chainIndex + 1;
+      prevHash = record.hash;
+    }
+
+    if (seal) {
+      const sealHash = await EvidenceChain.hashSeal(seal);
+      if (sealHash !== seal.hash) {
+        errors.push({ type: 'seal-altered' });
+      } else {
+        // 마지막 기록들이 삭제된 경우
+        for (let index = expectedIndex; index < seal.recordCount; index++) {
+          errors.push({ chainIndex: index, type: 'removed' });
+        }
+        if (expectedIndex === seal.recordCount && prevHash !== seal.lastHash) {
+          errors.push({ chainIndex: seal.recordCount - 1, type: 'altered', reason: 'seal-mismatch' });
+        }
+      }
+    }
+
+    return {
+      valid: errors.length === 0,
+      sealed: !!seal,
+      totalRecords: sorted.length,
+      errors
+    };
+  }
+}
+
+export default EvidenceChain;
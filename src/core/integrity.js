@@ -0,0 +1,230 @@
+// 보호 폼 무결성 감시 모듈 (src/core/integrity.js)
+// 선언한 결제 폼(선택자, 허용 action 출처, 필드 목록)과 현재 폼을 비교해
+// action 변경, 필드 추가/삭제, 필드 위 겹침 요소, 폼 교체/삭제를 찾음
+
+// 폼 속성 읽기 원본 (폼 요소의 속성은 같은 name의 입력 요소에 가려질 수 있음)
+const nativeGetAttribute = Element.prototype.getAttribute;
+
+// 필드 목록 비교에서 제외할 입력 유형 (제출 버튼류는 formaction 검사로 확인)
+const BUTTON_INPUT_TYPES = ['submit', 'button', 'reset', 'image'];
+
+// 입력 필드 위에 겹쳐 가짜 입력을 받을 수 있는 요소
+const OVERLAY_TAGS = ['INPUT', 'TEXTAREA', 'SELECT', 'IFRAME'];
+
+// 이탈 유형별 위험도
+const CHECK_SEVERITY = {
+  'action-changed': 1.0,
+  'field-overlay': 0.95,
+  'unexpected-field': 0.85,
+  'form-replaced': 0.8,
+  'form-removed': 0.8,
+  'missing-field': 0.7,
+  'form-missing': 0.6
+};
+
+class FormIntegrityMonitor {
+  constructor(options = {}) {
+    this.options = {
+      // 보호할 폼 선언 목록 ({ selector, actionOrigins, fields, name })
+      protectedForms: options.protectedForms || [],
+      ...options
+    };
+
+    // 선언별 상태 (마지막으로 확인한 폼 요소, 이미 보고한 이탈)
+    this.states = this.options.protectedForms.map(declaration => ({
+      declaration: this.normalizeDeclaration(declaration),
+      form: null,
+      reported: new Set()
+    }));
+  }
+
+  // 선언 정규화 (action 출처를 생략하면 페이지 출처만 허용)
+  normalizeDeclaration(declaration) {
+    const origins = declaration.actionOrigins || declaration.actionOrigin || [window.location.origin];
+    return {
+      name: declaration.name || declaration.selector,
+      selector: declaration.selector,
+      actionOrigins: (Array.isArray(origins) ? origins : [origins]).map(origin => this.getOrigin(origin)),
+      fields: declaration.fields || []
+    };
+  }
+
+  // 감시할 폼이 있는지
+  isEnabled() {
+    return this.states.length > 0;
+  }
+
+  // URL의 출처 (해석할 수 없으면 원래 값)
+  getOrigin(url) {
+    try {
+      return new URL(url, window.location.href).origin;
+    } catch (error) {
+      return url;
+    }
+  }
+
+  // 필드 식별자 (name, 없으면 id)
+  getFieldId(field) {
+    return field.name || field.id || '';
+  }
+
+  // 기록용 요소 설명
+  describeElement(element) {
+    const tag = element.tagName.toLowerCase();
+    if (element.id) return `${tag}#${element.id}`;
+    if (element.name) return `${tag}[name="${element.name}"]`;
+    return tag;
+  }
+
+  // 비교 대상 입력 필드 (폼 밖에서 form 속성으로 연결된 필드 포함)
+  getFields(form) {
+    return Array.from(form.elements).filter(element =>
+      ['INPUT', 'SELECT', 'TEXTAREA'].includes(element.tagName) &&
+      !(element.tagName === 'INPUT' && BUTTON_INPUT_TYPES.includes(element.type)));
+  }
+
+  // 처음 보는 이탈이면 기록 형식으로 반환 (이미 보고했으면 null)
+  createFinding(state, check, key, details = {}) {
+    const reportKey = `${check}|${key}`;
+    if (state.reported.has(reportKey)) return null;
+    state.reported.add(reportKey);
+
+    return {
+      type: 'form-tampering',
+      check,
+      form: state.declaration.name,
+      selector: state.declaration.selector,
+      ...details
+    };
+  }
+
+  // 폼 제출 주소 (form.action은 name="action" 입력에 가려지므로 속성을 읽어 문서 기준 URL로 해석, 없으면 문서 주소)
+  getFormAction(form) {
+    const action = nativeGetAttribute.call(form, 'action');
+    if (!action) return form.ownerDocument.URL;
+    try {
+      return new URL(action, form.baseURI).href;
+    } catch (error) {
+      return action;
+    }
+  }
+
+  // 폼 action과 제출 버튼 formaction의 출처 확인
+  checkAction(state, form, submitter) {
+    const targets = [{ source: 'action', url: this.getFormAction(form) }];
+    Array.from(form.elements)
+      .filter(element => element.hasAttribute && element.hasAttribute('formaction'))
+      .forEach(element => targets.push({
+        source: 'formaction',
+        url: element.getAttribute('formaction'),
+        element: this.describeElement(element)
+      }));
+    if (submitter && submitter.hasAttribute('formaction')) {
+      targets.push({
+        source: 'formaction',
+        url: submitter.getAttribute('formaction'),
+        element: this.describeElement(submitter)
+      });
+    }
+
+    return targets
+      .filter(target => !state.declaration.actionOrigins.includes(this.getOrigin(target.url)))
+      .map(target => this.createFinding(state, 'action-changed', target.url, {
+        source: target.source,
+        element: target.element,
+        action: target.url,
+        expectedOrigins: state.declaration.actionOrigins
+      }));
+  }
+
+  // 선언에 없는 필드와 사라진 필드 확인
+  checkFields(state, form) {
+    const expected = state.declaration.fields;
+    if (expected.length === 0) return [];
+
+    const fields = this.getFields(form);
+    const present = new Set(fields.map(field => this.getFieldId(field)));
+
+    const unexpected = fields
+      .filter(field => !expected.includes(this.getFieldId(field)) && !expected.includes(field.id))
+      .map(field => this.createFinding(state, 'unexpected-field', this.describeElement(field), {
+        element: this.describeElement(field),
+        name: field.name || '',
+        fieldType: field.type,
+        hidden: field.type === 'hidden'
+      }));
+
+    const missing = expected
+      .filter(id => !present.has(id) && !fields.some(field => field.id === id))
+      .map(id => this.createFinding(state, 'missing-field', id, { name: id }));
+
+    return [...unexpected, ...missing];
+  }
+
+  // 선언한 필드 위에 다른 입력 요소가 겹쳐 있는지 확인 (가짜 카드 입력란 등)
+  checkOverlays(state, form) {
+    if (typeof document.elementFromPoint !== 'function') return [];
+
+    return this.getFields(form)
+      .filter(field => state.declaration.fields.includes(this.getFieldId(field)) ||
+        state.declaration.fields.includes(field.id))
+      .map(field => {
+        const rect = field.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) return null;
+
+        const top = document.elementFromPoint(rect.left + rect.width / 2, rect.top + rect.height / 2);
+        if (!top || top === field || field.contains(top) || !OVERLAY_TAGS.includes(top.tagName)) return null;
+
+        return this.createFinding(state, 'field-overlay', `${this.describeElement(field)}|${this.describeElement(top)}`, {
+          element: this.describeElement(field),
+          name: this.getFieldId(field),
+          overlay: this.describeElement(top),
+          overlayInForm: form.contains(top)
+        });
+      });
+  }
+
+  // 선언 하나 확인
+  verifyState(state, submitter) {
+    const form = document.querySelector(state.declaration.selector);
+
+    if (!form) {
+      // 문서를 다 읽기 전에는 아직 폼이 없을 수 있음
+      if (document.readyState === 'loading') return [];
+      return [this.createFinding(state, state.form ? 'form-removed' : 'form-missing', 'missing')];
+    }
+
+    const findings = [];
+    if (state.form && state.form !== form) {
+      findings.push(this.createFinding(state, 'form-replaced', this.describeElement(form), {
+        element: this.describeElement(form)
+      }));
+    }
+    state.form = form;
+
+    return [
+      ...findings,
+      ...this.checkAction(state, form, submitter),
+      ...this.checkFields(state, form),
+      ...this.checkOverlays(state, form)
+    ];
+  }
+
+  // 모든 보호 폼 확인 (새로 발견한 이탈만 반환)
+  // submitter: 제출 중이면 제출 버튼 (formaction 확인)
+  verify(submitter = null) {
+    const findings = [];
+    this.states.forEach(state => {
+      try {
+        findings.push(...this.verifyState(state, submitter));
+      } catch (error) {
+        console.warn('[FormIntegrityMonitor] 폼 확인 중 오류:', state.declaration.selector, error);
+      }
+    });
+    return findings.filter(Boolean);
+  }
+}
+
+FormIntegrityMonitor.CHECK_SEVERITY = CHECK_SEVERITY;
+
+export default FormIntegrityMonitor;
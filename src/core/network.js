@@ -1,47 +1,85 @@
 // 네트워크 요청 감지 모듈 (src/core/network.js)
 
+import ForensicTransport from './transport';
+import HarExporter from '../shared/har';
+import MaskingEngine from '../shared/masking';
+import ScriptAttributor from './attribution';
+
+// 페이지 감시용으로 감싸기 전의 JSON.parse/JSON.stringify (형식 추정과 기록 저장이 변환 시도로 기록되지 않도록)
+const nativeJsonParse = JSON.parse;
+const nativeJsonStringify = JSON.stringify;
+
 class NetworkTracker {
   constructor(options = {}) {
     this.options = {
-      maskPatterns: options.maskPatterns || ['card', 'password'],
       logLevel: options.logLevel || 'info',
+      // 응답 본문 기록 여부와 최대 길이 (마스킹 후 잘라서 저장)
+      captureResponseBody: options.captureResponseBody || false,
+      maxResponseBodySize: options.maxResponseBodySize || 2048,
+      // sendBeacon/WebSocket/EventSource 데이터의 최대 기록 길이
+      maxPayloadSize: options.maxPayloadSize || 2048,
+      // 기록할 응답 헤더 (교차 출처 응답은 CORS로 노출된 헤더만 읽힘)
+      responseHeaders: options.responseHeaders || [
+        'content-type',
+        'content-length',
+        'content-encoding',
+        'cache-control',
+        'location',
+        'server',
+        'access-control-allow-origin'
+      ],
       ...options
     };
     
     this.records = [];
+    this.timeline = this.options.timeline || null;
+    this.evidenceChain = this.options.evidenceChain || null;
+    this.transport = this.options.transport ||
+      (this.options.apiEndpoint ? new ForensicTransport(this.options) : null);
+    this.masking = this.options.maskingEngine || new MaskingEngine(this.options);
+    this.attribution = this.options.scriptAttributor || new ScriptAttributor(this.options);
+    // 요청 ID별 원인 스크립트 (비동기로 기록되는 응답/후속 기록에 사용)
+    this.requestScripts = new Map();
     this.originalFetch = window.fetch;
     this.originalXHROpen = XMLHttpRequest.prototype.open;
     this.originalXHRSend = XMLHttpRequest.prototype.send;
+    this.originalXHRSetRequestHeader = XMLHttpRequest.prototype.setRequestHeader;
+    this.originalSendBeacon = navigator.sendBeacon;
+    this.originalWebSocket = window.WebSocket;
+    this.originalWebSocketSend = window.WebSocket ? window.WebSocket.prototype.send : null;
+    this.originalEventSource = window.EventSource;
+    this.originalEventSourceAddListener = window.EventSource
+      ? window.EventSource.prototype.addEventListener
+      : null;
+
+    // 연결별 ID (WebSocket/EventSource 기록 연결용)
+    this.connections = new WeakMap();
+    // start()에서 교체한 전역 함수 ({ target, name, original, wrapper })
+    this.replaced = [];
+    // XHR별 진행 중인 요청 ({ requestId, startTime, failure }, 같은 객체를 다시 send해도 리스너는 한 번만 등록)
+    this.xhrRequests = new WeakMap();
+    this.isTracking = false;
+  }
+
+  // 요청 ID 생성 (요청 기록과 응답 기록 연결용)
+  generateRequestId() {
+    return `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 
-  // 민감 정보 마스킹
+  // 민감 정보 마스킹 (마스킹 정책 적용, 문자열이 아닌 본문은 JSON/폼 데이터만 처리)
   maskSensitiveData(data, contentType) {
     if (!data) return data;
 
     try {
-      // JSON 데이터 처리
-      if (contentType?.includes('application/json')) {
-        const jsonData = typeof data === 'string' ? JSON.parse(data) : data;
-        const maskedData = this.maskObject(jsonData);
-        return JSON.stringify(maskedData);
+      if (typeof data === 'string') {
+        return this.masking.maskPayload(data, contentType);
       }
-
-      // Form 데이터 처리
-      if (contentType?.includes('application/x-www-form-urlencoded')) {
-        const params = new URLSearchParams(data);
-        for (const [key, value] of params.entries()) {
-          if (this.isSensitiveField(key)) {
-            params.set(key, this.maskValue(value));
-          }
-        }
-        return params.toString();
+      if (data instanceof URLSearchParams) {
+        return this.masking.maskFormEncoded(data.toString());
       }
-
-      // 일반 텍스트 데이터 처리
-      if (typeof data === 'string') {
-        return this.maskText(data);
+      if (contentType?.includes('application/json') && typeof data === 'object') {
+        return nativeJsonStringify(this.masking.maskObject(data));
       }
-
       return data;
     } catch (error) {
       console.warn('[NetworkTracker] 데이터 마스킹 중 오류:', error);
@@ -49,53 +87,157 @@ class NetworkTracker {
     }
   }
 
-  maskObject(obj) {
-    if (!obj || typeof obj !== 'object') return obj;
+  // 마스킹 전 URL과 본문에 포함된 민감 정보 유형 목록
+  detectSensitiveData(...texts) {
+    return this.masking.detect(...texts);
+  }
 
-    const masked = Array.isArray(obj) ? [] : {};
-    
-    for (const [key, value] of Object.entries(obj)) {
-      if (this.isSensitiveField(key)) {
-        masked[key] = this.maskValue(value);
-      } else if (typeof value === 'object' && value !== null) {
-        masked[key] = this.maskObject(value);
-      } else {
-        masked[key] = value;
+  // 텍스트 마스킹 후 최대 길이로 자르기
+  maskPayload(text, contentType, maxSize) {
+    const masked = this.masking.maskPayload(text, contentType) || '';
+    const truncated = masked.length > maxSize;
+    return {
+      body: truncated ? masked.slice(0, maxSize) : masked,
+      truncated
+    };
+  }
+
+  // 응답 본문 마스킹 후 최대 길이로 자르기
+  maskResponseBody(text, contentType) {
+    const { body, truncated } = this.maskPayload(text, contentType, this.options.maxResponseBodySize);
+    return {
+      responseBody: body,
+      responseBodyTruncated: truncated
+    };
+  }
+
+  // 형식이 선언되지 않은 텍스트의 형식 추정 (마스킹 방식 결정용)
+  inferContentType(text) {
+    const trimmed = text.trim();
+    if (/^[[{]/.test(trimmed)) {
+      try {
+        nativeJsonParse(trimmed);
+        return 'application/json';
+      } catch (error) {
+        // JSON 아님
       }
     }
+    if (/^[^=&\s]+=[^&\s]*(&[^=&\s]+=[^&\s]*)*$/.test(trimmed)) {
+      return 'application/x-www-form-urlencoded';
+    }
+    return 'text/plain';
+  }
+
+  // sendBeacon/WebSocket 데이터를 텍스트로 변환 ({ text, contentType, size })
+  async readPayload(data) {
+    if (data === null || data === undefined) {
+      return { text: '', contentType: null, size: 0 };
+    }
+    if (typeof data === 'string') {
+      return { text: data, contentType: this.inferContentType(data), size: this.getByteSize(data) };
+    }
+    if (data instanceof URLSearchParams) {
+      const text = data.toString();
+      return { text, contentType: 'application/x-www-form-urlencoded', size: this.getByteSize(text) };
+    }
+    if (typeof FormData !== 'undefined' && data instanceof FormData) {
+      // 파일은 이름만 남기고 폼 인코딩으로 마스킹
+      const params = new URLSearchParams();
+      data.forEach((value, key) => {
+        params.append(key, typeof value === 'string' ? value : `[file ${value.name}]`);
+      });
+      const text = params.toString();
+      return { text, contentType: 'application/x-www-form-urlencoded', size: this.getByteSize(text) };
+    }
+    if (data instanceof Blob) {
+      const text = await data.text();
+      return { text, contentType: data.type || this.inferContentType(text), size: data.size };
+    }
+    if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+      const text = new TextDecoder().decode(data);
+      return { text, contentType: this.inferContentType(text), size: data.byteLength };
+    }
+    const text = String(data);
+    return { text, contentType: this.inferContentType(text), size: this.getByteSize(text) };
+  }
 
-    return masked;
+  // 데이터를 읽어 마스킹된 본문 필드 생성
+  async describePayload(data) {
+    try {
+      const { text, contentType, size } = await this.readPayload(data);
+      const { body, truncated } = this.maskPayload(text, contentType, this.options.maxPayloadSize);
+      return {
+        body,
+        bodyTruncated: truncated,
+        size,
+        headers: { 'content-type': contentType },
+        sensitiveData: this.detectSensitiveData(text)
+      };
+    } catch (error) {
+      console.warn('[NetworkTracker] 전송 데이터 읽기 실패:', error);
+      return { body: null, size: null, headers: {} };
+    }
   }
 
-  maskValue(value) {
-    if (!value) return value;
-    return '*'.repeat(Math.min(value.length, 8));
+  // 텍스트 바이트 크기
+  getByteSize(text) {
+    return new TextEncoder().encode(text).length;
   }
 
-  maskText(text) {
-    return text.replace(
-      new RegExp(this.options.maskPatterns.join('|'), 'gi'),
-      match => '*'.repeat(Math.min(match.length, 8))
-    );
+  // 선택된 응답 헤더 추출
+  pickResponseHeaders(getHeader) {
+    const headers = {};
+    this.options.responseHeaders.forEach(name => {
+      try {
+        const value = getHeader(name);
+        if (value !== null && value !== undefined) headers[name] = value;
+      } catch (error) {
+        // 노출되지 않은 헤더
+      }
+    });
+    return headers;
+  }
+
+  // 경과 시간 (ms)
+  getDuration(startTime) {
+    return Math.round((performance.now() - startTime) * 1000) / 1000;
   }
 
-  isSensitiveField(fieldName) {
-    return this.options.maskPatterns.some(pattern => 
-      fieldName.toLowerCase().includes(pattern.toLowerCase())
-    );
+  // 기록의 원인 스크립트 (스택에서 찾지 못하면 같은 요청을 보낸 스크립트)
+  getRecordScript(event) {
+    const captured = event.script !== undefined ? event.script : this.attribution.capture();
+    const script = captured || (event.requestId && this.requestScripts.get(event.requestId)) || null;
+
+    if (event.requestId && script && !this.requestScripts.has(event.requestId)) {
+      this.requestScripts.set(event.requestId, script);
+      // 오래된 요청부터 제거
+      if (this.requestScripts.size > 500) {
+        this.requestScripts.delete(this.requestScripts.keys().next().value);
+      }
+    }
+    return script;
   }
 
   // 기록 저장
   record(event) {
     const timestamp = Date.now();
-    const record = {
+    let record = {
       ...event,
       timestamp,
-      url: window.location.href
+      pageUrl: window.location.href
     };
+    if (typeof record.url === 'string') {
+      record.url = this.masking.maskUrl(record.url, window.location.href);
+    }
+    record.script = this.getRecordScript(event);
+
+    if (this.timeline) {
+      record = this.timeline.append('network', record);
+    }
 
     this.records.push(record);
-    console.log(`[NETWORK RECORD] ${JSON.stringify(record)}`);
+    this.attribution.observe(record);
+    console.log(`[NETWORK RECORD] ${nativeJsonStringify(record)}`);
     
     // 서버로 전송 또는 로컬 저장
     this.saveRecord(record);
@@ -105,28 +247,25 @@ class NetworkTracker {
   async saveRecord(record) {
     try {
       // 민감한 데이터 마스킹
-      const maskedRecord = {
+      let maskedRecord = {
         ...record,
-        body: this.maskSensitiveData(record.body, record.headers['content-type'])
+        body: this.maskSensitiveData(record.body, record.headers?.['content-type'])
       };
 
-      // 로컬 스토리지에 저장
-      const storageKey = `network_${record.timestamp}`;
-      localStorage.setItem(storageKey, JSON.stringify(maskedRecord));
-
-      // 서버로 전송 (API 엔드포인트가 있는 경우)
-      if (this.options.apiEndpoint) {
-        const response = await fetch(this.options.apiEndpoint, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify(maskedRecord)
-        });
+      // 해시 체인 연결 (위변조 검증용)
+      if (this.evidenceChain) {
+        maskedRecord = await this.evidenceChain.append(maskedRecord);
+      }
 
-        if (!response.ok) {
-          console.warn('[NetworkTracker] 서버 저장 실패:', await response.text());
-        }
+      // 로컬 스토리지에 저장
+      const storageKey = this.timeline
+        ? this.timeline.getStorageKey(record)
+        : `network_${record.timestamp}`;
+      localStorage.setItem(storageKey, nativeJsonStringify(maskedRecord));
+
+      // 서버로 전송 (API 엔드포인트가 있는 경우, 배치/재시도는 전송 모듈이 처리)
+      if (this.transport) {
+        this.transport.enqueue(maskedRecord);
       }
 
       // 로그 레벨에 따른 콘솔 출력
@@ -137,6 +276,7 @@ class NetworkTracker {
           type: maskedRecord.type,
           url: maskedRecord.url,
           method: maskedRecord.method,
+          status: maskedRecord.status,
           timestamp: maskedRecord.timestamp
         });
       }
@@ -147,11 +287,15 @@ class NetworkTracker {
 
   // Fetch 요청 가로채기
   interceptFetch() {
-    window.fetch = async (resource, init = {}) => {
+    this.replaceGlobal(window, 'fetch', async (resource, init = {}) => {
+      if (!this.isTracking) return this.originalFetch.call(window, resource, init);
+
       const url = resource.url || resource;
       const method = init.method || 'GET';
       const headers = init.headers || {};
       const contentType = headers['Content-Type'] || headers['content-type'];
+      const requestId = this.generateRequestId();
+      const sensitiveData = this.detectSensitiveData(String(url), init.body);
       
       let body = init.body;
       if (body) {
@@ -160,6 +304,7 @@ class NetworkTracker {
 
       this.record({
         type: 'fetch',
+        requestId,
         url,
         method,
         headers: {
@@ -168,48 +313,431 @@ class NetworkTracker {
           'content-type': contentType
         },
         body,
+        sensitiveData,
         timestamp: Date.now()
       });
 
-      return this.originalFetch.call(window, resource, init);
+      const startTime = performance.now();
+      try {
+        const response = await this.originalFetch.call(window, resource, init);
+        this.recordFetchResponse(requestId, url, method, response, startTime);
+        return response;
+      } catch (error) {
+        this.record({
+          type: 'fetch-response',
+          requestId,
+          url,
+          method,
+          ok: false,
+          error: error.message,
+          duration: this.getDuration(startTime)
+        });
+        throw error;
+      }
+    });
+  }
+
+  // Fetch 응답 기록 (페이지가 받는 응답에는 영향 없도록 복제본에서 본문 읽기)
+  async recordFetchResponse(requestId, url, method, response, startTime) {
+    const duration = this.getDuration(startTime);
+    const headers = this.pickResponseHeaders(name => response.headers.get(name));
+    const contentLength = parseInt(headers['content-length'], 10);
+
+    const event = {
+      type: 'fetch-response',
+      requestId,
+      url,
+      method,
+      status: response.status,
+      statusText: response.statusText,
+      ok: response.ok,
+      responseType: response.type,
+      redirected: response.redirected,
+      finalUrl: response.url || url,
+      headers,
+      size: Number.isNaN(contentLength) ? null : contentLength,
+      duration
     };
+
+    if (this.options.captureResponseBody && response.type !== 'opaque') {
+      try {
+        const text = await response.clone().text();
+        event.size = this.getByteSize(text);
+        Object.assign(event, this.maskResponseBody(text, headers['content-type']));
+      } catch (error) {
+        console.warn('[NetworkTracker] 응답 본문 읽기 실패:', error);
+      }
+    }
+
+    this.record(event);
   }
 
   // XMLHttpRequest 가로채기
   interceptXHR() {
-    XMLHttpRequest.prototype.open = function(method, url) {
+    const tracker = this;
+
+    this.replaceGlobal(XMLHttpRequest.prototype, 'open', function(method, url) {
       this._method = method;
       this._url = url;
-      return this.originalXHROpen.apply(this, arguments);
-    };
+      this._requestHeaders = {};
+      return tracker.originalXHROpen.apply(this, arguments);
+    });
 
-    XMLHttpRequest.prototype.send = function(body) {
+    // XHR은 설정된 요청 헤더를 읽을 수 없으므로 설정 시점에 보관
+    this.replaceGlobal(XMLHttpRequest.prototype, 'setRequestHeader', function(name, value) {
+      if (this._requestHeaders) {
+        this._requestHeaders[name.toLowerCase()] = value;
+      }
+      return tracker.originalXHRSetRequestHeader.apply(this, arguments);
+    });
+
+    this.replaceGlobal(XMLHttpRequest.prototype, 'send', function(body) {
+      if (!tracker.isTracking) return tracker.originalXHRSend.apply(this, arguments);
+
+      const requestHeaders = this._requestHeaders || {};
       const headers = {};
-      ['Content-Type', 'Referer', 'Origin'].forEach(header => {
-        const value = this.getRequestHeader(header);
-        if (value) headers[header.toLowerCase()] = value;
+      ['content-type', 'referer', 'origin'].forEach(header => {
+        if (requestHeaders[header]) headers[header] = requestHeaders[header];
       });
 
+      const sensitiveData = tracker.detectSensitiveData(String(this._url), body);
       if (body) {
-        body = this.maskSensitiveData(body, headers['content-type']);
+        body = tracker.maskSensitiveData(body, headers['content-type']);
       }
 
-      this.record({
+      const requestId = tracker.generateRequestId();
+      tracker.record({
         type: 'xhr',
+        requestId,
         url: this._url,
         method: this._method,
         headers,
         body,
+        sensitiveData,
         timestamp: Date.now()
       });
 
-      return this.originalXHRSend.apply(this, arguments);
+      tracker.watchXHR(this);
+      tracker.xhrRequests.set(this, { requestId, startTime: performance.now(), failure: null });
+
+      return tracker.originalXHRSend.apply(this, arguments);
+    });
+  }
+
+  // XHR 완료 리스너 등록 (객체마다 한 번, 리스너는 그 시점의 진행 중인 요청을 읽음)
+  watchXHR(xhr) {
+    if (this.xhrRequests.has(xhr)) return;
+
+    ['error', 'abort', 'timeout'].forEach(type => {
+      xhr.addEventListener(type, () => {
+        const request = this.xhrRequests.get(xhr);
+        if (request) request.failure = type;
+      });
+    });
+    xhr.addEventListener('loadend', () => {
+      const request = this.xhrRequests.get(xhr);
+      if (!request) return;
+      // 키는 남겨 둠 (다시 send해도 리스너를 또 등록하지 않도록)
+      this.xhrRequests.set(xhr, null);
+      this.recordXHRResponse(xhr, request.requestId, request.startTime, request.failure);
+    });
+  }
+
+  // XHR 응답 기록
+  recordXHRResponse(xhr, requestId, startTime, failure) {
+    const duration = this.getDuration(startTime);
+
+    if (failure) {
+      this.record({
+        type: 'xhr-response',
+        requestId,
+        url: xhr._url,
+        method: xhr._method,
+        ok: false,
+        error: failure,
+        duration
+      });
+      return;
+    }
+
+    const headers = this.pickResponseHeaders(name => xhr.getResponseHeader(name));
+    const contentLength = parseInt(headers['content-length'], 10);
+
+    const event = {
+      type: 'xhr-response',
+      requestId,
+      url: xhr._url,
+      method: xhr._method,
+      status: xhr.status,
+      statusText: xhr.statusText,
+      ok: xhr.status >= 200 && xhr.status < 300,
+      responseType: xhr.responseType || 'text',
+      finalUrl: xhr.responseURL || xhr._url,
+      headers,
+      size: Number.isNaN(contentLength) ? null : contentLength,
+      duration
     };
+
+    try {
+      // 텍스트로 읽을 수 있는 응답만 본문 기록
+      let text = null;
+      if (xhr.responseType === '' || xhr.responseType === 'text') {
+        text = xhr.responseText;
+      } else if (xhr.responseType === 'json' && xhr.response !== null) {
+        text = nativeJsonStringify(xhr.response);
+      } else if (xhr.responseType === 'arraybuffer' && xhr.response) {
+        event.size = xhr.response.byteLength;
+      } else if (xhr.responseType === 'blob' && xhr.response) {
+        event.size = xhr.response.size;
+      }
+
+      if (text !== null) {
+        event.size = this.getByteSize(text);
+        if (this.options.captureResponseBody) {
+          Object.assign(event, this.maskResponseBody(text, headers['content-type']));
+        }
+      }
+    } catch (error) {
+      console.warn('[NetworkTracker] XHR 응답 읽기 실패:', error);
+    }
+
+    this.record(event);
+  }
+
+  // sendBeacon 가로채기
+  interceptBeacon() {
+    if (!this.originalSendBeacon) return;
+
+    this.replaceGlobal(navigator, 'sendBeacon', (url, data) => {
+      const queued = this.originalSendBeacon.call(navigator, url, data);
+      if (!this.isTracking) return queued;
+
+      const requestId = this.generateRequestId();
+      // 데이터는 비동기로 읽으므로 호출 스택은 지금 확보
+      const script = this.attribution.capture();
+
+      // 비콘은 응답이 없으므로 대기열 등록 여부만 기록
+      this.describePayload(data).then(payload => {
+        this.record({
+          type: 'beacon',
+          requestId,
+          url: String(url),
+          method: 'POST',
+          ...payload,
+          script,
+          sensitiveData: Array.from(new Set([
+            ...this.detectSensitiveData(String(url)),
+            ...(payload.sensitiveData || [])
+          ])),
+          queued,
+          timestamp: Date.now()
+        });
+      });
+
+      return queued;
+    });
+  }
+
+  // 연결 ID 조회 (없으면 생성)
+  getConnection(target, url) {
+    let connection = this.connections.get(target);
+    if (!connection) {
+      connection = { requestId: this.generateRequestId(), url: String(url || target.url) };
+      this.connections.set(target, connection);
+    }
+    return connection;
+  }
+
+  // WebSocket 가로채기 (연결, 송수신 프레임, 종료)
+  interceptWebSocket() {
+    const OriginalWebSocket = this.originalWebSocket;
+    if (!OriginalWebSocket) return;
+
+    const tracker = this;
+
+    // 페이지가 WebSocket을 상속한 경우(class Foo extends WebSocket) 하위 클래스 프로토타입으로 생성
+    function TrackedWebSocket(url) {
+      const socket = Reflect.construct(OriginalWebSocket, arguments, new.target || OriginalWebSocket);
+      if (tracker.isTracking) tracker.trackWebSocket(socket, url);
+      return socket;
+    }
+    // instanceof WebSocket과 상수(OPEN 등)가 그대로 동작하도록 유지
+    TrackedWebSocket.prototype = OriginalWebSocket.prototype;
+    ['CONNECTING', 'OPEN', 'CLOSING', 'CLOSED'].forEach(name => {
+      TrackedWebSocket[name] = OriginalWebSocket[name];
+    });
+    this.replaceGlobal(window, 'WebSocket', TrackedWebSocket);
+
+    // 가로채기 전에 만들어진 소켓의 송신도 기록되도록 프로토타입에서 감쌈
+    this.replaceGlobal(OriginalWebSocket.prototype, 'send', function(data) {
+      if (tracker.isTracking) {
+        tracker.recordWebSocketFrame(this, 'outgoing', data);
+      }
+      return tracker.originalWebSocketSend.apply(this, arguments);
+    });
+  }
+
+  // WebSocket 연결 추적
+  trackWebSocket(socket, url) {
+    const connection = this.getConnection(socket, url);
+
+    this.record({
+      type: 'websocket',
+      requestId: connection.requestId,
+      url: connection.url,
+      method: 'GET',
+      timestamp: Date.now()
+    });
+
+    const startTime = performance.now();
+    socket.addEventListener('open', () => {
+      if (!this.isTracking) return;
+      this.record({
+        type: 'websocket-open',
+        requestId: connection.requestId,
+        url: connection.url,
+        protocol: socket.protocol,
+        extensions: socket.extensions,
+        duration: this.getDuration(startTime)
+      });
+    });
+    socket.addEventListener('message', event => {
+      if (!this.isTracking) return;
+      this.recordWebSocketFrame(socket, 'incoming', event.data);
+    });
+    socket.addEventListener('error', () => {
+      if (!this.isTracking) return;
+      this.record({
+        type: 'websocket-error',
+        requestId: connection.requestId,
+        url: connection.url
+      });
+    });
+    socket.addEventListener('close', event => {
+      if (!this.isTracking) return;
+      this.record({
+        type: 'websocket-close',
+        requestId: connection.requestId,
+        url: connection.url,
+        code: event.code,
+        reason: event.reason,
+        wasClean: event.wasClean,
+        duration: this.getDuration(startTime)
+      });
+    });
+  }
+
+  // WebSocket 프레임 기록
+  async recordWebSocketFrame(socket, direction, data) {
+    const connection = this.getConnection(socket);
+    // 송신 프레임은 send를 호출한 스크립트 (데이터를 읽기 전에 확보)
+    const script = this.attribution.capture();
+    const payload = await this.describePayload(data);
+
+    this.record({
+      type: 'websocket-message',
+      requestId: connection.requestId,
+      url: connection.url,
+      direction,
+      ...payload,
+      script
+    });
+  }
+
+  // EventSource 가로채기 (연결, 수신 이벤트, 오류)
+  interceptEventSource() {
+    const OriginalEventSource = this.originalEventSource;
+    if (!OriginalEventSource) return;
+
+    const tracker = this;
+
+    function TrackedEventSource(url, config) {
+      const source = Reflect.construct(OriginalEventSource, arguments, new.target || OriginalEventSource);
+      if (tracker.isTracking) tracker.trackEventSource(source, url, config);
+      return source;
+    }
+    TrackedEventSource.prototype = OriginalEventSource.prototype;
+    ['CONNECTING', 'OPEN', 'CLOSED'].forEach(name => {
+      TrackedEventSource[name] = OriginalEventSource[name];
+    });
+    this.replaceGlobal(window, 'EventSource', TrackedEventSource);
+
+    // 이름이 있는 이벤트는 페이지가 구독할 때 함께 기록
+    this.replaceGlobal(OriginalEventSource.prototype, 'addEventListener', function(type, listener, options) {
+      if (tracker.isTracking && !['open', 'error', 'message'].includes(type)) {
+        tracker.trackEventSourceType(this, type);
+      }
+      return tracker.originalEventSourceAddListener.apply(this, arguments);
+    });
+  }
+
+  // EventSource 연결 추적
+  trackEventSource(source, url, config) {
+    const connection = this.getConnection(source, url);
+    connection.eventTypes = new Set();
+
+    this.record({
+      type: 'eventsource',
+      requestId: connection.requestId,
+      url: connection.url,
+      method: 'GET',
+      withCredentials: !!(config && config.withCredentials),
+      timestamp: Date.now()
+    });
+
+    const startTime = performance.now();
+    const add = (type, handler) => this.originalEventSourceAddListener.call(source, type, handler);
+
+    add('open', () => {
+      if (!this.isTracking) return;
+      this.record({
+        type: 'eventsource-open',
+        requestId: connection.requestId,
+        url: connection.url,
+        duration: this.getDuration(startTime)
+      });
+    });
+    add('error', () => {
+      if (!this.isTracking) return;
+      this.record({
+        type: 'eventsource-error',
+        requestId: connection.requestId,
+        url: connection.url,
+        // CLOSED(2)면 브라우저가 재연결하지 않음
+        closed: source.readyState === 2
+      });
+    });
+    this.trackEventSourceType(source, 'message');
+  }
+
+  // EventSource 이벤트 유형별 수신 기록
+  trackEventSourceType(source, type) {
+    const connection = this.getConnection(source);
+    if (!connection.eventTypes) connection.eventTypes = new Set();
+    if (connection.eventTypes.has(type)) return;
+    connection.eventTypes.add(type);
+
+    this.originalEventSourceAddListener.call(source, type, async event => {
+      if (!this.isTracking) return;
+      const payload = await this.describePayload(event.data);
+      this.record({
+        type: 'eventsource-message',
+        requestId: connection.requestId,
+        url: connection.url,
+        direction: 'incoming',
+        event: type,
+        lastEventId: event.lastEventId,
+        ...payload
+      });
+    });
   }
 
   // Puppeteer 요청 가로채기 설정
   async setupPuppeteerInterception(page) {
     await page.setRequestInterception(true);
+
+    // 요청 객체별 요청 ID와 시작 시각
+    const pending = new WeakMap();
     
     page.on('request', request => {
       const url = request.url();
@@ -225,8 +753,12 @@ class NetworkTracker {
         );
       }
 
+      const requestId = this.generateRequestId();
+      pending.set(request, { requestId, startTime: performance.now() });
+
       this.record({
         type: 'puppeteer-request',
+        requestId,
         url,
         method,
         headers: {
@@ -235,30 +767,118 @@ class NetworkTracker {
           'content-type': headers['content-type']
         },
         body: maskedData,
+        sensitiveData: this.detectSensitiveData(url, postData),
+        // 페이지 밖(Puppeteer)에서 관찰한 요청이라 호출 스택이 없음
+        script: null,
         timestamp: Date.now()
       });
 
       request.continue();
     });
+
+    page.on('response', async response => {
+      const request = response.request();
+      const info = pending.get(request);
+      if (!info) return;
+
+      const responseHeaders = response.headers();
+      const contentLength = parseInt(responseHeaders['content-length'], 10);
+      const event = {
+        type: 'puppeteer-response',
+        requestId: info.requestId,
+        url: request.url(),
+        method: request.method(),
+        status: response.status(),
+        statusText: response.statusText(),
+        ok: response.ok(),
+        fromCache: response.fromCache(),
+        remoteAddress: response.remoteAddress(),
+        headers: this.pickResponseHeaders(name => responseHeaders[name]),
+        size: Number.isNaN(contentLength) ? null : contentLength,
+        duration: this.getDuration(info.startTime),
+        script: null
+      };
+
+      // 리다이렉트 응답은 본문이 없음
+      if (this.options.captureResponseBody && (event.status < 300 || event.status >= 400)) {
+        try {
+          const text = await response.text();
+          event.size = this.getByteSize(text);
+          Object.assign(event, this.maskResponseBody(text, responseHeaders['content-type']));
+        } catch (error) {
+          console.warn('[NetworkTracker] 응답 본문 읽기 실패:', error);
+        }
+      }
+
+      this.record(event);
+    });
+
+    page.on('requestfailed', request => {
+      const info = pending.get(request);
+      if (!info) return;
+
+      const failure = request.failure();
+      this.record({
+        type: 'puppeteer-response',
+        requestId: info.requestId,
+        url: request.url(),
+        method: request.method(),
+        ok: false,
+        error: failure ? failure.errorText : 'failed',
+        duration: this.getDuration(info.startTime),
+        script: null
+      });
+    });
   }
 
   // 모든 감지 시작
   start() {
+    if (this.transport) {
+      this.transport.start();
+    }
+    this.isTracking = true;
     this.interceptFetch();
     this.interceptXHR();
+    this.interceptBeacon();
+    this.interceptWebSocket();
+    this.interceptEventSource();
   }
 
-  // 모든 감지 중지
+  // 모든 감지 중지 (교체한 함수 복원, 그 위에 다른 래퍼가 설치된 경우 남은 래퍼는 기록 없이 원본으로 넘김)
   stop() {
-    window.fetch = this.originalFetch;
-    XMLHttpRequest.prototype.open = this.originalXHROpen;
-    XMLHttpRequest.prototype.send = this.originalXHRSend;
+    this.isTracking = false;
+    this.restoreGlobals();
+  }
+
+  // 전역 함수/생성자 교체 (중지할 때 되돌릴 수 있도록 교체 내역 보관)
+  replaceGlobal(target, name, wrapper) {
+    this.replaced.push({ target, name, original: target[name], wrapper });
+    target[name] = wrapper;
+  }
+
+  // 교체한 함수 복원 (나중에 다른 코드가 그 위에 감쌌으면 그 래퍼가 사라지지 않도록 그대로 둠)
+  restoreGlobals() {
+    this.replaced.splice(0).reverse().forEach(({ target, name, original, wrapper }) => {
+      if (target[name] === wrapper) {
+        target[name] = original;
+      }
+    });
   }
 
   // 기록 조회
   getRecords() {
     return this.records;
   }
+
+  // HAR 1.2 형식으로 내보내기
+  exportHar(options = {}) {
+    return HarExporter.buildHar(this.records, {
+      pageUrl: window.location.href,
+      title: document.title,
+      sessionId: this.timeline ? this.timeline.sessionId : undefined,
+      ...options
+    });
+  }
 }
 
 export default NetworkTracker; 
@@ -0,0 +1,175 @@
+// 클릭재킹/겹침 요소 분석 모듈 (src/core/overlay.js)
+// 클릭 지점의 요소 배치(elementsFromPoint, 경계 상자, 실효 투명도)로
+// 사용자가 본 요소와 실제로 클릭을 받은 요소가 다른 경우를 찾음
+
+// 클릭을 가로챌 가치가 있는 조작 요소
+const CONTROL_SELECTOR = 'a[href], button, input, select, textarea, label, summary, [role="button"], [role="link"], [onclick]';
+
+// 이보다 투명하면 사용자 눈에 보이지 않는 요소로 판단
+const INVISIBLE_OPACITY = 0.1;
+
+// 기법별 위험도 (조작 요소를 가리면 coveredControl 위험도 사용)
+const TECHNIQUE_SEVERITY = {
+  'transparent-overlay': { base: 0.7, coveredControl: 0.9 },
+  'pointer-events-decoy': { base: 0.6, coveredControl: 0.85 },
+  'iframe-overlay': { base: 0.8, coveredControl: 0.95 }
+};
+
+class OverlayInspector {
+  constructor() {
+    // pointer-events: none인 위치 지정 요소 (클릭마다 문서 전체를 훑지 않도록 문서가 바뀔 때까지 보관)
+    this.decoyCandidates = null;
+  }
+
+  // 문서가 바뀌어 겹침 후보를 다시 수집해야 함
+  invalidate() {
+    this.decoyCandidates = null;
+  }
+
+  // 요소의 실효 투명도 (조상 요소의 opacity를 곱함)
+  getEffectiveOpacity(element) {
+    let opacity = 1;
+    for (let current = element; current && current.nodeType === Node.ELEMENT_NODE; current = current.parentElement) {
+      const value = parseFloat(window.getComputedStyle(current).opacity);
+      if (!Number.isNaN(value)) opacity *= value;
+    }
+    return opacity;
+  }
+
+  // 사용자 눈에 보이는 요소인지
+  isVisible(element) {
+    return window.getComputedStyle(element).visibility !== 'hidden' &&
+      this.getEffectiveOpacity(element) >= INVISIBLE_OPACITY;
+  }
+
+  // 한쪽이 다른 쪽을 포함하는지 (버튼 안의 아이콘 등 같은 조작 요소로 봄)
+  isRelated(a, b) {
+    return a === b || a.contains(b) || b.contains(a);
+  }
+
+  // 요소 자신 또는 가장 가까운 조작 요소
+  findControl(element) {
+    return element && element.closest ? element.closest(CONTROL_SELECTOR) : null;
+  }
+
+  // 요소가 실제로 조작하는 요소 (label은 연결된 입력)
+  resolveControl(element) {
+    const control = this.findControl(element);
+    return control && control.tagName === 'LABEL' && control.control ? control.control : control;
+  }
+
+  // 두 요소가 같은 조작 요소로 이어지는지 (투명하게 숨기고 label로 꾸민 체크박스 등)
+  isSameControl(a, b) {
+    const control = this.resolveControl(a);
+    return !!control && control === this.resolveControl(b);
+  }
+
+  // 점이 요소의 경계 상자 안에 있는지
+  containsPoint(element, x, y) {
+    const rect = element.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0 &&
+      x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom;
+  }
+
+  // 클릭 지점의 요소 목록 (위에서 아래 순, 지원하지 않으면 null)
+  hitTest(x, y) {
+    if (typeof document.elementsFromPoint !== 'function') return null;
+    return document.elementsFromPoint(x, y);
+  }
+
+  // 클릭 분석: 보이지 않는 요소가 클릭을 받았거나, 클릭을 통과시키는 보이는 요소가 조작 요소를 가림
+  // 반환: [{ technique, actual, visible, control, opacity }] (요소 참조 포함, 기록 형식 변환은 호출자)
+  inspectClick(event) {
+    const { clientX: x, clientY: y } = event;
+    const actual = event.target;
+    if (!actual || actual.nodeType !== Node.ELEMENT_NODE) return [];
+    // 키보드(Enter/Space)나 click()으로 생긴 클릭은 포인터 위치가 없음
+    if (event.detail === 0) return [];
+
+    const stack = this.hitTest(x, y);
+    if (!stack || stack.length === 0) return [];
+
+    const findings = [];
+    const top = stack[0];
+
+    // 투명 요소가 클릭을 받고, 그 아래 보이는 요소가 따로 있음
+    if (!this.isVisible(top)) {
+      const visible = stack.find(element => !this.isRelated(element, top) && this.isVisible(element));
+      if (visible && !this.isSameControl(top, visible)) {
+        findings.push({
+          technique: 'transparent-overlay',
+          actual: top,
+          visible,
+          control: this.findControl(visible),
+          opacity: this.getEffectiveOpacity(top)
+        });
+      }
+    }
+
+    // pointer-events: none인 보이는 요소가 위에 있어 사용자는 그 요소를 눌렀다고 생각하지만
+    // 클릭은 아래 조작 요소로 전달됨 (elementsFromPoint에는 나타나지 않으므로 경계 상자로 찾음)
+    const control = this.findControl(top);
+    if (control) {
+      const decoy = this.findPointerDecoy(x, y, top, stack);
+      if (decoy) {
+        findings.push({
+          technique: 'pointer-events-decoy',
+          actual: control,
+          visible: decoy,
+          control,
+          opacity: this.getEffectiveOpacity(decoy)
+        });
+      }
+    }
+
+    return findings;
+  }
+
+  // pointer-events: none인 위치 지정 요소 목록 (invalidate 전까지 한 번만 수집)
+  getDecoyCandidates() {
+    if (!this.decoyCandidates) {
+      this.decoyCandidates = Array.from(document.body ? document.body.querySelectorAll('*') : [])
+        .filter(element => {
+          const style = window.getComputedStyle(element);
+          return style.pointerEvents === 'none' && style.position !== 'static';
+        });
+    }
+    return this.decoyCandidates;
+  }
+
+  // 클릭 지점을 덮는 pointer-events: none 요소 중 위치 지정된 보이는 요소
+  findPointerDecoy(x, y, target, stack) {
+    const hits = new Set(stack);
+    return this.getDecoyCandidates().find(element => {
+      if (!element.isConnected || hits.has(element) || this.isRelated(element, target)) return false;
+      return this.containsPoint(element, x, y) && this.isVisible(element);
+    }) || null;
+  }
+
+  // 포커스가 넘어간(클릭된) iframe 분석: 투명하거나 아래 조작 요소를 가리면 겹침으로 판단
+  // point: 마지막으로 알려진 포인터 위치 (없으면 iframe 중심)
+  inspectIframe(iframe, point = null) {
+    const rect = iframe.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) return null;
+
+    const x = point && this.containsPoint(iframe, point.x, point.y) ? point.x : rect.left + rect.width / 2;
+    const y = point && this.containsPoint(iframe, point.x, point.y) ? point.y : rect.top + rect.height / 2;
+    const stack = this.hitTest(x, y) || [];
+    const covered = stack.find(element => element !== iframe && !element.contains(iframe) &&
+      this.findControl(element) && this.isVisible(element));
+    const opacity = this.getEffectiveOpacity(iframe);
+
+    if (opacity >= INVISIBLE_OPACITY && !covered) return null;
+    return {
+      technique: 'iframe-overlay',
+      actual: iframe,
+      visible: covered || null,
+      control: covered ? this.findControl(covered) : null,
+      opacity
+    };
+  }
+}
+
+OverlayInspector.TECHNIQUE_SEVERITY = TECHNIQUE_SEVERITY;
+
+export default OverlayInspector;
@@ -0,0 +1,234 @@
+// DOM 직렬화 모듈 (src/core/snapshot.js)
+
+// 페이지 스크립트가 value getter를 가로채더라도 원본 값을 읽기 위해 미리 보관
+const nativeInputValue = Object.getOwnPropertyDescriptor(
+  HTMLInputElement.prototype,
+  'value'
+).get;
+
+class DOMSerializer {
+  constructor(options = {}) {
+    this.options = {
+      // 입력 값 마스킹 함수 (value, fieldName, element) => string
+      maskValue: options.maskValue || (value => value),
+      // 텍스트 노드 마스킹 함수 (text) => string
+      maskText: options.maskText || (text => text),
+      ...options
+    };
+
+    this.nextId = 1;
+    this.nodeIds = new WeakMap();
+  }
+
+  // 노드 ID 조회 (없으면 null)
+  getId(node) {
+    if (!node) return null;
+    return this.nodeIds.has(node) ? this.nodeIds.get(node) : null;
+  }
+
+  // 노드 ID 할당 (이미 있으면 기존 ID 유지)
+  assignId(node) {
+    let id = this.getId(node);
+    if (id === null) {
+      id = this.nextId++;
+      this.nodeIds.set(node, id);
+    }
+    return id;
+  }
+
+  // 입력 요소의 현재 값 (마스킹 적용)
+  getInputValue(el) {
+    const fieldName = el.name || el.id || '';
+    let value;
+
+    if (el.tagName === 'INPUT') {
+      if (['checkbox', 'radio'].includes(el.type)) return undefined;
+      value = nativeInputValue.call(el);
+    } else {
+      value = el.value;
+    }
+
+    return this.options.maskValue(value, fieldName, el);
+  }
+
+  // 속성 값 직렬화 (value 속성은 마스킹)
+  serializeAttribute(el, name, value) {
+    if (value !== null && name === 'value' &&
+        ['INPUT', 'TEXTAREA', 'SELECT'].includes(el.tagName)) {
+      return this.options.maskValue(value, el.name || el.id || '', el);
+    }
+    return value;
+  }
+
+  // 노드와 하위 트리 직렬화
+  serializeNode(node) {
+    const serialized = {
+      id: this.assignId(node),
+      nodeType: node.nodeType
+    };
+
+    switch (node.nodeType) {
+      case Node.DOCUMENT_NODE:
+        serialized.childNodes = this.serializeChildren(node);
+        break;
+
+      case Node.DOCUMENT_TYPE_NODE:
+        serialized.name = node.name;
+        serialized.publicId = node.publicId;
+        serialized.systemId = node.systemId;
+        break;
+
+      case Node.ELEMENT_NODE: {
+        serialized.tagName = node.tagName.toLowerCase();
+        serialized.attributes = {};
+        for (const attr of Array.from(node.attributes)) {
+          serialized.attributes[attr.name] = this.serializeAttribute(node, attr.name, attr.value);
+        }
+
+        if (node.namespaceURI && node.namespaceURI !== 'http://www.w3.org/1999/xhtml') {
+          serialized.namespace = node.namespaceURI;
+        }
+
+        if (['INPUT', 'TEXTAREA', 'SELECT'].includes(node.tagName)) {
+          const value = this.getInputValue(node);
+          if (value !== undefined) {
+            serialized.value = value;
+          }
+          if (['checkbox', 'radio'].includes(node.type)) {
+            serialized.checked = node.checked;
+          }
+        }
+
+        serialized.childNodes = this.serializeChildren(node);
+        break;
+      }
+
+      case Node.TEXT_NODE:
+      case Node.COMMENT_NODE:
+      case Node.CDATA_SECTION_NODE:
+        serialized.textContent = this.options.maskText(node.data);
+        break;
+    }
+
+    return serialized;
+  }
+
+  // 자식 노드 직렬화
+  serializeChildren(node) {
+    return Array.from(node.childNodes).map(child => this.serializeNode(child));
+  }
+
+  // 문서 전체 스냅샷 생성
+  takeSnapshot(doc = document) {
+    return {
+      type: 'dom-snapshot',
+      timestamp: Date.now(),
+      url: doc.location ? doc.location.href : '',
+      title: doc.title,
+      viewport: {
+        width: window.innerWidth,
+        height: window.innerHeight
+      },
+      scroll: {
+        x: window.scrollX,
+        y: window.scrollY
+      },
+      root: this.serializeNode(doc)
+    };
+  }
+
+  // 이미 ID가 있는 다음 형제 노드 ID (같은 배치에서 추가된 형제는 건너뜀)
+  getNextKnownSiblingId(node) {
+    let sibling = node.nextSibling;
+    while (sibling) {
+      const id = this.getId(sibling);
+      if (id !== null) return id;
+      sibling = sibling.nextSibling;
+    }
+    return null;
+  }
+
+  // 같은 배치에서 이미 삽입으로 직렬화된 노드인지 (자신이나 조상이 앞선 삽입의 루트)
+  isInsertedInBatch(node, inserted) {
+    for (let current = node; current; current = current.parentNode) {
+      if (inserted.has(current)) return true;
+    }
+    return false;
+  }
+
+  // MutationRecord를 ID 기반 diff 목록으로 변환
+  // inserted: 같은 배치에서 삽입으로 직렬화한 노드 (삽입 시점이 아닌 배치 끝의 하위 트리 전체를 직렬화하므로
+  //           뒤따르는 기록이 그 안에 추가한 노드는 다시 삽입하지 않음)
+  serializeMutation(mutation, inserted = new Set()) {
+    const targetId = this.getId(mutation.target);
+
+    // 스냅샷 이후 한 번도 직렬화되지 않은 노드의 변경은 상위 삽입에 포함됨
+    if (targetId === null) return [];
+
+    switch (mutation.type) {
+      case 'attributes': {
+        const el = mutation.target;
+        const value = el.getAttribute(mutation.attributeName);
+        return [{
+          op: 'attribute',
+          id: targetId,
+          name: mutation.attributeName,
+          value: this.serializeAttribute(el, mutation.attributeName, value)
+        }];
+      }
+
+      case 'characterData':
+        return [{
+          op: 'text',
+          id: targetId,
+          value: this.options.maskText(mutation.target.data)
+        }];
+
+      case 'childList': {
+        const diffs = [];
+
+        mutation.removedNodes.forEach(node => {
+          const id = this.getId(node);
+          // 앞선 삽입이 이미 배치 끝 위치로 옮겨 둔 노드는 지우지 않음 (다시 붙이거나 새 노드 안으로 옮긴 경우)
+          if (id !== null && !this.isInsertedInBatch(node, inserted)) {
+            diffs.push({
+              op: 'remove',
+              parentId: targetId,
+              id
+            });
+          }
+        });
+
+        mutation.addedNodes.forEach(node => {
+          // 같은 배치에서 다시 제거된 노드는 현재 위치가 없으므로 제외
+          if (node.parentNode !== mutation.target) return;
+          if (this.isInsertedInBatch(node, inserted)) return;
+
+          inserted.add(node);
+          diffs.push({
+            op: 'insert',
+            parentId: targetId,
+            nextSiblingId: this.getNextKnownSiblingId(node),
+            node: this.serializeNode(node)
+          });
+        });
+
+        return diffs;
+      }
+
+      default:
+        return [];
+    }
+  }
+
+  // 여러 MutationRecord를 하나의 diff 목록으로 변환
+  serializeMutations(mutations) {
+    const inserted = new Set();
+    return mutations.reduce(
+      (diffs, mutation) => diffs.concat(this.serializeMutation(mutation, inserted)),
+      []
+    );
+  }
+}
+
+export default DOMSerializer;
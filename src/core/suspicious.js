@@ -1,35 +1,157 @@
 // 의심 요소 감지 모듈 (src/core/suspicious.js)
 
+import ForensicTransport from './transport';
+import MaskingEngine from '../shared/masking';
+import ExfiltrationCorrelator from './correlation';
+import ScriptAttributor from './attribution';
+import ScriptInventory from '../shared/inventory';
+import FormIntegrityMonitor from './integrity';
+import OverlayInspector from './overlay';
+import DetectorRegistry from './detectors';
+
+// 페이지 스크립트가 감싸기 전의 원본 (감지 로직 자체가 기록되지 않도록)
+const nativeInputValue = Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, 'value');
+const nativeTextAreaValue = Object.getOwnPropertyDescriptor(HTMLTextAreaElement.prototype, 'value');
+const nativeSelectValue = Object.getOwnPropertyDescriptor(HTMLSelectElement.prototype, 'value');
+const nativeSetAttribute = Element.prototype.setAttribute;
+const nativeAtob = window.atob.bind(window);
+const nativeAddEventListener = EventTarget.prototype.addEventListener;
+const nativeFetch = window.fetch ? window.fetch.bind(window) : null;
+const nativeJsonStringify = JSON.stringify;
+
+// URL로 데이터를 실어 보낼 수 있는 요소와 속성
+const URL_CARRIERS = [
+  { tag: 'IMG', ctor: 'HTMLImageElement', attribute: 'src' },
+  { tag: 'SCRIPT', ctor: 'HTMLScriptElement', attribute: 'src' },
+  { tag: 'LINK', ctor: 'HTMLLinkElement', attribute: 'href' },
+  { tag: 'IFRAME', ctor: 'HTMLIFrameElement', attribute: 'src' }
+];
+
+// 키로거가 입력 내용을 가로챌 때 쓰는 이벤트
+const KEY_LISTENER_EVENTS = ['keydown', 'keyup', 'keypress', 'input', 'change'];
+
+// 동적 실행 기록에 남길 코드 발췌 길이
+const CODE_EXCERPT_LENGTH = 200;
+
+// 디코딩 결과로 기억할 최대 개수 (디코딩 후 실행된 코드 판별용)
+const MAX_DECODED_PAYLOADS = 100;
+
+// 스크립트 요소를 문서에 넣을 수 있는 메서드
+const SCRIPT_INSERTION_METHODS = [
+  ['Node', 'appendChild'],
+  ['Node', 'insertBefore'],
+  ['Node', 'replaceChild'],
+  ['Element', 'append'],
+  ['Element', 'prepend'],
+  ['Element', 'before'],
+  ['Element', 'after']
+];
+
+// 기본 감지 (이름 -> 감지 메서드, options.detectors에서 이름으로 끌 수 있음)
+const BUILTIN_DETECTORS = {
+  'value-access': 'trackValueAccess',
+  'encoding-attempt': 'trackEncodingAttempts',
+  'external-script': 'trackExternalScripts',
+  'domain-mismatch': 'trackDomainMismatch',
+  clickjacking: 'trackHiddenClicks',
+  'element-disabling': 'trackElementDisabling',
+  'sensitive-network': 'trackSensitiveNetwork',
+  'covert-exfiltration': 'trackCovertExfiltration',
+  'keylogger-listener': 'trackKeyListeners',
+  'dynamic-code': 'trackDynamicCode',
+  'form-tampering': 'trackProtectedForms'
+};
+
+// 감지기 훅을 제공하는 기본 감지 (기본 감지를 꺼도 훅이 필요하면 감시는 설치하고 기록만 생략)
+const HOOK_SOURCES = {
+  'value-access': 'value-access',
+  'sensitive-network': 'network',
+  'covert-exfiltration': 'network'
+};
+
+// 값 비교에서 제외할 입력 유형
+const IGNORED_INPUT_TYPES = ['hidden', 'submit', 'button', 'reset', 'checkbox', 'radio', 'file', 'image'];
+
 class SuspiciousTracker {
   constructor(options = {}) {
     this.options = {
       suspiciousThreshold: options.suspiciousThreshold || 0.8,
       logLevel: options.logLevel || 'warn',
       allowedDomains: options.allowedDomains || [],
+      // URL에서 찾을 입력값의 최소 길이 (짧은 값은 우연히 일치하기 쉬움)
+      exfiltrationMinLength: options.exfiltrationMinLength || 4,
+      // 비교할 스크립트 목록 기준선 (getScriptInventory() 결과, 없으면 비교하지 않음)
+      scriptBaseline: options.scriptBaseline || null,
+      // 무결성을 감시할 결제 폼 선언 ({ selector, actionOrigins, fields, name } 목록)
+      protectedForms: options.protectedForms || [],
       ...options
     };
     
     this.records = [];
+    this.timeline = this.options.timeline || null;
+    this.evidenceChain = this.options.evidenceChain || null;
+    this.transport = this.options.transport ||
+      (this.options.apiEndpoint ? new ForensicTransport(this.options) : null);
+    this.masking = this.options.maskingEngine || new MaskingEngine(this.options);
+    // 읽기 → 변환 → 전송 흐름을 값 지문(마스킹 엔진의 솔트 해시)으로 연결
+    this.correlator = new ExfiltrationCorrelator({ ...this.options, maskingEngine: this.masking });
+    this.attribution = this.options.scriptAttributor || new ScriptAttributor(this.options);
+    this.formMonitor = new FormIntegrityMonitor(this.options);
+    this.overlayInspector = new OverlayInspector();
+    // 등록된 사용자 정의 감지기와 기본/사용자 감지기의 배포별 설정
+    this.detectors = new DetectorRegistry(
+      { ...this.options, maskingEngine: this.masking },
+      finding => SuspiciousTracker.instance.record(finding)
+    );
     this.accessedValues = new Set();
     this.lastClick = null;
+    // 마지막 포인터 위치 (iframe 클릭 위치 추정)
+    this.lastPointer = null;
+
+    // 입력 요소별 마지막 값 (요소가 지워져도 비교할 수 있도록 보관)
+    this.inputValues = new Map();
+    // 요소별 마지막으로 검사한 URL (같은 URL 중복 검사 방지)
+    this.inspectedUrls = new WeakMap();
+    // 대상별로 이미 기록한 리스너 (스크립트 URL|이벤트 유형)
+    this.keyListeners = new WeakMap();
+    // 최근 atob 결과 지문 (디코딩한 코드를 실행하는지 판별)
+    this.decodedPayloads = new Set();
+    // 이미 기록한 인라인 스크립트 요소
+    this.inspectedScripts = new WeakSet();
+    // 문서에 추가된 적 있는 외부 스크립트 URL (로드 후 지워진 스크립트도 목록에 포함)
+    this.observedScripts = new Set();
+    // 기준선 비교 후 추가로 보고한 스크립트 (초기 비교 전이면 null)
+    this.reportedDrift = null;
+    // 문서 변경 감시 (중지 시 해제)
+    this.observers = [];
+    this.isTracking = false;
   }
 
-  // 기록 저장
+  // 기록 저장 (중지된 뒤에는 기록하지 않고 null 반환)
   record(event) {
+    if (!this.isTracking) return null;
+
     const timestamp = Date.now();
-    const record = {
+    let record = {
       ...event,
       timestamp,
-      url: window.location.href,
-      severity: this.calculateSeverity(event)
+      pageUrl: window.location.href,
+      severity: this.calculateSeverity(event),
+      // 감지를 일으킨 페이지 스크립트 (호출 스택 기준)
+      script: event.script !== undefined ? event.script : this.attribution.capture()
     };
 
+    if (this.timeline) {
+      record = this.timeline.append('suspicious', record);
+    }
+
     this.records.push(record);
+    this.attribution.observe(record);
     
     if (record.severity >= this.options.suspiciousThreshold) {
-      console.warn(`[SUSPICIOUS] ${JSON.stringify(record)}`);
+      console.warn(`[SUSPICIOUS] ${nativeJsonStringify(record)}`);
     } else {
-      console.log(`[ACTIVITY] ${JSON.stringify(record)}`);
+      console.log(`[ACTIVITY] ${nativeJsonStringify(record)}`);
     }
     
     // alert로 감지 내용 표시
@@ -38,10 +160,16 @@ class SuspiciousTracker {
     
     // 서버로 전송 또는 로컬 저장
     this.saveRecord(record);
+    return record;
   }
 
   // 의심도 계산
   calculateSeverity(event) {
+    // 사용자 정의 감지기는 자체 위험도 사용
+    if (event.detector && typeof event.severity === 'number') {
+      return event.severity;
+    }
+
     let score = 0;
     
     switch (event.type) {
@@ -57,18 +185,42 @@ class SuspiciousTracker {
       case 'domain-mismatch':
         score = 1.0;
         break;
-      case 'hidden-click':
-        score = 0.7;
-        break;
-      case 'iframe-click':
-        score = 0.8;
+      case 'clickjacking': {
+        const severity = OverlayInspector.TECHNIQUE_SEVERITY[event.technique];
+        if (severity) {
+          score = event.coveredControl ? severity.coveredControl : severity.base;
+        }
         break;
+      }
       case 'element-disabling':
         score = 0.6;
         break;
       case 'sensitive-network':
         score = 0.9;
         break;
+      case 'covert-exfiltration':
+        score = 0.95;
+        break;
+      case 'exfiltration-chain':
+        score = event.confidence || 0.95;
+        break;
+      case 'dynamic-code':
+        // 디코딩한 문자열을 그대로 실행하면 난독화된 페이로드로 판단
+        if (event.decoded) {
+          score = 0.95;
+        } else {
+          score = event.method === 'Function' ? 0.75 : 0.7;
+        }
+        break;
+      case 'form-tampering':
+        score = FormIntegrityMonitor.CHECK_SEVERITY[event.check] || 0.8;
+        break;
+      case 'script-drift':
+        score = ScriptInventory.getDriftSeverity(event);
+        break;
+      case 'keylogger-listener':
+        score = event.scope === 'field' || event.scope === 'form' ? 0.9 : 0.7;
+        break;
     }
     
     return score;
@@ -77,23 +229,20 @@ class SuspiciousTracker {
   // 기록 저장 구현
   async saveRecord(record) {
     try {
+      // 해시 체인 연결 (위변조 검증용)
+      if (this.evidenceChain) {
+        record = await this.evidenceChain.append(record);
+      }
+
       // 로컬 스토리지에 저장
-      const storageKey = `suspicious_${record.timestamp}`;
-      localStorage.setItem(storageKey, JSON.stringify(record));
-
-      // 서버로 전송 (API 엔드포인트가 있는 경우)
-      if (this.options.apiEndpoint) {
-        const response = await fetch(this.options.apiEndpoint, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify(record)
-        });
+      const storageKey = this.timeline
+        ? this.timeline.getStorageKey(record)
+        : `suspicious_${record.timestamp}`;
+      localStorage.setItem(storageKey, nativeJsonStringify(record));
 
-        if (!response.ok) {
-          console.warn('[SuspiciousTracker] 서버 저장 실패:', await response.text());
-        }
+      // 서버로 전송 (API 엔드포인트가 있는 경우, 배치/재시도는 전송 모듈이 처리)
+      if (this.transport) {
+        this.transport.enqueue(record);
       }
 
       // 로그 레벨에 따른 콘솔 출력
@@ -109,6 +258,7 @@ class SuspiciousTracker {
 
   // 입력 값 접근 감지
   trackValueAccess() {
+    const tracker = this;
     const originalDesc = Object.getOwnPropertyDescriptor(
       HTMLInputElement.prototype, 
       'value'
@@ -117,14 +267,25 @@ class SuspiciousTracker {
     Object.defineProperty(HTMLInputElement.prototype, 'value', {
       get() {
         const value = originalDesc.get.call(this);
-        this.accessedValues.add(value);
+        if (tracker.detectors.needs('value-access')) {
+          tracker.detectors.dispatch('value-access', {
+            element: this,
+            name: this.name || '',
+            selector: tracker.getSelector(this),
+            value
+          });
+        }
+        if (!tracker.detectors.isEnabled('value-access')) return value;
+
+        tracker.accessedValues.add(value);
         
-        SuspiciousTracker.instance.record({
+        const record = SuspiciousTracker.instance.record({
           type: 'value-access',
           element: this.tagName,
           name: this.name || '',
-          selector: this.getSelector()
+          selector: tracker.getSelector(this)
         });
+        if (record) tracker.correlator.trackRead(value, record);
         
         return value;
       },
@@ -136,33 +297,219 @@ class SuspiciousTracker {
 
   // 인코딩/변환 시도 감지
   trackEncodingAttempts() {
-    // atob 감지
-    window.atob = (original => function(str) {
-      SuspiciousTracker.instance.record({
-        type: 'encoding-attempt',
-        method: 'atob',
-        input: str
-      });
-      return original.call(this, str);
-    })(window.atob);
+    const tracker = this;
+
+    // atob/btoa 감지 (결과는 유출 흐름 추적에 사용)
+    ['atob', 'btoa'].forEach(method => {
+      window[method] = (original => function(str) {
+        const record = SuspiciousTracker.instance.record({
+          type: 'encoding-attempt',
+          method,
+          input: tracker.masking.maskText(str)
+        });
+        const result = original.call(this, str);
+        if (record) tracker.correlator.trackTransform(String(str), result, record);
+        if (method === 'atob') tracker.rememberDecoded(result);
+        return result;
+      })(window[method]);
+    });
 
     // JSON.parse 감지
     JSON.parse = (original => function(str) {
-      SuspiciousTracker.instance.record({
+      const record = SuspiciousTracker.instance.record({
         type: 'encoding-attempt',
         method: 'JSON.parse',
-        input: str
+        input: tracker.masking.maskText(str)
       });
-      return original.call(this, str);
+      if (record) tracker.correlator.trackTransform(str, null, record);
+      return original.apply(this, arguments);
     })(JSON.parse);
+
+    // JSON.stringify 감지 (직렬화는 흔하므로 읽은 값이 결과에 들어 있을 때만 기록)
+    // toJSON이나 기록 처리 중에 다시 호출된 직렬화는 검사하지 않음
+    let stringifying = false;
+    JSON.stringify = (original => function() {
+      if (stringifying) return original.apply(this, arguments);
+
+      stringifying = true;
+      try {
+        const result = original.apply(this, arguments);
+        if (typeof result === 'string') {
+          tracker.correlator.trackTransform(result, null, () => SuspiciousTracker.instance.record({
+            type: 'encoding-attempt',
+            method: 'JSON.stringify',
+            input: tracker.masking.maskPayload(result, 'application/json')
+          }));
+        }
+        return result;
+      } finally {
+        stringifying = false;
+      }
+    })(JSON.stringify);
+  }
+
+  // 디코딩 결과 지문 보관 (오래된 것부터 제거)
+  rememberDecoded(value) {
+    if (typeof value !== 'string' || value.length === 0) return;
+    this.decodedPayloads.add(MaskingEngine.sha256Hex(value));
+    if (this.decodedPayloads.size > MAX_DECODED_PAYLOADS) {
+      this.decodedPayloads.delete(this.decodedPayloads.values().next().value);
+    }
+  }
+
+  // 동적 코드 실행 기록 (코드 원문 대신 해시와 마스킹한 발췌만 남김)
+  recordDynamicCode(method, code) {
+    try {
+      const codeHash = MaskingEngine.sha256Hex(code);
+      SuspiciousTracker.instance.record({
+        type: 'dynamic-code',
+        method,
+        codeHash,
+        length: code.length,
+        excerpt: this.masking.maskText(code.slice(0, CODE_EXCERPT_LENGTH)),
+        decoded: this.decodedPayloads.has(codeHash)
+      });
+    } catch (error) {
+      console.warn('[SuspiciousTracker] 동적 코드 기록 중 오류:', error);
+    }
+  }
+
+  // 동적 코드 실행 감지 (Function, 문자열 타이머, 인라인 스크립트 삽입)
+  // 감지하지 않는 경로:
+  // - eval: 대체 함수를 거치면 직접 eval이 간접 eval이 되어 지역 범위를 잃고, 직접/간접 호출을 구분해 감쌀 방법이 없음
+  //   (eval로 실행한 디코딩 페이로드는 atob/JSON.parse 변환 기록까지만 남음)
+  // - async/generator 함수 생성자 ((async function(){}).constructor 등)
+  trackDynamicCode() {
+    const tracker = this;
+
+    // Function 생성자 (마지막 인자가 함수 본문)
+    // (function(){}).constructor 경로도 감시하도록 Function.prototype.constructor를 같은 래퍼로 교체
+    // (fn.constructor === Function, fn instanceof Function은 교체 후에도 그대로 성립)
+    const originalFunction = window.Function;
+    const wrappedFunction = function Function(...args) {
+      if (args.length > 0) tracker.recordDynamicCode('Function', String(args[args.length - 1]));
+      return originalFunction.apply(this, args);
+    };
+    Object.defineProperty(wrappedFunction, 'length', { value: originalFunction.length });
+    wrappedFunction.prototype = originalFunction.prototype;
+    originalFunction.prototype.constructor = wrappedFunction;
+    window.Function = wrappedFunction;
+
+    // 문자열 핸들러를 쓰는 타이머
+    ['setTimeout', 'setInterval'].forEach(method => {
+      window[method] = (original => function(handler) {
+        if (typeof handler === 'string') tracker.recordDynamicCode(method, handler);
+        return original.apply(this, arguments);
+      })(window[method]);
+    });
+
+    // 텍스트로 코드를 넣은 스크립트 요소 삽입 (삽입 시점에 기록해야 원인 스크립트를 알 수 있음)
+    SCRIPT_INSERTION_METHODS.forEach(([ctor, method]) => {
+      const proto = window[ctor] && window[ctor].prototype;
+      if (!proto || typeof proto[method] !== 'function') return;
+
+      proto[method] = (original => function(...nodes) {
+        // Node 메서드는 첫 인자만 새로 넣는 노드 (나머지는 기준/교체 대상 노드)
+        (ctor === 'Node' ? nodes.slice(0, 1) : nodes)
+          .forEach(node => tracker.inspectInsertedScripts(node));
+        return original.apply(this, nodes);
+      })(proto[method]);
+    });
+  }
+
+  // 삽입되는 노드(또는 프래그먼트) 안의 인라인 스크립트 검사
+  inspectInsertedScripts(node) {
+    if (!node || typeof node !== 'object') return;
+
+    let scripts = [];
+    if (node.nodeType === Node.ELEMENT_NODE && node.tagName === 'SCRIPT') {
+      scripts = [node];
+    } else if (node.nodeType === Node.ELEMENT_NODE || node.nodeType === Node.DOCUMENT_FRAGMENT_NODE) {
+      scripts = Array.from(node.querySelectorAll('script'));
+    }
+
+    scripts.forEach(script => {
+      // 이미 문서에 있던 스크립트를 옮기는 경우는 다시 실행되지 않음
+      if (script.src || script.isConnected || this.inspectedScripts.has(script)) return;
+      const code = script.text;
+      if (!code || !code.trim()) return;
+      this.inspectedScripts.add(script);
+      this.recordDynamicCode('inline-script', code);
+    });
+  }
+
+  // 키 입력 리스너 등록 감지 (민감 입력, 민감 입력이 있는 폼, document/window)
+  trackKeyListeners() {
+    const tracker = this;
+
+    EventTarget.prototype.addEventListener = function(type) {
+      tracker.inspectKeyListener(this, type);
+      return nativeAddEventListener.apply(this, arguments);
+    };
+  }
+
+  // 리스너 대상의 범위 (감시 대상이 아니면 null)
+  getListenerScope(target) {
+    if (target === window) return 'window';
+    if (target === document) return 'document';
+    if (!target || target.nodeType !== Node.ELEMENT_NODE) return null;
+
+    const isSensitive = field => this.masking.isSensitiveField(field) && !this.masking.isAllowed(field);
+    if (['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) {
+      return isSensitive(target) ? 'field' : null;
+    }
+    // 폼에 건 리스너는 민감 입력의 이벤트도 버블링으로 받음
+    if (target.tagName === 'FORM') {
+      return Array.from(target.elements).some(isSensitive) ? 'form' : null;
+    }
+    return null;
+  }
+
+  // 허용되지 않은 출처의 스크립트가 키 입력 리스너를 등록하면 기록
+  inspectKeyListener(target, type) {
+    if (!KEY_LISTENER_EVENTS.includes(type)) return;
+
+    try {
+      const scope = this.getListenerScope(target);
+      if (!scope) return;
+
+      // 출처를 알 수 없거나(포렌식 도구 자신 등) 같은 출처/허용 도메인 스크립트는 제외
+      const script = this.attribution.capture();
+      if (!script || !this.isExternalUrl(script.url)) return;
+
+      // 같은 스크립트가 같은 대상에 같은 이벤트를 여러 번 등록해도 한 번만 기록
+      let registered = this.keyListeners.get(target);
+      if (!registered) {
+        registered = new Set();
+        this.keyListeners.set(target, registered);
+      }
+      const key = `${script.url}|${type}`;
+      if (registered.has(key)) return;
+      registered.add(key);
+
+      const isElement = scope === 'field' || scope === 'form';
+      SuspiciousTracker.instance.record({
+        type: 'keylogger-listener',
+        eventType: type,
+        scope,
+        element: isElement ? target.tagName : scope,
+        name: isElement ? target.name || target.id || '' : '',
+        selector: isElement ? this.getSelector(target) : null,
+        scriptHost: new URL(script.url, window.location.href).hostname,
+        script
+      });
+    } catch (error) {
+      console.warn('[SuspiciousTracker] 리스너 검사 중 오류:', error);
+    }
   }
 
   // 외부 스크립트 로드 감지
   trackExternalScripts() {
-    new MutationObserver(mutations => {
+    this.observeDocument(mutations => {
       mutations.forEach(mutation => {
         mutation.addedNodes.forEach(node => {
           if (node.tagName === 'SCRIPT' && node.src) {
+            this.observeScript(node.src);
             const scriptUrl = new URL(node.src, window.location.href);
             if (!this.options.allowedDomains.some(domain => 
               scriptUrl.hostname.endsWith(domain))) {
@@ -175,12 +522,145 @@ class SuspiciousTracker {
           }
         });
       });
-    }).observe(document.documentElement, {
+    }, {
       childList: true,
       subtree: true
     });
   }
 
+  // 사용자 정의 감지기의 DOM/이벤트 훅 연결 (값 접근/네트워크 훅은 기본 감지에서 전달)
+  trackDetectorHooks() {
+    if (this.detectors.needs('dom')) {
+      this.observeDocument(mutations => {
+        this.detectors.dispatch('dom', mutations);
+      }, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        characterData: true
+      });
+    }
+
+    this.detectors.getEventTypes().forEach(type => {
+      nativeAddEventListener.call(document, type, event => {
+        this.detectors.dispatch('event', event);
+      }, true);
+    });
+  }
+
+  // 보호 폼 무결성 감시 (DOM/속성 변경마다, 문서 로드 후, 제출 직전에 선언과 비교)
+  trackProtectedForms() {
+    if (!this.formMonitor.isEnabled()) return;
+
+    const verify = submitter => {
+      this.formMonitor.verify(submitter).forEach(finding => {
+        if (finding.action) {
+          finding.action = this.masking.maskUrl(finding.action, window.location.href);
+        }
+        SuspiciousTracker.instance.record(finding);
+      });
+    };
+
+    // 겹침 확인이 레이아웃을 강제하므로 변경이 몰려도 프레임마다 한 번만 확인
+    let scheduled = false;
+    const scheduleVerify = () => {
+      if (scheduled) return;
+      scheduled = true;
+      requestAnimationFrame(() => {
+        scheduled = false;
+        verify();
+      });
+    };
+
+    this.observeDocument(scheduleVerify, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ['action', 'formaction', 'form', 'name', 'id', 'type', 'style', 'class', 'hidden']
+    });
+
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => verify(), { once: true });
+    } else {
+      verify();
+    }
+
+    // 제출 직전 최종 확인 (제출 버튼의 formaction 포함)
+    document.addEventListener('submit', event => verify(event.submitter), true);
+  }
+
+  // 문서에 추가된 외부 스크립트 기록 (기준선 비교가 끝난 뒤라면 기준선에 없는 스크립트를 바로 보고)
+  observeScript(src) {
+    const url = ScriptInventory.normalizeScriptUrl(src, window.location.href);
+    this.observedScripts.add(url);
+
+    if (!this.options.scriptBaseline || !this.reportedDrift || this.reportedDrift.has(url)) return;
+    if (this.options.scriptBaseline.scripts.some(entry => entry.key === url)) return;
+
+    this.reportedDrift.add(url);
+    ScriptInventory.toDriftFindings({
+      added: [ScriptInventory.createEntry({ url, pageUrl: window.location.href })],
+      modified: [],
+      removed: []
+    }).forEach(finding => SuspiciousTracker.instance.record(finding));
+  }
+
+  // 외부 스크립트 내용 읽기 (교차 출처라 읽을 수 없으면 null)
+  async fetchScriptContent(url) {
+    if (!nativeFetch) return null;
+    try {
+      const response = await nativeFetch(url, { credentials: 'omit', cache: 'force-cache' });
+      return response.ok ? await response.text() : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // 페이지 스크립트 목록 (URL, SRI 형식 해시, 크기, 인라인 여부)
+  async collectScriptInventory() {
+    const pageUrl = window.location.href;
+    const externalUrls = new Set(this.observedScripts);
+    const entries = [];
+    let inlineIndex = 0;
+
+    Array.from(document.scripts).forEach(script => {
+      if (script.src) {
+        externalUrls.add(ScriptInventory.normalizeScriptUrl(script.src, pageUrl));
+      } else {
+        entries.push(ScriptInventory.createEntry({
+          content: script.text,
+          inline: true,
+          index: inlineIndex++,
+          pageUrl
+        }));
+      }
+    });
+
+    const externalEntries = await Promise.all(Array.from(externalUrls).map(async url =>
+      ScriptInventory.createEntry({ url, content: await this.fetchScriptContent(url), pageUrl })));
+
+    return ScriptInventory.createInventory(pageUrl, [...externalEntries, ...entries]);
+  }
+
+  // 기준선과 현재 스크립트 목록 비교 후 추가/삭제/변경을 기록
+  async checkScriptDrift(baseline = this.options.scriptBaseline) {
+    if (!baseline) return null;
+
+    try {
+      const inventory = await this.collectScriptInventory();
+      const diff = ScriptInventory.compareInventories(baseline, inventory);
+      ScriptInventory.toDriftFindings(diff).forEach(finding => {
+        SuspiciousTracker.instance.record(finding);
+      });
+
+      this.reportedDrift = new Set(diff.added.map(entry => entry.key));
+      return diff;
+    } catch (error) {
+      console.error('[SuspiciousTracker] 스크립트 목록 비교 중 오류:', error);
+      return null;
+    }
+  }
+
   // 도메인 불일치 감지
   trackDomainMismatch() {
     const currentHost = window.location.hostname;
@@ -194,45 +674,72 @@ class SuspiciousTracker {
     }
   }
 
-  // 숨겨진 요소 클릭 감지
+  // 클릭재킹 감지 (클릭 지점의 요소 배치 분석, iframe 클릭 포함)
   trackHiddenClicks() {
+    // 페이지가 전파를 막아도 기록하도록 캡처 단계에서 처리
     document.addEventListener('click', event => {
-      const el = event.target;
-      const style = window.getComputedStyle(el);
-      
       this.lastClick = {
         timestamp: Date.now(),
-        element: el
+        element: event.target
       };
+      this.lastPointer = { x: event.clientX, y: event.clientY };
 
-      if (style.opacity === '0' || 
-          style.visibility === 'hidden' || 
-          parseInt(style.zIndex) > 1000) {
-        SuspiciousTracker.instance.record({
-          type: 'hidden-click',
-          element: el.tagName,
-          selector: this.getSelector(el),
-          style: {
-            opacity: style.opacity,
-            visibility: style.visibility,
-            zIndex: style.zIndex
-          }
-        });
+      try {
+        this.overlayInspector.inspectClick(event).forEach(finding => this.recordClickjacking(finding));
+      } catch (error) {
+        console.warn('[SuspiciousTracker] 클릭 분석 중 오류:', error);
       }
+    }, true);
 
-      if (el.tagName === 'IFRAME' || el.closest('iframe')) {
-        SuspiciousTracker.instance.record({
-          type: 'iframe-click',
-          element: el.tagName,
-          selector: this.getSelector(el)
-        });
-      }
+    // 겹침 후보는 문서나 스타일 속성이 바뀌면 다음 클릭 때 다시 수집
+    this.observeDocument(() => this.overlayInspector.invalidate(), {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ['style', 'class', 'hidden']
+    });
+
+    // iframe 안의 클릭은 부모 문서에 전달되지 않으므로 포인터 위치만 기억
+    document.addEventListener('mousemove', event => {
+      this.lastPointer = { x: event.clientX, y: event.clientY };
+    }, { capture: true, passive: true });
+
+    // iframe 클릭: 창이 포커스를 잃고 활성 요소가 iframe이 됨
+    window.addEventListener('blur', () => {
+      setTimeout(() => {
+        const iframe = document.activeElement;
+        if (!iframe || iframe.tagName !== 'IFRAME') return;
+
+        this.lastClick = { timestamp: Date.now(), element: iframe };
+        try {
+          const finding = this.overlayInspector.inspectIframe(iframe, this.lastPointer);
+          if (finding) this.recordClickjacking(finding);
+        } catch (error) {
+          console.warn('[SuspiciousTracker] iframe 분석 중 오류:', error);
+        }
+      }, 0);
+    });
+  }
+
+  // 클릭재킹 분석 결과 기록
+  recordClickjacking(finding) {
+    const { technique, actual, visible, control, opacity } = finding;
+    SuspiciousTracker.instance.record({
+      type: 'clickjacking',
+      technique,
+      element: actual.tagName,
+      selector: this.getSelector(actual),
+      visibleElement: visible ? visible.tagName : null,
+      visibleSelector: visible ? this.getSelector(visible) : null,
+      coveredControl: control ? this.getSelector(control) : null,
+      opacity: Math.round(opacity * 1000) / 1000,
+      frameSrc: actual.tagName === 'IFRAME' ? this.masking.maskUrl(actual.src, window.location.href) : undefined
     });
   }
 
   // 요소 비활성화 감지
   trackElementDisabling() {
-    new MutationObserver(mutations => {
+    this.observeDocument(mutations => {
       mutations.forEach(mutation => {
         if (mutation.type === 'attributes' && 
             ['style', 'disabled'].includes(mutation.attributeName)) {
@@ -250,7 +757,7 @@ class SuspiciousTracker {
           }
         }
       });
-    }).observe(document.documentElement, {
+    }, {
       attributes: true,
       subtree: true,
       attributeFilter: ['style', 'disabled']
@@ -264,26 +771,289 @@ class SuspiciousTracker {
       const url = resource.url || resource;
       const method = init.method || 'GET';
       const body = init.body;
+      const bodyText = typeof body === 'string' ? body : '';
+
+      if (this.detectors.needs('network')) {
+        this.detectors.dispatch('network', { api: 'fetch', url: String(url), method, body, element: null });
+      }
+      if (!this.detectors.isEnabled('sensitive-network')) {
+        return originalFetch.call(window, resource, init);
+      }
       
-      if (method === 'POST' && body) {
-        const hasSensitiveData = Array.from(this.accessedValues)
-          .some(value => body.includes(value));
+      let hasSensitiveData = false;
+      let dataTypes = [];
+      if (method === 'POST' && bodyText) {
+        hasSensitiveData = Array.from(this.accessedValues)
+          .some(value => bodyText.includes(value));
+        // 접근 기록이 없어도 본문 내용으로 판별되는 민감 정보
+        dataTypes = this.masking.detect(bodyText);
+      }
+
+      // 읽힌 값(또는 변환 결과)이 외부로 나가는지 (GET 쿼리 포함)
+      const flows = this.isExternalUrl(String(url))
+        ? this.correlator.findFlows([bodyText, String(url)])
+        : [];
           
-        if (hasSensitiveData) {
-          SuspiciousTracker.instance.record({
-            type: 'sensitive-network',
-            url,
-            method,
-            triggeredByClick: this.lastClick && 
-              (Date.now() - this.lastClick.timestamp < 1000)
-          });
-        }
+      if (hasSensitiveData || dataTypes.length > 0 || flows.length > 0) {
+        const record = SuspiciousTracker.instance.record({
+          type: 'sensitive-network',
+          url: this.masking.maskUrl(String(url), window.location.href),
+          method,
+          dataTypes,
+          triggeredByClick: this.lastClick && 
+            (Date.now() - this.lastClick.timestamp < 1000)
+        });
+        this.reportExfiltrationChains(flows, record, String(url));
       }
       
       return originalFetch.call(window, resource, init);
     };
   }
 
+  // 이미지/스크립트/링크/iframe URL을 통한 은닉 유출 감지
+  trackCovertExfiltration() {
+    const tracker = this;
+
+    // 입력값 보관 (입력 후 요소가 지워지거나 값이 비워져도 비교 가능)
+    const rememberValue = event => {
+      const field = event.target;
+      if (!field || !['INPUT', 'TEXTAREA', 'SELECT'].includes(field.tagName)) return;
+      const value = this.readFieldValue(field);
+      if (value) {
+        this.inputValues.set(field.name || field.id || this.getSelector(field), {
+          value,
+          selector: this.getSelector(field)
+        });
+      }
+    };
+    document.addEventListener('input', rememberValue, true);
+    document.addEventListener('change', rememberValue, true);
+
+    // src/href 속성 대입 감시 (new Image().src = ... 포함)
+    URL_CARRIERS.forEach(({ ctor, attribute }) => {
+      const proto = window[ctor] && window[ctor].prototype;
+      const descriptor = proto && Object.getOwnPropertyDescriptor(proto, attribute);
+      if (!descriptor || !descriptor.set) return;
+
+      Object.defineProperty(proto, attribute, {
+        ...descriptor,
+        set(value) {
+          tracker.inspectExfiltrationUrl(this, value, `${attribute}-property`);
+          return descriptor.set.call(this, value);
+        }
+      });
+    });
+
+    // setAttribute('src' | 'href', ...) 감시
+    Element.prototype.setAttribute = function(name, value) {
+      const carrier = URL_CARRIERS.find(item => item.tag === this.tagName);
+      if (carrier && String(name).toLowerCase() === carrier.attribute) {
+        tracker.inspectExfiltrationUrl(this, value, 'setAttribute');
+      }
+      return nativeSetAttribute.apply(this, arguments);
+    };
+
+    // innerHTML 등으로 URL이 이미 붙은 채 삽입된 요소
+    this.observeDocument(mutations => {
+      mutations.forEach(mutation => {
+        mutation.addedNodes.forEach(node => {
+          if (node.nodeType !== Node.ELEMENT_NODE) return;
+          const selector = URL_CARRIERS.map(item => item.tag.toLowerCase()).join(',');
+          const elements = node.matches(selector)
+            ? [node, ...node.querySelectorAll(selector)]
+            : node.querySelectorAll(selector);
+
+          elements.forEach(element => {
+            const carrier = URL_CARRIERS.find(item => item.tag === element.tagName);
+            const url = element.getAttribute(carrier.attribute);
+            if (url) this.inspectExfiltrationUrl(element, url, 'insertion');
+          });
+        });
+      });
+    }, {
+      childList: true,
+      subtree: true
+    });
+  }
+
+  // 입력 요소의 원본 값 (값 접근 감지에 걸리지 않도록 원본 getter 사용)
+  readFieldValue(field) {
+    if (field.tagName === 'TEXTAREA') return nativeTextAreaValue.get.call(field);
+    if (field.tagName === 'SELECT') return nativeSelectValue.get.call(field);
+    if (IGNORED_INPUT_TYPES.includes(field.type)) return '';
+    return nativeInputValue.get.call(field);
+  }
+
+  // 비교 대상 입력값 목록 ({ name, selector, value })
+  collectInputValues() {
+    const values = new Map(this.inputValues);
+
+    document.querySelectorAll('input, textarea, select').forEach(field => {
+      const value = this.readFieldValue(field);
+      if (value) {
+        values.set(field.name || field.id || this.getSelector(field), {
+          value,
+          selector: this.getSelector(field)
+        });
+      }
+    });
+
+    return Array.from(values.entries())
+      .map(([name, entry]) => ({ name, ...entry }))
+      .filter(entry => entry.value.trim().length >= this.options.exfiltrationMinLength);
+  }
+
+  // URL 값의 디코딩 후보 ({ text, encoding })
+  decodeUrlValue(value) {
+    const candidates = [{ text: value, encoding: 'plain' }];
+
+    let decoded = value;
+    try {
+      decoded = decodeURIComponent(value.replace(/\+/g, ' '));
+      if (decoded !== value) candidates.push({ text: decoded, encoding: 'uri' });
+    } catch (error) {
+      // 잘못된 퍼센트 인코딩
+    }
+
+    // btoa / URL-safe base64
+    const compact = decoded.replace(/\s/g, '');
+    if (compact.length >= 8 && /^[A-Za-z0-9+/_-]+={0,2}$/.test(compact)) {
+      try {
+        const base64 = compact.replace(/-/g, '+').replace(/_/g, '/');
+        const text = nativeAtob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='));
+        candidates.push({ text, encoding: 'base64' });
+      } catch (error) {
+        // base64 아님
+      }
+    }
+
+    return candidates;
+  }
+
+  // 숫자형 값은 공백/하이픈 없이도 비교 (카드 번호 등)
+  normalizeValue(value) {
+    return /^[\d\s-]+$/.test(value) ? value.replace(/[\s-]/g, '') : value;
+  }
+
+  // 요청 URL에 입력값이 실려 있는지 검사
+  inspectExfiltrationUrl(element, value, trigger) {
+    try {
+      if (value === null || value === undefined) return;
+
+      const url = new URL(String(value), window.location.href);
+      if (!['http:', 'https:'].includes(url.protocol)) return;
+      if (this.inspectedUrls.get(element) === url.href) return;
+      this.inspectedUrls.set(element, url.href);
+
+      if (this.detectors.needs('network')) {
+        this.detectors.dispatch('network', {
+          api: element.tagName.toLowerCase(),
+          url: url.href,
+          method: 'GET',
+          body: null,
+          element
+        });
+      }
+      if (!this.detectors.isEnabled('covert-exfiltration')) return;
+
+      // 같은 출처와 허용 도메인은 제외
+      if (!this.isExternalUrl(url.href)) return;
+
+      const parts = [];
+      url.searchParams.forEach((paramValue, param) => parts.push({ param, raw: paramValue }));
+      if (url.hash.length > 1) parts.push({ param: '#', raw: url.hash.slice(1) });
+      if (parts.length === 0) return;
+
+      const inputs = this.collectInputValues();
+
+      const matches = [];
+      const decodedTexts = [];
+      parts.forEach(part => {
+        this.decodeUrlValue(part.raw).forEach(candidate => {
+          const text = this.normalizeValue(candidate.text);
+          decodedTexts.push(candidate.text);
+
+          // 입력 필드와 무관하게 내용으로 판별되는 민감 정보 (카드 번호, 주민등록번호 등)
+          this.masking.detect(candidate.text).forEach(dataType => {
+            const alreadyMatched = matches.some(match => match.param === part.param && match.dataType === dataType);
+            if (!alreadyMatched) {
+              matches.push({
+                dataType,
+                param: part.param,
+                encoding: candidate.encoding
+              });
+            }
+          });
+
+          inputs.forEach(input => {
+            const needle = this.normalizeValue(input.value.trim());
+            const alreadyMatched = matches.some(match => match.param === part.param && match.field === input.name);
+            if (!alreadyMatched && (text.includes(needle) || candidate.text.includes(input.value))) {
+              matches.push({
+                field: input.name,
+                selector: input.selector,
+                param: part.param,
+                encoding: candidate.encoding
+              });
+            }
+          });
+        });
+      });
+
+      // 페이지 스크립트가 읽은 값(또는 변환 결과)이 실렸는지
+      const flows = this.correlator.findFlows(decodedTexts);
+      if (matches.length === 0 && flows.length === 0) return;
+
+      // 유출된 값은 마스킹 정책에 따라 가린 뒤 증거로 기록
+      // 같은 매개변수에 내용 유형 일치가 있으면 그 유형의 방식이 적용되도록 마지막에 처리
+      const maskedUrl = new URL(url.href);
+      [...matches].sort((a, b) => (a.dataType ? 1 : 0) - (b.dataType ? 1 : 0)).forEach(match => {
+        const dataType = match.dataType || 'field';
+        if (match.param === '#') {
+          maskedUrl.hash = this.masking.maskAs(url.hash.slice(1), dataType);
+        } else {
+          maskedUrl.searchParams.set(match.param, this.masking.maskAs(url.searchParams.get(match.param), dataType));
+        }
+      });
+
+      const record = SuspiciousTracker.instance.record({
+        type: 'covert-exfiltration',
+        channel: element.tagName.toLowerCase(),
+        trigger,
+        url: maskedUrl.href,
+        hostname: url.hostname,
+        element: element.tagName,
+        selector: this.getSelector(element),
+        matches
+      });
+      this.reportExfiltrationChains(flows, record, url.href);
+    } catch (error) {
+      console.warn('[SuspiciousTracker] URL 검사 중 오류:', error);
+    }
+  }
+
+  // 같은 출처도 허용 도메인도 아닌 http(s) URL인지
+  isExternalUrl(value) {
+    try {
+      const url = new URL(value, window.location.href);
+      return ['http:', 'https:'].includes(url.protocol) &&
+        url.origin !== window.location.origin &&
+        !this.options.allowedDomains.some(domain => url.hostname.endsWith(domain));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // 유출 흐름을 체인 사건으로 기록 (읽기/변환/전송 기록 참조와 결합 신뢰도 포함)
+  reportExfiltrationChains(flows, sendRecord, destinationUrl) {
+    if (flows.length === 0 || !sendRecord) return;
+
+    const destination = new URL(destinationUrl, window.location.href).hostname;
+    this.correlator.trackSend(flows, sendRecord, destination).forEach(incident => {
+      SuspiciousTracker.instance.record(incident);
+    });
+  }
+
   // 요소의 고유 선택자 생성
   getSelector(element) {
     if (!element || element === document.documentElement) {
@@ -306,14 +1076,47 @@ class SuspiciousTracker {
   // 모든 감지 시작
   start() {
     SuspiciousTracker.instance = this;
+    this.isTracking = true;
+
+    if (this.transport) {
+      this.transport.start();
+    }
     
-    this.trackValueAccess();
-    this.trackEncodingAttempts();
-    this.trackExternalScripts();
-    this.trackDomainMismatch();
-    this.trackHiddenClicks();
-    this.trackElementDisabling();
-    this.trackSensitiveNetwork();
+    // 사용자 정의 감지기를 먼저 시작해야 필요한 훅을 알 수 있음
+    this.detectors.start();
+
+    Object.keys(BUILTIN_DETECTORS).forEach(name => {
+      const hook = HOOK_SOURCES[name];
+      if (this.detectors.isEnabled(name) || (hook && this.detectors.needs(hook))) {
+        this[BUILTIN_DETECTORS[name]]();
+      }
+    });
+    this.trackDetectorHooks();
+
+    // 기준선이 있으면 페이지 로드가 끝난 뒤 스크립트 목록 비교
+    if (this.options.scriptBaseline) {
+      if (document.readyState === 'complete') {
+        this.checkScriptDrift();
+      } else {
+        window.addEventListener('load', () => this.checkScriptDrift(), { once: true });
+      }
+    }
+  }
+
+  // 감지 중지 (페이지 함수를 감싼 훅은 원래 함수로 그대로 넘기고 기록만 멈춤)
+  // 증거 체인을 봉인하기 전에 호출해야 봉인 뒤 기록이 체인 추가에 실패하지 않음
+  stop() {
+    this.isTracking = false;
+    this.observers.forEach(observer => observer.disconnect());
+    this.observers = [];
+  }
+
+  // 문서 전체 변경 감시 등록
+  observeDocument(callback, options) {
+    const observer = new MutationObserver(callback);
+    observer.observe(document.documentElement, options);
+    this.observers.push(observer);
+    return observer;
   }
 
   // 기록 조회
@@ -0,0 +1,134 @@
+// 통합 포렌식 타임라인 모듈 (src/core/timeline.js)
+
+class ForensicTimeline {
+  constructor(options = {}) {
+    this.options = {
+      storagePrefix: options.storagePrefix || 'forensic',
+      logLevel: options.logLevel || 'info',
+      ...options
+    };
+
+    this.sessionId = options.sessionId || this.generateSessionId();
+    this.entries = [];
+    this.seq = 0;
+    this.listeners = new Set();
+
+    // 벽시계 기준점 + 단조 증가 시계 (시스템 시간이 바뀌어도 순서 유지)
+    this.startTime = Date.now();
+    this.clockOrigin = performance.now();
+
+    // 재생용 DOM 기준 스냅샷과 그 시점의 순번
+    this.domSnapshot = null;
+    this.snapshotSeq = 0;
+  }
+
+  // 세션 ID 생성
+  generateSessionId() {
+    return `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  // 세션 시작 기준 경과 시간 (ms, 단조 증가)
+  now() {
+    return Math.round((performance.now() - this.clockOrigin) * 1000) / 1000;
+  }
+
+  // 기록 추가 (세션 ID, 전역 순번, 단조 시간 부여)
+  append(source, record) {
+    const entry = {
+      ...record,
+      source,
+      sessionId: this.sessionId,
+      seq: ++this.seq,
+      time: this.now()
+    };
+
+    this.entries.push(entry);
+    this.listeners.forEach(listener => {
+      try {
+        listener(entry);
+      } catch (error) {
+        console.error('[ForensicTimeline] 리스너 오류:', error);
+      }
+    });
+
+    if (this.options.logLevel === 'debug') {
+      console.debug('[ForensicTimeline] 기록 추가:', {
+        source,
+        type: entry.type,
+        seq: entry.seq,
+        time: entry.time
+      });
+    }
+
+    return entry;
+  }
+
+  // 로컬 스토리지 키 (모든 모듈이 같은 형식 사용)
+  getStorageKey(entry) {
+    return this.getSessionStorageKey(entry.seq);
+  }
+
+  // 세션 단위 로컬 스토리지 키
+  getSessionStorageKey(suffix = '') {
+    return `${this.options.storagePrefix}_${this.sessionId}_${suffix}`;
+  }
+
+  // 재생 기준 DOM 스냅샷 설정
+  setDOMSnapshot(snapshot) {
+    this.domSnapshot = snapshot;
+    this.snapshotSeq = this.seq;
+  }
+
+  // 타임라인 구독
+  addListener(listener) {
+    this.listeners.add(listener);
+  }
+
+  // 타임라인 구독 해제
+  removeListener(listener) {
+    this.listeners.delete(listener);
+  }
+
+  // 전체 기록 조회 (출처별 필터 가능)
+  getEntries(source = null) {
+    if (!source) return this.entries;
+    return this.entries.filter(entry => entry.source === source);
+  }
+
+  // 페이지 정보
+  getPageInfo() {
+    return {
+      url: window.location.href,
+      title: document.title,
+      userAgent: navigator.userAgent,
+      viewport: {
+        width: window.innerWidth,
+        height: window.innerHeight
+      }
+    };
+  }
+
+  // 단일 세션 파일 데이터 생성 (SessionReplayer에서 그대로 재생 가능)
+  exportSession() {
+    const events = this.entries
+      // 기준 스냅샷 이전의 DOM 변경은 스냅샷에 이미 반영됨
+      .filter(entry => !(entry.type === 'dom-mutation' && entry.seq <= this.snapshotSeq))
+      .map(entry => ({
+        ...entry,
+        timestamp: entry.time,
+        timestampAbsolute: this.startTime + entry.time
+      }));
+
+    return {
+      sessionId: this.sessionId,
+      startTime: this.startTime,
+      endTime: this.startTime + this.now(),
+      pageInfo: this.getPageInfo(),
+      domSnapshot: this.domSnapshot,
+      events,
+      totalEvents: events.length
+    };
+  }
+}
+
+export default ForensicTimeline;
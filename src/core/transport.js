@@ -0,0 +1,305 @@
+// 수집 서버 전송 모듈 (src/core/transport.js)
+
+// 감지 모듈이 fetch/sendBeacon을 감싸기 전에 원본을 확보 (자체 업로드가 증거로 기록되지 않도록)
+const nativeFetch = window.fetch.bind(window);
+const nativeSendBeacon = navigator.sendBeacon
+  ? navigator.sendBeacon.bind(navigator)
+  : null;
+// 배치 직렬화도 같은 이유로 감싸기 전의 JSON.stringify 사용
+const nativeJsonStringify = JSON.stringify;
+
+// 다시 보내도 결과가 같은 응답 (스키마 검증 실패, 크기 초과 등 4xx, 단 요청 시간 초과와 요청 제한은 재시도)
+function isPermanentFailure(status) {
+  return status >= 400 && status < 500 && status !== 408 && status !== 429;
+}
+
+class ForensicTransport {
+  constructor(options = {}) {
+    this.options = {
+      apiEndpoint: options.apiEndpoint,
+      batchSize: options.batchSize || 20,
+      flushInterval: options.flushInterval || 5000,
+      maxRetries: options.maxRetries !== undefined ? options.maxRetries : 5,
+      retryBaseDelay: options.retryBaseDelay || 1000,
+      compress: options.compress !== false,
+      dbName: options.dbName || 'web-forensic',
+      // 이 위험도 이상의 기록은 모으지 않고 바로 전송 (실시간 모니터링용)
+      urgentSeverity: options.urgentSeverity !== undefined
+        ? options.urgentSeverity
+        : (options.suspiciousThreshold || 0.8),
+      logLevel: options.logLevel || 'info',
+      ...options
+    };
+
+    this.timeline = this.options.timeline || null;
+    this.queue = [];
+    this.flushTimer = null;
+    this.inFlight = new Map();
+    // fetch 요청이 진행 중인 배치 ID (페이지 이탈 시 비콘으로 중복 전송하지 않도록)
+    this.sending = new Set();
+    this.dbPromise = null;
+    this.isStarted = false;
+
+    this.handlePageHide = this.handlePageHide.bind(this);
+  }
+
+  // 배치 ID 생성
+  generateBatchId() {
+    return `batch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  // 전송 시작 (이전 페이지에서 못 보낸 배치 재전송)
+  start() {
+    if (this.isStarted) return;
+    this.isStarted = true;
+
+    window.addEventListener('pagehide', this.handlePageHide);
+    this.resendPending();
+  }
+
+  // 전송 중지 (남은 기록은 즉시 전송)
+  stop() {
+    if (!this.isStarted) return;
+    this.isStarted = false;
+
+    window.removeEventListener('pagehide', this.handlePageHide);
+    this.flush();
+  }
+
+  // 기록을 전송 대기열에 추가
+  enqueue(record) {
+    this.queue.push(record);
+
+    const isUrgent = typeof record.severity === 'number' &&
+      record.severity >= this.options.urgentSeverity;
+
+    if (isUrgent || this.queue.length >= this.options.batchSize) {
+      this.flush();
+    } else if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.options.flushInterval);
+    }
+  }
+
+  // 대기열을 배치로 묶어 저장 후 전송
+  async flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    if (this.queue.length === 0) return;
+
+    const batch = {
+      batchId: this.generateBatchId(),
+      sessionId: this.timeline ? this.timeline.sessionId : null,
+      createdAt: Date.now(),
+      records: this.queue.splice(0)
+    };
+
+    this.inFlight.set(batch.batchId, batch);
+    await this.persistBatch(batch);
+    await this.sendBatch(batch);
+  }
+
+  // 배치 전송 (실패 시 지수 백오프로 재시도, 서버가 거부한 배치는 버림)
+  async sendBatch(batch, attempt = 0) {
+    // 저장 중이거나 재시도를 기다리는 동안 페이지 이탈 비콘으로 이미 보낸 배치
+    if (!this.inFlight.has(batch.batchId)) return;
+
+    let status = null;
+    try {
+      let response;
+      this.sending.add(batch.batchId);
+      try {
+        const { body, headers } = await this.encodeBatch(batch);
+        response = await nativeFetch(this.options.apiEndpoint, {
+          method: 'POST',
+          headers,
+          body,
+          credentials: 'omit'
+        });
+      } finally {
+        this.sending.delete(batch.batchId);
+      }
+
+      if (!response.ok) {
+        status = response.status;
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      this.inFlight.delete(batch.batchId);
+      await this.deleteBatch(batch.batchId);
+
+      if (this.options.logLevel === 'debug') {
+        console.debug('[ForensicTransport] 배치 전송 완료:', batch.batchId, batch.records.length);
+      }
+    } catch (error) {
+      if (isPermanentFailure(status)) {
+        // 저장해 두면 페이지를 열 때마다 같은 배치를 다시 보내게 되므로 삭제
+        this.inFlight.delete(batch.batchId);
+        await this.deleteBatch(batch.batchId);
+        console.warn('[ForensicTransport] 서버가 배치를 거부해 삭제:', batch.batchId, error.message);
+        return;
+      }
+
+      if (attempt >= this.options.maxRetries) {
+        // IndexedDB에 남겨 두고 다음 페이지 로드 때 재전송
+        this.inFlight.delete(batch.batchId);
+        console.warn('[ForensicTransport] 배치 전송 포기 (다음 로드 시 재전송):', batch.batchId, error);
+        return;
+      }
+
+      const delay = this.options.retryBaseDelay * Math.pow(2, attempt) +
+        Math.floor(Math.random() * this.options.retryBaseDelay);
+
+      if (this.options.logLevel === 'debug') {
+        console.debug('[ForensicTransport] 배치 전송 실패, 재시도 예약:', batch.batchId, delay, error);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, delay));
+      await this.sendBatch(batch, attempt + 1);
+    }
+  }
+
+  // 세션 파일 등 단일 데이터 업로드 (재시도 없음)
+  async upload(url, payload) {
+    const { body, headers } = await this.encodeBatch(payload);
+    const response = await nativeFetch(url, {
+      method: 'POST',
+      headers,
+      body,
+      credentials: 'omit'
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    return response.json();
+  }
+
+  // 배치 직렬화 (지원되는 브라우저에서는 gzip 압축)
+  async encodeBatch(batch) {
+    const json = nativeJsonStringify(batch);
+    const headers = { 'Content-Type': 'application/json' };
+
+    if (this.options.compress && typeof CompressionStream !== 'undefined') {
+      const stream = new Blob([json]).stream()
+        .pipeThrough(new CompressionStream('gzip'));
+      const body = await new Response(stream).blob();
+      return {
+        body,
+        headers: { ...headers, 'Content-Encoding': 'gzip' }
+      };
+    }
+
+    return { body: json, headers };
+  }
+
+  // 페이지 이탈 시 남은 기록을 sendBeacon으로 전송
+  handlePageHide() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    // 요청이 진행 중인 배치는 비콘으로 다시 보내지 않음 (저장되어 있어 요청이 끊기면 다음 로드 때 재전송)
+    const batches = Array.from(this.inFlight.values())
+      .filter(batch => !this.sending.has(batch.batchId));
+    if (this.queue.length > 0) {
+      const batch = {
+        batchId: this.generateBatchId(),
+        sessionId: this.timeline ? this.timeline.sessionId : null,
+        createdAt: Date.now(),
+        records: this.queue.splice(0)
+      };
+      batches.push(batch);
+      // 비콘 전송이 거부되는 경우를 대비해 저장 (완료를 기다릴 수는 없음)
+      this.persistBatch(batch);
+    }
+
+    if (!nativeSendBeacon) return;
+
+    batches.forEach(batch => {
+      // text/plain은 CORS preflight 없이 전송 가능 (서버에서 JSON으로 파싱)
+      const blob = new Blob([nativeJsonStringify(batch)], { type: 'text/plain;charset=UTF-8' });
+      if (nativeSendBeacon(this.options.apiEndpoint, blob)) {
+        this.inFlight.delete(batch.batchId);
+        this.deleteBatch(batch.batchId);
+      }
+    });
+  }
+
+  // 저장된 미전송 배치 재전송
+  async resendPending() {
+    const batches = await this.loadPendingBatches();
+
+    for (const batch of batches) {
+      if (this.inFlight.has(batch.batchId)) continue;
+      this.inFlight.set(batch.batchId, batch);
+      await this.sendBatch(batch);
+    }
+  }
+
+  // IndexedDB 열기 (미지원 환경에서는 null)
+  openDatabase() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise(resolve => {
+      if (typeof indexedDB === 'undefined') {
+        resolve(null);
+        return;
+      }
+
+      const request = indexedDB.open(this.options.dbName, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore('batches', { keyPath: 'batchId' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('[ForensicTransport] IndexedDB 열기 실패:', request.error);
+        resolve(null);
+      };
+    });
+
+    return this.dbPromise;
+  }
+
+  // IndexedDB 요청 실행
+  async runRequest(mode, operation) {
+    const db = await this.openDatabase();
+    if (!db) return null;
+
+    return new Promise(resolve => {
+      try {
+        const store = db.transaction('batches', mode).objectStore('batches');
+        const request = operation(store);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          console.warn('[ForensicTransport] IndexedDB 요청 실패:', request.error);
+          resolve(null);
+        };
+      } catch (error) {
+        console.warn('[ForensicTransport] IndexedDB 트랜잭션 실패:', error);
+        resolve(null);
+      }
+    });
+  }
+
+  // 배치 저장
+  persistBatch(batch) {
+    return this.runRequest('readwrite', store => store.put(batch));
+  }
+
+  // 배치 삭제
+  deleteBatch(batchId) {
+    return this.runRequest('readwrite', store => store.delete(batchId));
+  }
+
+  // 저장된 배치 전체 조회
+  async loadPendingBatches() {
+    const batches = await this.runRequest('readonly', store => store.getAll());
+    return batches || [];
+  }
+}
+
+export default ForensicTransport;
@@ -3,22 +3,73 @@
 import DOMTracker from './core/dom';
 import NetworkTracker from './core/network';
 import SuspiciousTracker from './core/suspicious';
+import ForensicTimeline from './core/timeline';
+import ForensicTransport from './core/transport';
+import EvidenceChain from './core/evidence';
+import SessionRecorder from './record';
+import MaskingEngine from './shared/masking';
+import ScriptAttributor from './core/attribution';
+import DetectorRegistry from './core/detectors';
+
+// 페이지 감시용으로 감싸기 전의 JSON.parse/JSON.stringify (증거 검증과 세션 저장이 변환 시도로 기록되지 않도록)
+const nativeJsonParse = JSON.parse;
+const nativeJsonStringify = JSON.stringify;
 
 class WebForensic {
   constructor(options = {}) {
     this.options = {
-      maskPatterns: options.maskPatterns || ['card', 'password'],
       suspiciousThreshold: options.suspiciousThreshold || 0.8,
       allowedDomains: options.allowedDomains || [],
       logLevel: options.logLevel || 'info',
       ...options
     };
 
+    // 모든 모듈이 공유하는 세션 타임라인
+    this.timeline = this.options.timeline || new ForensicTimeline(this.options);
+    this.options.timeline = this.timeline;
+
+    // 모든 모듈이 공유하는 마스킹 정책 (필드 이름/선택자, 내용 분류, 유형별 마스킹 방식, 허용 필드)
+    this.maskingEngine = this.options.maskingEngine || new MaskingEngine(this.options);
+    this.options.maskingEngine = this.maskingEngine;
+
+    // 모든 모듈이 공유하는 원인 스크립트 추적 (기록별 스크립트 URL/줄 번호, 스크립트별 행위 요약)
+    this.scriptAttributor = this.options.scriptAttributor || new ScriptAttributor(this.options);
+    this.options.scriptAttributor = this.scriptAttributor;
+
+    // 모든 모듈이 공유하는 수집 서버 전송 (배치, 재시도, 오프라인 보관)
+    this.transport = this.options.transport ||
+      (this.options.apiEndpoint ? new ForensicTransport(this.options) : null);
+    this.options.transport = this.transport;
+
+    // 저장 기록 해시 체인 (Web Crypto를 쓸 수 있는 보안 컨텍스트에서만)
+    this.evidenceChain = this.options.evidenceChain ||
+      (this.options.evidence !== false && EvidenceChain.isSupported()
+        ? new EvidenceChain({ ...this.options, sessionId: this.timeline.sessionId })
+        : null);
+    this.options.evidenceChain = this.evidenceChain;
+
+    this.recorder = null;
+
     this.domTracker = new DOMTracker(this.options);
     this.networkTracker = new NetworkTracker(this.options);
     this.suspiciousTracker = new SuspiciousTracker(this.options);
   }
 
+  // 사용자 정의 감지기 등록 (start 전에 등록, 배포별 설정은 options.detectors)
+  static registerDetector(definition) {
+    DetectorRegistry.register(definition);
+  }
+
+  // 사용자 정의 감지기 등록 해제
+  static unregisterDetector(name) {
+    return DetectorRegistry.unregister(name);
+  }
+
+  // 등록된 사용자 정의 감지기 목록
+  static listDetectors() {
+    return DetectorRegistry.list();
+  }
+
   // 모든 감지 시작
   start() {
     this.domTracker.start();
@@ -32,6 +83,15 @@ class WebForensic {
   stop() {
     this.domTracker.stop();
     this.networkTracker.stop();
+    this.suspiciousTracker.stop();
+    this.stopSession();
+
+    // 모든 추적기를 멈춘 뒤 증거 체인을 봉인하고 남은 기록 전송
+    this.sealEvidence().then(() => {
+      if (this.transport) {
+        this.transport.stop();
+      }
+    });
     
     console.log('[WebForensic] 감지 중지');
   }
@@ -41,6 +101,14 @@ class WebForensic {
     return this.domTracker.getRecords();
   }
 
+  // 초기 DOM 스냅샷과 증분 변경 로그 조회
+  getDOMSnapshot() {
+    return {
+      snapshot: this.domTracker.getSnapshot(),
+      mutations: this.domTracker.getMutationLog()
+    };
+  }
+
   // 네트워크 요청 기록 조회
   getNetworkRecords() {
     return this.networkTracker.getRecords();
@@ -60,6 +128,170 @@ class WebForensic {
     };
   }
 
+  // 스크립트별 행위 요약 조회 (위험도 높은 순)
+  getScriptSummary() {
+    return this.scriptAttributor.getSummary();
+  }
+
+  // 페이지 스크립트 목록 조회 (기준선으로 저장해 scriptBaseline 옵션이나 checkScriptDrift에 사용)
+  getScriptInventory() {
+    return this.suspiciousTracker.collectScriptInventory();
+  }
+
+  // 기준선과 현재 스크립트 목록 비교 ({ added, removed, modified, unchanged }, 변경은 의심 기록으로 남김)
+  checkScriptDrift(baseline) {
+    return this.suspiciousTracker.checkScriptDrift(baseline);
+  }
+
+  // 사용자 상호작용 기록 시작 (같은 타임라인에 기록)
+  startSession(recorderOptions = {}) {
+    if (this.recorder && this.recorder.isRecording) {
+      console.warn('[WebForensic] 이미 세션을 기록 중입니다.');
+      return this.recorder;
+    }
+
+    this.recorder = new SessionRecorder({
+      ...this.options,
+      ...recorderOptions,
+      timeline: this.timeline
+    });
+    this.recorder.startRecording();
+    return this.recorder;
+  }
+
+  // 사용자 상호작용 기록 중지
+  stopSession() {
+    if (this.recorder && this.recorder.isRecording) {
+      this.recorder.stopRecording();
+    }
+  }
+
+  // 통합 타임라인 조회 (상호작용, DOM 변경, 네트워크, 의심 활동)
+  getTimeline() {
+    return this.timeline.getEntries();
+  }
+
+  // 단일 세션 데이터 내보내기 (SessionReplayer로 재생 가능)
+  exportSession() {
+    return {
+      ...this.timeline.exportSession(),
+      scripts: this.getScriptSummary()
+    };
+  }
+
+  // 세션 파일로 저장
+  saveSession(filename = null) {
+    const sessionData = this.exportSession();
+
+    const blob = new Blob([nativeJsonStringify(sessionData, null, 2)], {
+      type: 'application/json'
+    });
+
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename || `forensic_${sessionData.sessionId}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+
+    console.log('[WebForensic] 세션 저장됨:', a.download);
+  }
+
+  // 네트워크 기록을 HAR 1.2로 내보내기
+  exportHar() {
+    return this.networkTracker.exportHar({
+      startTime: this.timeline.startTime
+    });
+  }
+
+  // HAR 파일로 저장
+  saveHar(filename = null) {
+    const har = this.exportHar();
+
+    const blob = new Blob([nativeJsonStringify(har, null, 2)], {
+      type: 'application/json'
+    });
+
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename || `forensic_${this.timeline.sessionId}.har`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+
+    console.log('[WebForensic] HAR 저장됨:', a.download);
+  }
+
+  // 세션 파일을 수집 서버로 업로드 (sessionEndpoint 설정 필요)
+  async uploadSession() {
+    if (!this.options.sessionEndpoint) {
+      console.warn('[WebForensic] sessionEndpoint가 설정되지 않았습니다.');
+      return null;
+    }
+
+    try {
+      const transport = this.transport || new ForensicTransport(this.options);
+      const result = await transport.upload(this.options.sessionEndpoint, this.exportSession());
+      console.log('[WebForensic] 세션 업로드 완료:', result);
+      return result;
+    } catch (error) {
+      console.error('[WebForensic] 세션 업로드 중 오류:', error);
+      return null;
+    }
+  }
+
+  // 증거 체인 봉인 (최종 다이제스트 저장 및 전송)
+  async sealEvidence() {
+    if (!this.evidenceChain) return null;
+
+    try {
+      const seal = await this.evidenceChain.sealChain();
+      localStorage.setItem(this.timeline.getSessionStorageKey('seal'), nativeJsonStringify(seal));
+      if (this.transport) {
+        this.transport.enqueue(seal);
+      }
+      return seal;
+    } catch (error) {
+      console.error('[WebForensic] 증거 체인 봉인 중 오류:', error);
+      return null;
+    }
+  }
+
+  // 증거 체인 검증 (인자가 없으면 로컬 스토리지에 저장된 현재 세션 기록 검증)
+  async verifyEvidence(records = null, seal = null) {
+    if (!records) {
+      const prefix = this.timeline.getSessionStorageKey();
+      const sealKey = this.timeline.getSessionStorageKey('seal');
+      records = [];
+
+      for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (!key.startsWith(prefix)) continue;
+
+        try {
+          const value = nativeJsonParse(localStorage.getItem(key));
+          if (key === sealKey) {
+            seal = seal || value;
+          } else if (typeof value.chainIndex === 'number') {
+            records.push(value);
+          }
+        } catch (error) {
+          // 파싱할 수 없게 훼손된 항목은 순번 누락으로 보고됨
+        }
+      }
+    }
+
+    const result = await EvidenceChain.verify(records, seal);
+    if (!result.valid) {
+      console.warn('[WebForensic] 증거 체인 검증 실패:', result.errors);
+    }
+    return result;
+  }
+
   // Puppeteer 페이지에 감지 설정
   async setupPuppeteer(page) {
     await this.networkTracker.setupPuppeteerInterception(page);
@@ -1,5 +1,8 @@
 // 사용자 세션 레코딩 모듈 (src/record.js)
 
+// 페이지 감시용으로 감싸기 전의 JSON.stringify (상호작용 기록 저장이 변환 시도로 기록되지 않도록)
+const nativeJsonStringify = JSON.stringify;
+
 class SessionRecorder {
   constructor(options = {}) {
     this.options = {
@@ -10,8 +13,13 @@ class SessionRecorder {
       recordNavigation: options.recordNavigation !== false,
       recordFormInputs: options.recordFormInputs !== false,
       recordClicks: options.recordClicks !== false,
+      // DOMTracker 인스턴스를 넘기면 DOM 스냅샷과 변경 로그도 함께 기록
+      domTracker: options.domTracker || null,
+      // ForensicTimeline 인스턴스를 넘기면 세션 ID/시계/순번을 공유
+      timeline: options.timeline || null,
       maskSensitiveData: options.maskSensitiveData !== false,
-      maskPatterns: options.maskPatterns || ['password', 'card', 'ssn', 'email'],
+      // WebForensic과 공유하는 마스킹 엔진 (없으면 maskingPolicy로 생성)
+      maskingEngine: options.maskingEngine || null,
       logLevel: options.logLevel || 'info',
       ...options
     };
@@ -21,6 +29,11 @@ class SessionRecorder {
     this.isRecording = false;
     this.startTime = null;
     this.listeners = new Map();
+    this.domSnapshot = null;
+    this.domListener = null;
+    // 주변 입력값 확인 시 값 접근 감지에 걸리지 않도록 원본 getter 보관
+    this.nativeInputValue = Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, 'value').get;
+    this.masking = this.options.maskingEngine || this.createMaskingEngine();
     
     // 페이지 정보 저장
     this.pageInfo = {
@@ -39,19 +52,31 @@ class SessionRecorder {
     return `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 
-  // 민감 정보 마스킹
-  maskSensitiveData(value, fieldName = '') {
-    if (!this.options.maskSensitiveData || !value) return value;
-    
-    const shouldMask = this.options.maskPatterns.some(pattern => 
-      fieldName.toLowerCase().includes(pattern.toLowerCase())
-    );
-    
-    if (shouldMask) {
-      return '*'.repeat(Math.min(value.length, 8));
+  // 마스킹 엔진 생성 (번들에서는 모듈, 테스트 페이지에서는 전역 스크립트)
+  createMaskingEngine() {
+    const MaskingEngine = typeof module !== 'undefined' && module.exports
+      ? require('./shared/masking')
+      : window.MaskingEngine;
+
+    if (!MaskingEngine) {
+      console.warn('[SessionRecorder] 마스킹 엔진(src/shared/masking.js)이 로드되지 않아 입력값을 마스킹하지 않습니다.');
+      return null;
     }
-    
-    return value;
+    return new MaskingEngine(this.options);
+  }
+
+  // 민감 정보 마스킹 (마스킹 정책의 필드 이름/선택자와 값 내용 기준)
+  maskSensitiveData(value, field, context = {}) {
+    if (!this.options.maskSensitiveData || !this.masking) return value;
+    return this.masking.maskValue(value, field, context);
+  }
+
+  // 마스킹 전 값의 민감 정보 유형 목록
+  detectSensitiveData(value, context = {}) {
+    if (!this.masking || typeof value !== 'string' || !value) return [];
+
+    const dataType = this.masking.classify(value, context);
+    return dataType ? [dataType] : this.masking.detect(value);
   }
 
   // 이벤트 기록
@@ -62,8 +87,9 @@ class SessionRecorder {
     }
 
     try {
-      const timestamp = Date.now() - this.startTime;
-      const record = {
+      const timeline = this.options.timeline;
+      const timestamp = timeline ? timeline.now() : Date.now() - this.startTime;
+      let record = {
         ...event,
         sessionId: this.sessionId,
         timestamp,
@@ -71,6 +97,10 @@ class SessionRecorder {
         timestampAbsolute: Date.now()
       };
 
+      if (timeline) {
+        record = timeline.append('interaction', record);
+      }
+
       this.records.push(record);
       
       // 로컬 스토리지에 저장
@@ -93,8 +123,10 @@ class SessionRecorder {
   // 로컬 스토리지에 저장
   saveToStorage(record) {
     try {
-      const storageKey = `session_${this.sessionId}_${record.timestamp}`;
-      localStorage.setItem(storageKey, JSON.stringify(record));
+      const storageKey = this.options.timeline
+        ? this.options.timeline.getStorageKey(record)
+        : `session_${this.sessionId}_${record.timestamp}`;
+      localStorage.setItem(storageKey, nativeJsonStringify(record));
     } catch (error) {
       console.warn('[SessionRecorder] 로컬 스토리지 저장 실패:', error);
     }
@@ -367,12 +399,20 @@ class SessionRecorder {
     this.addListener('input', (event) => {
       const target = event.target;
       if (['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) {
+        const context = this.masking
+          ? this.masking.getContext(target, field =>
+            field.tagName === 'INPUT' ? this.nativeInputValue.call(field) : field.value)
+          : {};
         this.recordEvent({
           type: 'input',
-          value: this.maskSensitiveData(target.value, target.name || target.id),
+          value: this.maskSensitiveData(target.value, target, context),
+          sensitiveData: this.detectSensitiveData(target.value, context),
           name: target.name || '',
           id: target.id || '',
-          type: target.type || '',
+          // 기록 유형(type: 'input')을 덮어쓰지 않도록 입력 요소 유형은 inputType으로 기록
+          inputType: target.type || '',
+          // 체크박스/라디오는 선택 상태도 기록 (재생과 탐색 시 복원)
+          checked: ['checkbox', 'radio'].includes(target.type) ? target.checked : undefined,
           target: this.getElementSelector(target)
         });
       }
@@ -383,14 +423,24 @@ class SessionRecorder {
       const form = event.target;
       const formData = new FormData(form);
       const data = {};
+      const sensitiveData = new Set();
+      const context = {
+        nearCard: !!this.masking && Array.from(formData.values())
+          .some(value => typeof value === 'string' && this.masking.classify(value) === 'card')
+      };
       
       for (const [key, value] of formData.entries()) {
-        data[key] = this.maskSensitiveData(value, key);
+        // 선택자 규칙도 적용되도록 이름이 같은 요소가 하나면 요소로 전달
+        const element = form.elements.namedItem(key);
+        const field = element && element.nodeType === Node.ELEMENT_NODE ? element : key;
+        data[key] = this.maskSensitiveData(value, field, context);
+        this.detectSensitiveData(value, context).forEach(type => sensitiveData.add(type));
       }
 
       this.recordEvent({
         type: 'submit',
         formData: data,
+        sensitiveData: Array.from(sensitiveData),
         target: this.getElementSelector(form)
       });
     });
@@ -446,6 +496,23 @@ class SessionRecorder {
     }, 1000);
   }
 
+  // DOM 스냅샷 및 변경 기록
+  recordDOMChanges() {
+    const domTracker = this.options.domTracker;
+    if (!domTracker) return;
+
+    domTracker.trackMutationLog();
+    this.domSnapshot = domTracker.getSnapshot();
+
+    this.domListener = (entry) => {
+      this.recordEvent({
+        type: 'dom-mutation',
+        mutations: entry.mutations
+      });
+    };
+    domTracker.addMutationListener(this.domListener);
+  }
+
   // 이벤트 리스너 추가
   addListener(eventType, handler) {
     const wrappedHandler = (event) => {
@@ -506,6 +573,12 @@ class SessionRecorder {
       this.startTime = Date.now();
       this.sessionId = this.generateSessionId();
       this.records = [];
+
+      // 통합 타임라인 사용 시 타임라인의 세션 ID와 시작 시각을 그대로 사용
+      if (this.options.timeline) {
+        this.sessionId = this.options.timeline.sessionId;
+        this.startTime = this.options.timeline.startTime;
+      }
       
       console.log('[SessionRecorder] 기록 시작 - 설정:', {
         recordMouse: this.options.recordMouse,
@@ -523,6 +596,7 @@ class SessionRecorder {
       this.recordResizeEvents();
       this.recordFormInputs();
       this.recordNavigationEvents();
+      this.recordDOMChanges();
       
       console.log('[SessionRecorder] 세션 기록 시작:', this.sessionId);
       console.log('[SessionRecorder] 등록된 리스너 수:', this.listeners.size);
@@ -547,6 +621,12 @@ class SessionRecorder {
       document.removeEventListener(eventType, handler, true);
     });
     this.listeners.clear();
+
+    // DOM 변경 구독 해제
+    if (this.domListener) {
+      this.options.domTracker.removeMutationListener(this.domListener);
+      this.domListener = null;
+    }
     
     // records 배열이 없으면 빈 배열로 초기화
     if (!this.records || !Array.isArray(this.records)) {
@@ -557,18 +637,24 @@ class SessionRecorder {
     return this.records;
   }
 
-  // 세션 저장
-  saveSession(filename = null) {
-    const sessionData = {
+  // 세션 데이터 생성
+  getSessionData() {
+    return {
       sessionId: this.sessionId,
       startTime: this.startTime,
       endTime: Date.now(),
       pageInfo: this.pageInfo,
+      domSnapshot: this.domSnapshot,
       events: this.records,
       totalEvents: this.records.length
     };
+  }
 
-    const blob = new Blob([JSON.stringify(sessionData, null, 2)], {
+  // 세션 저장
+  saveSession(filename = null) {
+    const sessionData = this.getSessionData();
+
+    const blob = new Blob([nativeJsonStringify(sessionData, null, 2)], {
       type: 'application/json'
     });
 
@@ -606,9 +692,15 @@ class SessionRecorder {
     this.records = [];
     this.sessionId = null;
     this.startTime = null;
+    this.domSnapshot = null;
     console.log('[SessionRecorder] 모든 기록 삭제됨');
   }
 }
 
 // 전역 객체로 노출
-window.SessionRecorder = SessionRecorder; 
+window.SessionRecorder = SessionRecorder;
+
+// 번들(src/index.js)에서 가져다 쓸 수 있도록 내보내기
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SessionRecorder;
+} 
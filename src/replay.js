@@ -6,6 +6,11 @@ class SessionReplayer {
       speed: options.speed || 1.0,
       autoStart: options.autoStart || false,
       showProgress: options.showProgress !== false,
+      // 'live': 현재 페이지에 이벤트 재생, 'sandbox': 기록된 DOM을 격리된 iframe에 재구성
+      mode: options.mode || 'live',
+      container: options.container || null,
+      // 탐색(seek) 시 복원 지점으로 사용할 체크포인트 간격 (이벤트 수)
+      checkpointInterval: options.checkpointInterval || 50,
       logLevel: options.logLevel || 'info',
       ...options
     };
@@ -18,48 +23,281 @@ class SessionReplayer {
     this.replaySpeed = this.options.speed;
     this.startTime = null;
     this.progressCallback = null;
+    this.replayTimer = null;
+    this.externalMarkers = [];
+
+    // 탐색용 재생 상태 (입력 값, 체크박스/라디오 선택, 스크롤 위치, 포커스)와 체크포인트
+    this.replayState = null;
+    this.checkpoints = [];
+
+    // 샌드박스 재생 상태
+    this.sandboxFrame = null;
+    this.sandboxNodes = new Map();
     
-    // 재생 상태 표시 요소
+    // 재생 컨트롤 요소
     this.progressElement = null;
+    this.controls = null;
     this.createProgressElement();
   }
 
-  // 진행률 표시 요소 생성
+  // 재생 컨트롤 (재생/일시정지, 속도, 타임라인) 생성
   createProgressElement() {
     if (!this.options.showProgress) return;
     
     this.progressElement = document.createElement('div');
     this.progressElement.style.cssText = `
       position: fixed;
-      top: 10px;
+      left: 10px;
       right: 10px;
-      background: rgba(0, 0, 0, 0.8);
+      bottom: 10px;
+      background: rgba(0, 0, 0, 0.85);
       color: white;
-      padding: 10px;
+      padding: 10px 12px;
       border-radius: 5px;
       font-family: monospace;
       font-size: 12px;
       z-index: 10000;
-      min-width: 200px;
     `;
-    this.progressElement.innerHTML = '재생 준비됨';
+    this.progressElement.innerHTML = `
+      <div style="display: flex; align-items: center; gap: 10px;">
+        <button data-role="play" style="min-width: 70px; cursor: pointer;">▶ 재생</button>
+        <select data-role="speed" style="cursor: pointer;">
+          <option value="0.5">0.5x</option>
+          <option value="1">1x</option>
+          <option value="2">2x</option>
+          <option value="4">4x</option>
+          <option value="8">8x</option>
+        </select>
+        <span data-role="time">00:00 / 00:00</span>
+        <span data-role="events"></span>
+        <span data-role="status" style="margin-left: auto;">재생 준비됨</span>
+      </div>
+      <div data-role="track" style="position: relative; height: 18px; margin-top: 10px; cursor: pointer;">
+        <div style="position: absolute; top: 7px; left: 0; right: 0; height: 4px; background: #555; border-radius: 2px;"></div>
+        <div data-role="fill" style="position: absolute; top: 7px; left: 0; width: 0; height: 4px; background: #4facfe; border-radius: 2px;"></div>
+        <div data-role="markers" style="position: absolute; top: 0; left: 0; right: 0; height: 18px;"></div>
+        <div data-role="handle" style="position: absolute; top: 3px; left: 0; width: 12px; height: 12px; margin-left: -6px; background: white; border-radius: 50%;"></div>
+      </div>
+    `;
     document.body.appendChild(this.progressElement);
+
+    const query = (role) => this.progressElement.querySelector(`[data-role="${role}"]`);
+    this.controls = {
+      play: query('play'),
+      speed: query('speed'),
+      time: query('time'),
+      events: query('events'),
+      status: query('status'),
+      track: query('track'),
+      fill: query('fill'),
+      markers: query('markers'),
+      handle: query('handle')
+    };
+
+    this.syncSpeedControl();
+    this.controls.play.addEventListener('click', () => this.togglePlay());
+    this.controls.speed.addEventListener('change', () => {
+      this.setSpeed(parseFloat(this.controls.speed.value));
+    });
+    this.bindTimelineDrag();
+  }
+
+  // 속도 선택 상자를 현재 재생 속도와 동기화 (목록에 없는 속도는 추가)
+  syncSpeedControl() {
+    if (!this.controls) return;
+
+    const select = this.controls.speed;
+    const value = String(this.replaySpeed);
+    if (!Array.from(select.options).some(option => option.value === value)) {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = `${value}x`;
+      select.appendChild(option);
+    }
+    select.value = value;
+  }
+
+  // 타임라인 드래그로 탐색
+  bindTimelineDrag() {
+    const track = this.controls.track;
+    let dragging = false;
+
+    const ratioAt = (clientX) => {
+      const rect = track.getBoundingClientRect();
+      if (rect.width === 0) return 0;
+      return Math.min(1, Math.max(0, (clientX - rect.left) / rect.width));
+    };
+
+    // 드래그 중에는 위치만 표시하고, 놓는 순간 실제 상태를 재구성
+    const onMove = (event) => {
+      if (!dragging) return;
+      this.setTimelinePosition(ratioAt(event.clientX));
+    };
+
+    const onUp = (event) => {
+      if (!dragging) return;
+      dragging = false;
+      document.removeEventListener('mousemove', onMove);
+      document.removeEventListener('mouseup', onUp);
+      this.jumpToTime(ratioAt(event.clientX) * this.getDuration());
+    };
+
+    track.addEventListener('mousedown', (event) => {
+      if (this.events.length === 0) return;
+      event.preventDefault();
+      dragging = true;
+      this.setTimelinePosition(ratioAt(event.clientX));
+      document.addEventListener('mousemove', onMove);
+      document.addEventListener('mouseup', onUp);
+    });
+  }
+
+  // 타임라인 채움/핸들 위치 설정 (0~1)
+  setTimelinePosition(ratio) {
+    if (!this.controls) return;
+    const percent = `${(ratio * 100).toFixed(2)}%`;
+    this.controls.fill.style.width = percent;
+    this.controls.handle.style.left = percent;
+  }
+
+  // 상태 표시 문구 변경
+  setStatusText(text) {
+    if (this.controls) {
+      this.controls.status.textContent = text;
+    }
+  }
+
+  // 세션 전체 길이 (ms)
+  getDuration() {
+    const lastEvent = this.events[this.events.length - 1];
+    return lastEvent && lastEvent.timestamp ? lastEvent.timestamp : 0;
+  }
+
+  // 현재 재생 위치 (ms)
+  getCurrentTime() {
+    const lastPlayed = this.events[this.currentIndex - 1];
+    return lastPlayed && lastPlayed.timestamp ? lastPlayed.timestamp : 0;
+  }
+
+  // ms → mm:ss
+  formatTime(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const minutes = String(Math.floor(totalSeconds / 60)).padStart(2, '0');
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    return `${minutes}:${seconds}`;
   }
 
   // 진행률 업데이트
   updateProgress() {
-    if (!this.progressElement) return;
+    if (!this.progressElement || !this.controls) return;
     
-    const progress = this.events.length > 0 ? (this.currentIndex / this.events.length * 100).toFixed(1) : 0;
-    const currentEvent = this.events[this.currentIndex];
-    const timeInfo = currentEvent ? `(${Math.round(currentEvent.timestamp / 1000)}s)` : '';
-    
-    this.progressElement.innerHTML = `
-      <div>재생 중... ${progress}%</div>
-      <div>이벤트: ${this.currentIndex + 1}/${this.events.length}</div>
-      <div>속도: ${this.replaySpeed}x ${timeInfo}</div>
-      <div>상태: ${this.isPaused ? '일시정지' : '재생중'}</div>
-    `;
+    const duration = this.getDuration();
+    const currentTime = this.getCurrentTime();
+
+    this.setTimelinePosition(duration > 0 ? currentTime / duration : 0);
+    this.controls.time.textContent = `${this.formatTime(currentTime)} / ${this.formatTime(duration)}`;
+    this.controls.events.textContent = `이벤트: ${Math.min(this.currentIndex + 1, this.events.length)}/${this.events.length}`;
+    this.controls.play.textContent = this.isReplaying && !this.isPaused ? '❚❚ 일시정지' : '▶ 재생';
+
+    if (this.isReplaying) {
+      this.setStatusText(this.isPaused ? '일시정지' : `재생중 (${this.replaySpeed}x)`);
+    }
+  }
+
+  // 이벤트의 타임라인 마커 종류 (없으면 null)
+  getMarkerKind(event) {
+    if (!event) return null;
+
+    if (event.type === 'submit') {
+      return 'form';
+    }
+    if (event.source === 'suspicious' || event.severity !== undefined) {
+      return 'suspicious';
+    }
+    if (event.source === 'network' ||
+        ['fetch', 'xhr', 'puppeteer-request'].includes(event.type)) {
+      return 'network';
+    }
+    return null;
+  }
+
+  // 세션 이벤트에서 타임라인 마커 목록 생성
+  getTimelineMarkers() {
+    const markers = [];
+
+    this.events.forEach((event, index) => {
+      const kind = this.getMarkerKind(event);
+      if (kind) {
+        markers.push({
+          index,
+          timestamp: event.timestamp,
+          kind,
+          label: event.type
+        });
+      }
+    });
+
+    return markers.concat(this.externalMarkers || []);
+  }
+
+  // 외부 기록(WebForensic 감지 결과 등)을 마커로 추가 (절대 시간 기준)
+  addMarkers(records, kind) {
+    if (!this.sessionData || !Array.isArray(records)) return;
+
+    const startTime = this.sessionData.startTime || 0;
+    this.externalMarkers = (this.externalMarkers || []).concat(
+      records.map(record => {
+        const timestamp = Math.max(0, record.timestamp - startTime);
+        const index = this.events.findIndex(event => event && event.timestamp >= timestamp);
+        return {
+          index: index === -1 ? this.events.length - 1 : index,
+          timestamp,
+          kind: kind || this.getMarkerKind(record) || 'suspicious',
+          label: record.type
+        };
+      })
+    );
+
+    this.renderMarkers();
+  }
+
+  // 타임라인 마커 표시
+  renderMarkers() {
+    if (!this.controls) return;
+
+    const colors = {
+      suspicious: '#ff4d4f',
+      network: '#1890ff',
+      form: '#52c41a'
+    };
+    const duration = this.getDuration();
+    const container = this.controls.markers;
+    container.innerHTML = '';
+
+    this.getTimelineMarkers().forEach(marker => {
+      const element = document.createElement('div');
+      const ratio = duration > 0 ? Math.min(1, marker.timestamp / duration) : 0;
+      element.title = `${marker.kind}: ${marker.label} (${this.formatTime(marker.timestamp)})`;
+      element.style.cssText = `
+        position: absolute;
+        top: 0;
+        left: ${(ratio * 100).toFixed(2)}%;
+        width: 4px;
+        height: 18px;
+        margin-left: -2px;
+        background: ${colors[marker.kind] || '#faad14'};
+        cursor: pointer;
+      `;
+
+      // 마커 클릭 시 해당 순간으로 이동
+      element.addEventListener('mousedown', (event) => event.stopPropagation());
+      element.addEventListener('click', (event) => {
+        event.stopPropagation();
+        this.jumpToEvent(marker.index);
+      });
+
+      container.appendChild(element);
+    });
   }
 
   // 세션 데이터 로드
@@ -87,6 +325,13 @@ class SessionReplayer {
     this.sessionData = sessionData;
     this.events = sessionData.events;
     this.currentIndex = 0;
+    this.replayState = null;
+    this.checkpoints = [];
+    this.externalMarkers = [];
+
+    this.renderMarkers();
+    this.updateProgress();
+    this.setStatusText('재생 준비됨');
     
     console.log('[SessionReplayer] 세션 로드됨:', {
       sessionId: sessionData.sessionId,
@@ -137,12 +382,15 @@ class SessionReplayer {
     
     this.isReplaying = true;
     this.isPaused = false;
-    this.currentIndex = 0;
     this.startTime = Date.now();
+
+    // 처음 상태로 복원 (샌드박스 모드에서는 스냅샷 DOM 재구성 포함)
+    this.restoreToIndex(0);
     
     console.log('[SessionReplayer] 재생 시작:', {
       totalEvents: this.events.length,
-      speed: this.replaySpeed
+      speed: this.replaySpeed,
+      mode: this.isSandboxMode() ? 'sandbox' : 'live'
     });
     
     this.updateProgress();
@@ -151,13 +399,13 @@ class SessionReplayer {
 
   // 재생 중지
   stopReplay() {
+    this.clearReplayTimer();
     this.isReplaying = false;
     this.isPaused = false;
     this.currentIndex = 0;
     
-    if (this.progressElement) {
-      this.progressElement.innerHTML = '재생 중지됨';
-    }
+    this.updateProgress();
+    this.setStatusText('재생 중지됨');
     
     console.log('[SessionReplayer] 재생 중지');
   }
@@ -168,7 +416,9 @@ class SessionReplayer {
     
     this.isPaused = !this.isPaused;
     
-    if (!this.isPaused) {
+    if (this.isPaused) {
+      this.clearReplayTimer();
+    } else {
       this.replayNext();
     }
     
@@ -176,13 +426,39 @@ class SessionReplayer {
     console.log('[SessionReplayer] 재생', this.isPaused ? '일시정지' : '재개');
   }
 
+  // 재생 버튼: 중지 상태면 현재 위치부터 재생, 재생 중이면 일시정지/재개
+  togglePlay() {
+    if (this.isReplaying) {
+      this.togglePause();
+      return;
+    }
+
+    if (this.currentIndex > 0 && this.currentIndex < this.events.length) {
+      this.isReplaying = true;
+      this.isPaused = false;
+      this.updateProgress();
+      this.replayNext();
+    } else {
+      this.startReplay();
+    }
+  }
+
   // 재생 속도 변경
   setSpeed(speed) {
     this.replaySpeed = speed;
+    this.syncSpeedControl();
     this.updateProgress();
     console.log('[SessionReplayer] 재생 속도 변경:', speed);
   }
 
+  // 예약된 다음 이벤트 재생 취소
+  clearReplayTimer() {
+    if (this.replayTimer) {
+      clearTimeout(this.replayTimer);
+      this.replayTimer = null;
+    }
+  }
+
   // 다음 이벤트 재생
   replayNext() {
     // 안전성 검증
@@ -210,14 +486,17 @@ class SessionReplayer {
     }
     
     this.replayEvent(event);
+    this.updateReplayState(this.replayState, event);
     this.currentIndex++;
+    this.captureCheckpointIfDue();
     this.updateProgress();
 
     // 다음 이벤트까지 대기
     const nextEvent = this.events[this.currentIndex];
-    if (nextEvent && event.timestamp) {
+    if (nextEvent && event.timestamp !== undefined) {
       const delay = Math.max(0, (nextEvent.timestamp - event.timestamp) / this.replaySpeed);
-      setTimeout(() => {
+      this.replayTimer = setTimeout(() => {
+        this.replayTimer = null;
         if (this.isReplaying && !this.isPaused) {
           this.replayNext();
         }
@@ -282,6 +561,9 @@ class SessionReplayer {
         case 'url-change':
           this.replayUrlChange(event);
           break;
+        case 'dom-mutation':
+          this.replayDOMMutation(event);
+          break;
         default:
           if (this.options.logLevel === 'debug') {
             console.log('[SessionReplayer] 미지원 이벤트 타입:', event.type);
@@ -292,10 +574,245 @@ class SessionReplayer {
     }
   }
 
+  // 샌드박스 모드 여부 (스냅샷이 있는 세션만 가능)
+  isSandboxMode() {
+    return this.options.mode === 'sandbox' &&
+      !!(this.sessionData && this.sessionData.domSnapshot);
+  }
+
+  // 재생 대상 문서
+  getReplayDocument() {
+    if (this.isSandboxMode() && this.sandboxFrame) {
+      return this.sandboxFrame.contentDocument;
+    }
+    return document;
+  }
+
+  // 재생 대상 윈도우
+  getReplayWindow() {
+    if (this.isSandboxMode() && this.sandboxFrame) {
+      return this.sandboxFrame.contentWindow;
+    }
+    return window;
+  }
+
+  // 스크립트가 비활성화된 샌드박스 iframe 생성
+  mountSandbox() {
+    if (this.sandboxFrame) return this.sandboxFrame;
+
+    const viewport = this.sessionData.domSnapshot.viewport ||
+      (this.sessionData.pageInfo && this.sessionData.pageInfo.viewport) ||
+      { width: 1024, height: 768 };
+
+    this.sandboxFrame = document.createElement('iframe');
+    // allow-scripts 없이 allow-same-origin만 허용: 원본 스크립트는 실행되지 않고 부모에서 DOM 조작만 가능
+    this.sandboxFrame.setAttribute('sandbox', 'allow-same-origin');
+    this.sandboxFrame.style.cssText = `
+      width: ${viewport.width}px;
+      height: ${viewport.height}px;
+      border: 1px solid #ccc;
+      background: white;
+    `;
+
+    const container = this.options.container || document.body;
+    container.appendChild(this.sandboxFrame);
+
+    return this.sandboxFrame;
+  }
+
+  // 샌드박스 문서의 콘텐츠 보안 정책
+  // 기록된 img/iframe/link 주소에는 스키머의 유출 URL(수집한 값이 담긴 쿼리 포함)이 있을 수 있으므로
+  // 원본 페이지 출처의 스타일/이미지/글꼴만 허용하고 나머지 외부 요청(프레임, 스크립트, 연결 등)은 모두 차단
+  getSandboxPolicy(url) {
+    let origin = '';
+    try {
+      origin = url ? new URL(url).origin : '';
+    } catch (error) {
+      origin = '';
+    }
+    if (origin === 'null') origin = '';
+
+    return [
+      "default-src 'none'",
+      `style-src 'unsafe-inline' ${origin}`,
+      `img-src data: ${origin}`,
+      `font-src data: ${origin}`,
+      `media-src ${origin || "'none'"}`,
+      "form-action 'none'"
+    ].join('; ');
+  }
+
+  // 스냅샷으로 샌드박스 문서 재구성
+  rebuildSandbox(snapshot) {
+    const frame = this.mountSandbox();
+    const doc = frame.contentDocument;
+
+    // 정책은 노드를 만들기 전에 적용되어야 함 (문서에 붙기 전의 img도 src 설정 즉시 요청을 보냄)
+    // 메타 요소는 문서 요소 교체로 사라지지만 한 번 적용된 정책은 문서에 남음
+    const policy = this.getSandboxPolicy(snapshot.url).replace(/"/g, '&quot;');
+    doc.open();
+    doc.write(`<!DOCTYPE html><html><head><meta http-equiv="Content-Security-Policy" content="${policy}"></head></html>`);
+    doc.close();
+
+    this.sandboxNodes.clear();
+
+    const htmlNode = (snapshot.root.childNodes || [])
+      .find(child => child.nodeType === Node.ELEMENT_NODE);
+    if (!htmlNode) {
+      console.warn('[SessionReplayer] 스냅샷에 문서 요소가 없습니다.');
+      return;
+    }
+
+    this.sandboxNodes.set(snapshot.root.id, doc);
+    doc.replaceChild(this.buildNode(htmlNode, doc), doc.documentElement);
+
+    // 상대 경로 리소스(CSS, 이미지)가 원본 페이지 기준으로 로드되도록 base 지정
+    if (snapshot.url && doc.head && !doc.head.querySelector('base')) {
+      const base = doc.createElement('base');
+      base.href = snapshot.url;
+      doc.head.insertBefore(base, doc.head.firstChild);
+    }
+
+    // 재생된 클릭/제출로 샌드박스가 다른 페이지로 이동하지 않도록 차단
+    ['click', 'submit'].forEach(type => {
+      doc.addEventListener(type, (e) => e.preventDefault(), true);
+    });
+
+    if (snapshot.scroll) {
+      frame.contentWindow.scrollTo(snapshot.scroll.x, snapshot.scroll.y);
+    }
+
+    if (this.options.logLevel === 'debug') {
+      console.log('[SessionReplayer] 샌드박스 재구성:', snapshot.url, '노드 수:', this.sandboxNodes.size);
+    }
+  }
+
+  // 직렬화된 노드로 실제 노드 생성
+  buildNode(serialized, doc) {
+    let node;
+
+    switch (serialized.nodeType) {
+      case Node.ELEMENT_NODE:
+        node = serialized.namespace
+          ? doc.createElementNS(serialized.namespace, serialized.tagName)
+          : doc.createElement(serialized.tagName);
+
+        Object.entries(serialized.attributes || {}).forEach(([name, value]) => {
+          this.setSandboxAttribute(node, name, value);
+        });
+
+        (serialized.childNodes || []).forEach(child => {
+          const childNode = this.buildNode(child, doc);
+          if (childNode) node.appendChild(childNode);
+        });
+
+        if (serialized.value !== undefined) {
+          node.value = serialized.value;
+        }
+        if (serialized.checked !== undefined) {
+          node.checked = serialized.checked;
+        }
+        break;
+
+      case Node.TEXT_NODE:
+        node = doc.createTextNode(serialized.textContent || '');
+        break;
+
+      case Node.COMMENT_NODE:
+        node = doc.createComment(serialized.textContent || '');
+        break;
+
+      default:
+        return null;
+    }
+
+    // 이미 있는 ID(옮겨진 노드)면 기존 노드를 떼어내고 새 노드로 교체 (같은 노드가 두 번 보이지 않도록)
+    const existing = this.sandboxNodes.get(serialized.id);
+    if (existing && existing.nodeType !== Node.DOCUMENT_NODE && existing.parentNode) {
+      existing.parentNode.removeChild(existing);
+    }
+
+    this.sandboxNodes.set(serialized.id, node);
+    return node;
+  }
+
+  // 샌드박스 요소 속성 설정 (자동 이동을 일으키는 속성 제외)
+  setSandboxAttribute(node, name, value) {
+    if (node.tagName === 'META' && name.toLowerCase() === 'http-equiv') return;
+
+    try {
+      if (value === null) {
+        node.removeAttribute(name);
+      } else {
+        node.setAttribute(name, value);
+      }
+    } catch (error) {
+      if (this.options.logLevel === 'debug') {
+        console.log('[SessionReplayer] 속성 설정 실패:', name, error);
+      }
+    }
+  }
+
+  // DOM 변경 재생
+  replayDOMMutation(event) {
+    if (!this.isSandboxMode() || !this.sandboxFrame) return;
+
+    const doc = this.sandboxFrame.contentDocument;
+
+    (event.mutations || []).forEach(mutation => {
+      switch (mutation.op) {
+        case 'attribute': {
+          const node = this.sandboxNodes.get(mutation.id);
+          if (node && node.nodeType === Node.ELEMENT_NODE) {
+            this.setSandboxAttribute(node, mutation.name, mutation.value);
+          }
+          break;
+        }
+
+        case 'text': {
+          const node = this.sandboxNodes.get(mutation.id);
+          if (node) node.data = mutation.value;
+          break;
+        }
+
+        case 'insert': {
+          const parent = this.sandboxNodes.get(mutation.parentId);
+          if (!parent) break;
+
+          const node = this.buildNode(mutation.node, doc);
+          if (!node) break;
+
+          const nextSibling = mutation.nextSiblingId !== null
+            ? this.sandboxNodes.get(mutation.nextSiblingId)
+            : null;
+          parent.insertBefore(
+            node,
+            nextSibling && nextSibling.parentNode === parent ? nextSibling : null
+          );
+          break;
+        }
+
+        case 'remove': {
+          // 이미 다른 부모로 옮겨진 노드는 그대로 둠
+          const node = this.sandboxNodes.get(mutation.id);
+          const parent = this.sandboxNodes.get(mutation.parentId);
+          if (node && node.parentNode && (!parent || node.parentNode === parent)) {
+            node.parentNode.removeChild(node);
+          }
+          break;
+        }
+      }
+    });
+
+    if (this.options.logLevel === 'debug') {
+      console.log('[SessionReplayer] DOM 변경 재생:', event.mutations.length);
+    }
+  }
+
   // 요소 찾기
   findElement(selector) {
     try {
-      return document.querySelector(selector);
+      return this.getReplayDocument().querySelector(selector);
     } catch (error) {
       console.warn('[SessionReplayer] 요소 찾기 실패:', selector, error);
       return null;
@@ -422,7 +939,11 @@ class SessionReplayer {
   replayInput(event) {
     const element = this.findElement(event.target);
     if (element && ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName)) {
-      element.value = event.value;
+      if (typeof event.checked === 'boolean') {
+        element.checked = event.checked;
+      } else {
+        element.value = event.value;
+      }
       element.dispatchEvent(new Event('input', { bubbles: true }));
       
       if (this.options.logLevel === 'debug') {
@@ -462,7 +983,7 @@ class SessionReplayer {
         }
       } else if (event.key === 'Tab') {
         // Tab 키는 포커스 이동을 시뮬레이션
-        const focusableElements = document.querySelectorAll('input, textarea, select, button, [tabindex]:not([tabindex="-1"])');
+        const focusableElements = this.getReplayDocument().querySelectorAll('input, textarea, select, button, [tabindex]:not([tabindex="-1"])');
         const currentIndex = Array.from(focusableElements).indexOf(element);
         const nextIndex = event.shiftKey ? currentIndex - 1 : currentIndex + 1;
         
@@ -521,7 +1042,7 @@ class SessionReplayer {
     if (event.isPageScroll) {
       // 페이지 전체 스크롤
       if (event.scrollX !== undefined && event.scrollY !== undefined) {
-        window.scrollTo({
+        this.getReplayWindow().scrollTo({
           left: event.scrollX,
           top: event.scrollY,
           behavior: 'auto'
@@ -556,7 +1077,7 @@ class SessionReplayer {
       clientY: event.y,
       bubbles: true
     });
-    document.dispatchEvent(mouseEvent);
+    this.getReplayDocument().dispatchEvent(mouseEvent);
   }
 
   // 마우스 휠 재생
@@ -574,16 +1095,17 @@ class SessionReplayer {
     });
     
     // 특정 요소에 wheel 이벤트를 발생시킴
-    const target = event.target ? this.findElement(event.target) : document;
+    const replayDocument = this.getReplayDocument();
+    const target = event.target ? this.findElement(event.target) : replayDocument;
     if (target) {
       // 이벤트를 발생시키고 기본 동작이 차단되지 않도록 함
       const defaultPrevented = !target.dispatchEvent(wheelEvent);
       
       // 기본 동작이 차단된 경우 수동으로 스크롤 처리
       if (defaultPrevented) {
-        if (target === document || target === document.documentElement || target === document.body) {
+        if (target === replayDocument || target === replayDocument.documentElement || target === replayDocument.body) {
           // 페이지 스크롤
-          window.scrollBy({
+          this.getReplayWindow().scrollBy({
             left: event.deltaX,
             top: event.deltaY,
             behavior: 'auto'
@@ -596,7 +1118,7 @@ class SessionReplayer {
       }
     } else {
       // 타겟을 찾을 수 없는 경우 페이지에 이벤트 발생
-      document.dispatchEvent(wheelEvent);
+      replayDocument.dispatchEvent(wheelEvent);
     }
     
     if (this.options.logLevel === 'debug') {
@@ -663,14 +1185,8 @@ class SessionReplayer {
     this.isReplaying = false;
     this.isPaused = false;
     
-    if (this.progressElement) {
-      this.progressElement.innerHTML = '재생 완료';
-      setTimeout(() => {
-        if (this.progressElement) {
-          this.progressElement.style.display = 'none';
-        }
-      }, 3000);
-    }
+    this.updateProgress();
+    this.setStatusText('재생 완료');
     
     console.log('[SessionReplayer] 재생 완료');
     
@@ -697,26 +1213,291 @@ class SessionReplayer {
     };
   }
 
-  // 특정 이벤트로 점프
+  // 빈 재생 상태 생성
+  createReplayState() {
+    return {
+      inputs: {},
+      checked: {},
+      scroll: {},
+      focus: null
+    };
+  }
+
+  // 재생 시작 시점의 상태 (이벤트가 건드리는 요소들의 현재 값)
+  captureInitialState() {
+    const state = this.createReplayState();
+    const replayWindow = this.getReplayWindow();
+
+    this.events.forEach(event => {
+      if (!event || !event.target) return;
+
+      if (event.type === 'input' && typeof event.checked === 'boolean') {
+        if (event.target in state.checked) return;
+        const element = this.findElement(event.target);
+        if (element && 'checked' in element) {
+          state.checked[event.target] = element.checked;
+          this.captureRadioGroup(state, element);
+        }
+      } else if (event.type === 'input' && !(event.target in state.inputs)) {
+        const element = this.findElement(event.target);
+        if (element && 'value' in element) {
+          state.inputs[event.target] = element.value;
+        }
+      } else if (event.type === 'scroll' && !(event.target in state.scroll)) {
+        if (event.isPageScroll) {
+          state.scroll[event.target] = {
+            x: replayWindow.scrollX,
+            y: replayWindow.scrollY,
+            isPageScroll: true
+          };
+        } else {
+          const element = this.findElement(event.target);
+          if (element) {
+            state.scroll[event.target] = {
+              top: element.scrollTop,
+              left: element.scrollLeft
+            };
+          }
+        }
+      }
+    });
+
+    return state;
+  }
+
+  // 라디오 그룹에서 처음 선택되어 있던 항목 (이벤트가 없던 항목도 탐색 시 다시 선택되도록)
+  captureRadioGroup(state, radio) {
+    if (radio.type !== 'radio' || !radio.name) return;
+
+    const scope = radio.form || radio.ownerDocument;
+    Array.from(scope.querySelectorAll('input[type="radio"]'))
+      .filter(other => other !== radio && other.name === radio.name && other.checked)
+      .forEach(other => {
+        const selector = other.id
+          ? `#${CSS.escape(other.id)}`
+          : `input[type="radio"][name="${CSS.escape(other.name)}"][value="${CSS.escape(other.value)}"]`;
+        if (!(selector in state.checked)) state.checked[selector] = true;
+      });
+  }
+
+  // 이벤트를 재생 상태에 반영 (실제 이벤트 발생 없이)
+  updateReplayState(state, event) {
+    if (!state || !event) return;
+
+    switch (event.type) {
+      case 'input':
+        if (typeof event.checked === 'boolean') {
+          // 적용 순서가 선택 순서를 따르도록 다시 추가 (라디오는 마지막에 선택된 항목이 남아야 함)
+          delete state.checked[event.target];
+          state.checked[event.target] = event.checked;
+        } else {
+          state.inputs[event.target] = event.value;
+        }
+        break;
+      case 'scroll':
+        state.scroll[event.target] = event.isPageScroll
+          ? { x: event.scrollX, y: event.scrollY, isPageScroll: true }
+          : { top: event.scrollTop, left: event.scrollLeft };
+        break;
+      case 'focus':
+        state.focus = event.target;
+        break;
+      case 'blur':
+        if (state.focus === event.target) {
+          state.focus = null;
+        }
+        break;
+    }
+  }
+
+  // 재생 상태를 페이지(또는 샌드박스)에 적용
+  applyReplayState(state) {
+    Object.entries(state.inputs).forEach(([selector, value]) => {
+      const element = this.findElement(selector);
+      if (element && 'value' in element && value !== undefined) {
+        element.value = value;
+      }
+    });
+
+    Object.entries(state.checked).forEach(([selector, checked]) => {
+      const element = this.findElement(selector);
+      if (element && 'checked' in element) {
+        element.checked = checked;
+      }
+    });
+
+    Object.entries(state.scroll).forEach(([selector, position]) => {
+      if (position.isPageScroll) {
+        this.getReplayWindow().scrollTo({
+          left: position.x,
+          top: position.y,
+          behavior: 'auto'
+        });
+        return;
+      }
+
+      const element = this.findElement(selector);
+      if (element) {
+        if (position.top !== undefined) element.scrollTop = position.top;
+        if (position.left !== undefined) element.scrollLeft = position.left;
+      }
+    });
+
+    const replayDocument = this.getReplayDocument();
+    const focused = state.focus ? this.findElement(state.focus) : null;
+    if (focused) {
+      focused.focus();
+    } else if (replayDocument.activeElement && replayDocument.activeElement !== replayDocument.body) {
+      replayDocument.activeElement.blur();
+    }
+  }
+
+  // 샌드박스 DOM 복제 (원본 노드와 나란히 순회하며 ID 매핑 유지)
+  cloneSandboxDOM() {
+    const doc = this.sandboxFrame.contentDocument;
+    const idsByNode = new Map();
+    this.sandboxNodes.forEach((node, id) => idsByNode.set(node, id));
+
+    const root = doc.documentElement.cloneNode(true);
+    const ids = new Map();
+    this.mapClonedNodes(doc.documentElement, root, idsByNode, (id, clone) => ids.set(clone, id));
+
+    return { root, ids };
+  }
+
+  // 복제된 샌드박스 DOM 복원
+  restoreSandboxDOM(dom) {
+    const doc = this.sandboxFrame.contentDocument;
+    const root = dom.root.cloneNode(true);
+    const nodes = new Map();
+
+    nodes.set(this.sessionData.domSnapshot.root.id, doc);
+    this.mapClonedNodes(dom.root, root, dom.ids, (id, clone) => nodes.set(id, clone));
+
+    doc.replaceChild(root, doc.documentElement);
+    this.sandboxNodes = nodes;
+  }
+
+  // 원본/복제 트리를 나란히 순회하며 ID가 있는 노드마다 콜백 호출
+  mapClonedNodes(source, clone, idsByNode, callback) {
+    if (!source || !clone) return;
+
+    const id = idsByNode.get(source);
+    if (id !== undefined) {
+      callback(id, clone);
+    }
+
+    const sourceChildren = source.childNodes;
+    const cloneChildren = clone.childNodes;
+    for (let i = 0; i < sourceChildren.length; i++) {
+      this.mapClonedNodes(sourceChildren[i], cloneChildren[i], idsByNode, callback);
+    }
+  }
+
+  // 현재 위치의 체크포인트 저장
+  captureCheckpoint() {
+    const checkpoint = {
+      index: this.currentIndex,
+      state: JSON.parse(JSON.stringify(this.replayState)),
+      dom: this.isSandboxMode() && this.sandboxFrame ? this.cloneSandboxDOM() : null
+    };
+
+    this.checkpoints.push(checkpoint);
+    this.checkpoints.sort((a, b) => a.index - b.index);
+
+    if (this.options.logLevel === 'debug') {
+      console.log('[SessionReplayer] 체크포인트 저장:', checkpoint.index);
+    }
+    return checkpoint;
+  }
+
+  // 체크포인트 간격에 도달했고 아직 저장되지 않았으면 저장
+  captureCheckpointIfDue() {
+    if (this.currentIndex % this.options.checkpointInterval !== 0) return;
+    if (this.checkpoints.some(checkpoint => checkpoint.index === this.currentIndex)) return;
+    this.captureCheckpoint();
+  }
+
+  // 최초 체크포인트(재생 시작 상태) 준비
+  ensureInitialCheckpoint() {
+    if (this.checkpoints.length > 0) return;
+
+    if (this.isSandboxMode()) {
+      this.rebuildSandbox(this.sessionData.domSnapshot);
+    }
+
+    this.currentIndex = 0;
+    this.replayState = this.captureInitialState();
+    this.captureCheckpoint();
+  }
+
+  // 가장 가까운 체크포인트를 복원하고 사이 이벤트를 빠르게 적용
+  restoreToIndex(index) {
+    this.ensureInitialCheckpoint();
+
+    const checkpoint = this.checkpoints
+      .filter(candidate => candidate.index <= index)
+      .pop();
+
+    if (checkpoint.dom) {
+      this.restoreSandboxDOM(checkpoint.dom);
+    }
+
+    this.replayState = JSON.parse(JSON.stringify(checkpoint.state));
+    this.currentIndex = checkpoint.index;
+
+    while (this.currentIndex < index) {
+      const event = this.events[this.currentIndex];
+      if (event && event.type === 'dom-mutation') {
+        this.replayDOMMutation(event);
+      }
+      this.updateReplayState(this.replayState, event);
+      this.currentIndex++;
+      this.captureCheckpointIfDue();
+    }
+
+    this.applyReplayState(this.replayState);
+  }
+
+  // 특정 이벤트로 점프 (해당 이벤트 직전 상태로 재구성)
   jumpToEvent(index) {
-    if (index >= 0 && index < this.events.length) {
-      this.currentIndex = index;
-      this.updateProgress();
-      console.log('[SessionReplayer] 이벤트로 점프:', index);
+    if (index < 0 || index >= this.events.length) return;
+
+    this.clearReplayTimer();
+    this.restoreToIndex(index);
+    this.updateProgress();
+    console.log('[SessionReplayer] 이벤트로 점프:', index);
+
+    if (this.isReplaying && !this.isPaused) {
+      this.replayNext();
     }
   }
 
   // 진행률로 점프
   jumpToProgress(percentage) {
     const index = Math.floor((percentage / 100) * this.events.length);
-    this.jumpToEvent(index);
+    this.jumpToEvent(Math.min(index, this.events.length - 1));
   }
 
-  // 진행률 표시 요소 제거
+  // 세션 시작 기준 시간(ms)으로 점프
+  jumpToTime(time) {
+    const index = this.events.findIndex(event => event && event.timestamp > time);
+    this.jumpToEvent(index === -1 ? this.events.length - 1 : index);
+  }
+
+  // 재생 컨트롤 및 샌드박스 제거
   destroy() {
     if (this.progressElement) {
       document.body.removeChild(this.progressElement);
       this.progressElement = null;
+      this.controls = null;
+    }
+
+    if (this.sandboxFrame) {
+      this.sandboxFrame.parentNode.removeChild(this.sandboxFrame);
+      this.sandboxFrame = null;
+      this.sandboxNodes.clear();
+      this.checkpoints = [];
     }
   }
 }
@@ -0,0 +1,51 @@
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const { startServer } = require('../index');
+
+// 수집 서버 시작 테스트 (src/server/__tests__/index.test.js)
+
+const READ_TOKEN = 'test-read-token';
+
+// 비어 있는 포트 번호 (startServer는 0을 기본 포트로 바꿈)
+function findFreePort() {
+    return new Promise(resolve => {
+        const probe = net.createServer();
+        probe.listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+describe('startServer', () => {
+    let dataDir;
+    let server;
+
+    beforeEach(async () => {
+        dataDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'forensic-server-'));
+    });
+
+    afterEach(async () => {
+        if (server) await new Promise(resolve => server.close(resolve));
+        server = null;
+        jest.restoreAllMocks();
+        await fs.promises.rm(dataDir, { recursive: true, force: true });
+    });
+
+    test('조회 토큰은 감사 로그에 남기지 않고 표준 오류로만 출력', async () => {
+        const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+        const stderr = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+        const port = await findFreePort();
+
+        server = await startServer({ dataDir, port, readToken: READ_TOKEN, logger });
+
+        const logged = JSON.stringify([logger.info.mock.calls, logger.warn.mock.calls, logger.error.mock.calls]);
+        expect(logged).toContain(`http://localhost:${port}/dashboard/`);
+        expect(logged).not.toContain(READ_TOKEN);
+
+        const printed = stderr.mock.calls.map(([chunk]) => String(chunk)).join('');
+        expect(printed.split(READ_TOKEN)).toHaveLength(2);
+    });
+});
@@ -0,0 +1,130 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { createApp } = require('../index');
+const { isDetection, dedupeRecords } = require('../query');
+
+// 저장 기록 조회 API 테스트 (src/server/__tests__/query.test.js)
+
+const READ_TOKEN = 'test-read-token';
+
+// 로그 출력 없이 호출만 기록하는 로거
+function createSilentLogger() {
+    return { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+}
+
+describe('isDetection', () => {
+    test('의심 활동 기록과 위험도가 있는 기록만 감지로 봄', () => {
+        expect(isDetection({ type: 'data-exfiltration', source: 'suspicious', severity: 0.9 })).toBe(true);
+        expect(isDetection({ type: 'script-drift', severity: 0.4 })).toBe(true);
+        expect(isDetection({ type: 'fetch', source: 'network' })).toBe(false);
+        expect(isDetection({ type: 'xhr' })).toBe(false);
+        expect(isDetection({ type: 'dom-mutation', source: 'dom' })).toBe(false);
+        expect(isDetection({ type: 'click', source: 'interaction' })).toBe(false);
+        expect(isDetection({ type: 'evidence-seal' })).toBe(false);
+    });
+});
+
+describe('dedupeRecords', () => {
+    test('같은 타임라인 기록은 전송 기록을 우선해 하나만 남김', () => {
+        const records = dedupeRecords([
+            { sessionId: 's1', source: 'network', seq: 1, origin: 'session' },
+            { sessionId: 's1', source: 'network', seq: 1, origin: 'transport', hash: 'h' },
+            { sessionId: 's1', source: 'network', seq: 2, origin: 'session' },
+            { type: 'legacy' }
+        ]);
+        expect(records).toHaveLength(3);
+        expect(records[0].origin).toBe('transport');
+    });
+});
+
+describe('조회 API', () => {
+    let dataDir;
+    let server;
+    let baseUrl;
+
+    // 조회 요청 (토큰 지정 시 Bearer 헤더로 전달)
+    const get = (urlPath, token = READ_TOKEN, headers = {}) => fetch(`${baseUrl}${urlPath}`, {
+        headers: token ? { ...headers, Authorization: `Bearer ${token}` } : headers
+    });
+
+    beforeAll(async () => {
+        dataDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'forensic-query-'));
+        const app = createApp({ dataDir, readToken: READ_TOKEN, logger: createSilentLogger() });
+        await app.locals.store.init();
+
+        await app.locals.store.appendBatch('s1', 'b1', [
+            { type: 'fetch', source: 'network', seq: 1, timestamp: 1000, url: 'https://shop.example/api/cart' },
+            { type: 'data-exfiltration', source: 'suspicious', seq: 2, timestamp: 2000, severity: 0.9 }
+        ]);
+        await app.locals.store.appendBatch('s2', 'b2', [
+            { type: 'xhr', source: 'network', seq: 1, timestamp: 3000, url: 'https://cdn.example/pixel' }
+        ]);
+
+        server = http.createServer(app);
+        await new Promise(resolve => server.listen(0, resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+        await fs.promises.rm(dataDir, { recursive: true, force: true });
+    });
+
+    test('토큰 없거나 틀리면 401', async () => {
+        expect((await get('/api/sessions', null)).status).toBe(401);
+        expect((await get('/api/sessions', 'wrong')).status).toBe(401);
+        expect((await get('/api/detections', null)).status).toBe(401);
+        expect((await get('/api/sessions/s1/timeline', null)).status).toBe(401);
+        expect((await get('/api/sessions/s1/har', null)).status).toBe(401);
+    });
+
+    test('Bearer 헤더나 token 파라미터로 조회', async () => {
+        const byHeader = await get('/api/sessions');
+        expect(byHeader.status).toBe(200);
+        expect((await byHeader.json()).total).toBe(2);
+
+        const byQuery = await fetch(`${baseUrl}/api/sessions/s1/har?token=${READ_TOKEN}`);
+        expect(byQuery.status).toBe(200);
+    });
+
+    test('조회 응답에는 교차 출처 허용 헤더를 붙이지 않음', async () => {
+        const response = await get('/api/sessions', READ_TOKEN, { Origin: 'https://evil.example' });
+        expect(response.headers.get('access-control-allow-origin')).toBeNull();
+    });
+
+    test('수집 경로는 교차 출처 업로드 허용', async () => {
+        const preflight = await fetch(`${baseUrl}/api/records`, {
+            method: 'OPTIONS',
+            headers: { Origin: 'https://shop.example' }
+        });
+        expect(preflight.status).toBe(204);
+        expect(preflight.headers.get('access-control-allow-origin')).toBe('*');
+        expect(preflight.headers.get('access-control-allow-methods')).toBe('POST, OPTIONS');
+
+        const upload = await fetch(`${baseUrl}/api/records`, {
+            method: 'POST',
+            headers: { Origin: 'https://shop.example', 'Content-Type': 'text/plain' },
+            body: JSON.stringify({ batchId: 'b3', sessionId: 's3', records: [{ type: 'fetch', timestamp: 1 }] })
+        });
+        expect(upload.status).toBe(202);
+        expect(upload.headers.get('access-control-allow-origin')).toBe('*');
+    });
+
+    test('감지 기록 조회는 네트워크 기록을 포함하지 않음', async () => {
+        const body = await (await get('/api/detections')).json();
+        expect(body.items.map(record => record.type)).toEqual(['data-exfiltration']);
+    });
+
+    test('세션 타임라인은 시각 순으로 병합', async () => {
+        const body = await (await get('/api/sessions/s1/timeline')).json();
+        expect(body.events.map(record => record.seq)).toEqual([1, 2]);
+        expect(body.session.detectionCount).toBe(1);
+    });
+
+    test('없는 세션과 잘못된 세션 ID', async () => {
+        expect((await get('/api/sessions/none/timeline')).status).toBe(404);
+        expect((await get('/api/sessions/..%2F..')).status).toBe(400);
+    });
+});
@@ -0,0 +1,76 @@
+const { validateRecord, validateBatch, validateSession } = require('../schema');
+
+// 수집 데이터 스키마 검증 테스트 (src/server/__tests__/schema.test.js)
+
+describe('validateRecord', () => {
+    test('필수 필드가 있는 기록은 유효', () => {
+        expect(validateRecord({ type: 'fetch', timestamp: 1, severity: 0.5 })).toEqual([]);
+    });
+
+    test('객체가 아니면 거부', () => {
+        expect(validateRecord('fetch')).toEqual(['객체가 아닙니다']);
+        expect(validateRecord([])).toEqual(['객체가 아닙니다']);
+    });
+
+    test('type과 timestamp는 필수', () => {
+        expect(validateRecord({})).toEqual([
+            'type: 필수 항목입니다',
+            'timestamp: 필수 항목입니다'
+        ]);
+    });
+
+    test('봉인 기록은 timestamp 없이 허용', () => {
+        expect(validateRecord({ type: 'evidence-seal' })).toEqual([]);
+    });
+
+    test('타입, 범위, 형식 오류 보고', () => {
+        const errors = validateRecord({
+            type: 'fetch',
+            timestamp: '1',
+            severity: 1.5,
+            sessionId: '../etc',
+            hash: 'abc'
+        });
+        expect(errors).toEqual([
+            'timestamp: number 타입이어야 합니다',
+            'sessionId: 형식이 올바르지 않습니다',
+            'severity: 1 이하여야 합니다',
+            'hash: 형식이 올바르지 않습니다'
+        ]);
+    });
+
+    test('NaN과 Infinity는 숫자로 보지 않음', () => {
+        expect(validateRecord({ type: 'fetch', timestamp: NaN })).toEqual(['timestamp: number 타입이어야 합니다']);
+    });
+
+    test('1MB를 넘는 기록은 거부', () => {
+        const errors = validateRecord({ type: 'fetch', timestamp: 1, body: 'x'.repeat(1024 * 1024) });
+        expect(errors).toHaveLength(1);
+        expect(errors[0]).toMatch(/기록 크기/);
+    });
+});
+
+describe('validateBatch', () => {
+    test('batchId와 records는 필수, sessionId는 null 허용', () => {
+        expect(validateBatch({ batchId: 'b1', sessionId: null, records: [] })).toEqual([]);
+        expect(validateBatch({ sessionId: 's1' })).toEqual([
+            'batchId: 필수 항목입니다',
+            'records: 필수 항목입니다'
+        ]);
+    });
+
+    test('기록 수 제한', () => {
+        const records = new Array(1001).fill({});
+        expect(validateBatch({ batchId: 'b1', records })).toEqual(['records: 최대 1000개입니다']);
+    });
+});
+
+describe('validateSession', () => {
+    test('세션 파일 필수 필드', () => {
+        expect(validateSession({ sessionId: 's1', startTime: 0, events: [], domSnapshot: null })).toEqual([]);
+        expect(validateSession({ sessionId: 's1', events: {} })).toEqual([
+            'startTime: 필수 항목입니다',
+            'events: array 타입이어야 합니다'
+        ]);
+    });
+});
@@ -0,0 +1,99 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SessionStore = require('../store');
+
+// 세션별 디스크 저장소 테스트 (src/server/__tests__/store.test.js)
+
+// 로그 출력 없이 호출만 기록하는 로거
+function createSilentLogger() {
+    return { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+}
+
+describe('SessionStore', () => {
+    let dataDir;
+    let store;
+
+    beforeEach(async () => {
+        dataDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'forensic-store-'));
+        store = new SessionStore({ dataDir, logger: createSilentLogger() });
+        await store.init();
+    });
+
+    afterEach(async () => {
+        await fs.promises.rm(dataDir, { recursive: true, force: true });
+    });
+
+    test('경로로 쓰일 수 없는 세션 ID 거부', () => {
+        expect(store.resolveSessionId(null)).toBe(SessionStore.UNASSIGNED_SESSION);
+        expect(() => store.resolveSessionId('..')).toThrow('잘못된 세션 ID');
+        expect(() => store.resolveSessionId('a/b')).toThrow('잘못된 세션 ID');
+    });
+
+    test('배치 저장과 메타데이터 갱신', async () => {
+        const result = await store.appendBatch('s1', 'b1', [
+            { type: 'fetch', timestamp: 1000, pageUrl: 'https://shop.example/checkout' },
+            { type: 'data-exfiltration', timestamp: 2000, severity: 0.9 }
+        ]);
+        expect(result).toEqual({ sessionId: 's1', stored: 2, duplicate: false });
+
+        const meta = await store.readMeta('s1');
+        expect(meta).toMatchObject({
+            recordCount: 2,
+            maxSeverity: 0.9,
+            firstSeen: 1000,
+            lastSeen: 2000,
+            url: 'https://shop.example/checkout',
+            host: 'shop.example',
+            types: { fetch: 1, 'data-exfiltration': 1 },
+            batchIds: ['b1']
+        });
+    });
+
+    test('같은 배치를 다시 받으면 저장하지 않음', async () => {
+        await store.appendBatch('s1', 'b1', [{ type: 'fetch', timestamp: 1 }]);
+        const result = await store.appendBatch('s1', 'b1', [{ type: 'fetch', timestamp: 1 }]);
+
+        expect(result.duplicate).toBe(true);
+        expect(await store.readRecords('s1')).toHaveLength(1);
+    });
+
+    test('세션 파일 이벤트는 시작 시각 기준 절대 시각으로 반환', async () => {
+        await store.appendSession({
+            sessionId: 's2',
+            startTime: 10000,
+            pageInfo: { url: 'https://shop.example/', title: 'Shop' },
+            domSnapshot: { root: {} },
+            events: [{ type: 'dom-mutation', timestamp: 250 }]
+        });
+
+        const [record] = await store.readRecords('s2');
+        expect(record).toMatchObject({ type: 'dom-mutation', sessionId: 's2', origin: 'session', absoluteTime: 10250 });
+        expect(await store.readSnapshots('s2')).toHaveLength(1);
+        expect((await store.readMeta('s2')).title).toBe('Shop');
+    });
+
+    test('손상된 줄은 건너뛰고 로거에 경고', async () => {
+        await store.appendBatch('s1', 'b1', [{ type: 'fetch', timestamp: 1 }]);
+        await fs.promises.appendFile(path.join(dataDir, 'sessions', 's1', 'records.jsonl'), '{"receivedAt":');
+
+        expect(await store.readRecords('s1')).toHaveLength(1);
+        expect(store.logger.warn).toHaveBeenCalledWith('손상된 줄 무시', { sessionId: 's1', fileName: 'records.jsonl' });
+    });
+
+    test('같은 세션에 대한 동시 쓰기를 직렬화', async () => {
+        await Promise.all([1, 2, 3, 4, 5].map(i =>
+            store.appendBatch('s1', `b${i}`, [{ type: 'fetch', timestamp: i }])));
+
+        const meta = await store.readMeta('s1');
+        expect(meta.recordCount).toBe(5);
+        expect(meta.batchIds).toHaveLength(5);
+    });
+
+    test('세션 목록', async () => {
+        await store.appendBatch('s1', 'b1', [{ type: 'fetch', timestamp: 1 }]);
+        await store.appendBatch('s2', 'b2', [{ type: 'fetch', timestamp: 1 }]);
+
+        expect((await store.listSessions()).map(meta => meta.sessionId).sort()).toEqual(['s1', 's2']);
+    });
+});
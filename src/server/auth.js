@@ -0,0 +1,41 @@
+const crypto = require('crypto');
+
+// 조회 권한 확인 (src/server/auth.js)
+// 저장된 증거를 읽는 조회 API와 실시간 모니터는 조회 토큰이 있어야 사용 가능
+// 토큰은 Authorization: Bearer <토큰> 헤더, token 쿼리 파라미터(HAR 다운로드 링크 등),
+// socket.io 연결의 auth.token으로 전달
+
+// 설정된 토큰이 없을 때 서버 시작마다 만드는 임의 토큰
+function createReadToken() {
+    return crypto.randomBytes(24).toString('hex');
+}
+
+// 토큰 비교 (길이가 다르거나 값이 없으면 실패, 비교 시간으로 토큰이 드러나지 않도록 고정 시간 비교)
+function isValidToken(token, expected) {
+    if (typeof token !== 'string' || typeof expected !== 'string' || !expected) return false;
+    const actual = Buffer.from(token);
+    const target = Buffer.from(expected);
+    return actual.length === target.length && crypto.timingSafeEqual(actual, target);
+}
+
+// 요청에 실린 토큰
+function getRequestToken(req) {
+    const header = req.headers.authorization || '';
+    const match = /^Bearer\s+(.+)$/i.exec(header);
+    if (match) return match[1].trim();
+    return typeof req.query.token === 'string' ? req.query.token : null;
+}
+
+// 조회 토큰 확인 미들웨어
+function requireReadToken(expected, logger) {
+    return (req, res, next) => {
+        if (isValidToken(getRequestToken(req), expected)) {
+            next();
+            return;
+        }
+        logger.warn('조회 인증 실패', { ip: req.ip, path: req.originalUrl.split('?')[0] });
+        res.status(401).json({ status: 'error', errors: ['조회 토큰이 필요합니다'] });
+    };
+}
+
+module.exports = { createReadToken, isValidToken, requireReadToken };
@@ -0,0 +1,205 @@
+const express = require('express');
+const http = require('http');
+const path = require('path');
+const SessionStore = require('./store');
+const { createLogger } = require('./logger');
+const { createQueryRouter } = require('./query');
+const { attachLiveMonitor } = require('./live');
+const { createReadToken, requireReadToken } = require('./auth');
+const { validateRecord, validateBatch, validateSession } = require('./schema');
+
+// 증거 수집 서버 (src/server/index.js)
+// WebForensic의 apiEndpoint 업로드와 녹화 세션 파일을 받아 세션별로 디스크에 저장
+
+// 교차 출처 페이지에서의 업로드 허용 (수집 경로에만 적용, 조회 경로는 같은 출처에서만 읽을 수 있음)
+function allowCrossOrigin(allowedOrigins) {
+    return (req, res, next) => {
+        const origin = req.headers.origin;
+        if (origin && (allowedOrigins === '*' || allowedOrigins.includes(origin))) {
+            res.setHeader('Access-Control-Allow-Origin', allowedOrigins === '*' ? '*' : origin);
+            res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+            res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Content-Encoding');
+            res.setHeader('Vary', 'Origin');
+        }
+        if (req.method === 'OPTIONS') {
+            res.sendStatus(204);
+            return;
+        }
+        next();
+    };
+}
+
+// 요청 본문이 배치인지 여부 (아니면 단일 기록 업로드)
+function isBatch(body) {
+    return !!body && typeof body === 'object' && 'records' in body;
+}
+
+// 수집 서버 앱 생성
+function createApp(options = {}) {
+    const config = {
+        dataDir: options.dataDir || process.env.COLLECTOR_DATA_DIR || path.join(process.cwd(), 'data'),
+        bodyLimit: options.bodyLimit || '10mb',
+        allowedOrigins: options.allowedOrigins || '*',
+        // 조회 API와 실시간 모니터 토큰 (없으면 시작할 때마다 새로 만듦)
+        readToken: options.readToken || process.env.COLLECTOR_READ_TOKEN || createReadToken(),
+        ...options
+    };
+
+    const app = express();
+    const logger = config.logger || createLogger({ dataDir: config.dataDir, logLevel: config.logLevel });
+    const store = config.store || new SessionStore({ dataDir: config.dataDir, logger });
+
+    app.locals.store = store;
+    app.locals.logger = logger;
+    app.locals.readToken = config.readToken;
+
+    const ingestCors = allowCrossOrigin(config.allowedOrigins);
+    app.options(['/api/records', '/api/sessions'], ingestCors);
+    // sendBeacon은 text/plain으로 전송됨, gzip 본문은 body-parser가 해제
+    app.use('/api', express.json({
+        type: ['application/json', 'text/plain'],
+        limit: config.bodyLimit
+    }));
+
+    // 감지 기록 수집 (ForensicTransport 배치 또는 단일 기록)
+    app.post('/api/records', ingestCors, async (req, res) => {
+        const batch = isBatch(req.body)
+            ? req.body
+            : { batchId: null, sessionId: null, records: [req.body] };
+        const batchErrors = isBatch(req.body) ? validateBatch(batch) : [];
+
+        if (batchErrors.length > 0) {
+            logger.warn('배치 거부', { ip: req.ip, errors: batchErrors });
+            res.status(400).json({ status: 'error', errors: batchErrors });
+            return;
+        }
+
+        // 유효한 기록만 세션별로 나누어 저장
+        const rejected = [];
+        const bySession = new Map();
+        batch.records.forEach((record, index) => {
+            const errors = validateRecord(record);
+            if (errors.length > 0) {
+                rejected.push({ index, errors });
+                return;
+            }
+            const sessionId = record.sessionId || batch.sessionId || null;
+            if (!bySession.has(sessionId)) bySession.set(sessionId, []);
+            bySession.get(sessionId).push(record);
+        });
+
+        try {
+            const results = [];
+            for (const [sessionId, records] of bySession) {
+                results.push(await store.appendBatch(sessionId, batch.batchId, records));
+            }
+
+            const accepted = results.reduce((sum, result) => sum + result.stored, 0);
+            const duplicate = results.length > 0 && results.every(result => result.duplicate);
+
+            logger.info('기록 수집', {
+                ip: req.ip,
+                batchId: batch.batchId,
+                sessions: results.map(result => result.sessionId),
+                accepted,
+                rejected: rejected.length,
+                duplicate
+            });
+            if (rejected.length > 0) {
+                logger.warn('기록 일부 거부', { batchId: batch.batchId, rejected });
+            }
+
+            res.status(202).json({ status: 'accepted', accepted, rejected, duplicate });
+        } catch (error) {
+            logger.error('기록 저장 실패', { batchId: batch.batchId, error: error.message });
+            res.status(500).json({ status: 'error', errors: ['저장 실패'] });
+        }
+    });
+
+    // 녹화 세션 파일 수집 (SessionRecorder.getSessionData / WebForensic.exportSession)
+    app.post('/api/sessions', ingestCors, async (req, res) => {
+        const session = req.body;
+        const errors = validateSession(session);
+
+        if (errors.length > 0) {
+            logger.warn('세션 거부', { ip: req.ip, errors });
+            res.status(400).json({ status: 'error', errors });
+            return;
+        }
+
+        // 개별 이벤트 검증 (세션 이벤트는 상대 시간이므로 기록 스키마 그대로 적용 가능)
+        const rejected = [];
+        const events = session.events.filter((event, index) => {
+            const eventErrors = validateRecord(event);
+            if (eventErrors.length > 0) rejected.push({ index, errors: eventErrors });
+            return eventErrors.length === 0;
+        });
+
+        try {
+            const result = await store.appendSession({ ...session, events });
+            logger.info('세션 수집', {
+                ip: req.ip,
+                sessionId: result.sessionId,
+                accepted: result.stored,
+                rejected: rejected.length,
+                snapshot: !!session.domSnapshot
+            });
+            res.status(202).json({ status: 'accepted', accepted: result.stored, rejected });
+        } catch (error) {
+            logger.error('세션 저장 실패', { sessionId: session.sessionId, error: error.message });
+            res.status(500).json({ status: 'error', errors: ['저장 실패'] });
+        }
+    });
+
+    // 저장 기록 조회 (조회 토큰 필요)
+    app.use('/api', requireReadToken(config.readToken, logger), createQueryRouter(store, logger));
+
+    // 실시간 모니터링 대시보드
+    app.use('/dashboard', express.static(path.join(__dirname, 'public')));
+
+    // 상태 확인
+    app.get('/health', (req, res) => {
+        res.json({ status: 'ok' });
+    });
+
+    // 본문 파싱 오류 (잘못된 JSON, 크기 초과)
+    app.use((error, req, res, next) => {
+        logger.warn('요청 파싱 실패', { ip: req.ip, path: req.path, error: error.message });
+        res.status(error.status || 400).json({ status: 'error', errors: [error.message] });
+    });
+
+    return app;
+}
+
+// 서버 시작
+async function startServer(options = {}) {
+    const port = options.port || process.env.COLLECTOR_PORT || 4000;
+    const app = createApp(options);
+    await app.locals.store.init();
+
+    const server = http.createServer(app);
+    const live = attachLiveMonitor(server, app.locals.store, app.locals.logger, {
+        ...options,
+        readToken: app.locals.readToken
+    });
+    server.on('close', () => live.close());
+
+    return new Promise(resolve => {
+        server.listen(port, () => {
+            app.locals.logger.info(`수집 서버가 http://localhost:${port} 에서 실행 중입니다.`);
+            app.locals.logger.info(`대시보드: http://localhost:${port}/dashboard/`);
+            // 토큰은 감사 로그(audit.log)에 남기지 않고 시작할 때 표준 오류로 한 번만 출력
+            process.stderr.write(`[Collector] 대시보드 접속 주소: http://localhost:${port}/dashboard/?token=${app.locals.readToken}\n`);
+            resolve(server);
+        });
+    });
+}
+
+if (require.main === module) {
+    startServer().catch(error => {
+        console.error('[Collector] 서버 시작 실패:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { createApp, startServer };
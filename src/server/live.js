@@ -0,0 +1,146 @@
+const { Server } = require('socket.io');
+const { isDetection, dedupeRecords, compareRecords, summarizeSession } = require('./query');
+const { isValidToken } = require('./auth');
+
+// 실시간 모니터링 (src/server/live.js)
+// 수집 서버에 저장되는 기록을 socket.io '/live' 네임스페이스로 대시보드에 중계
+// 연결할 때 조회 토큰(auth.token)이 필요하고, 같은 출처의 대시보드에서만 접속하도록 교차 출처를 허용하지 않음
+//   sessions        접속 시 활성 세션 목록
+//   session         세션 요약 갱신
+//   session-ended   봉인되었거나 활동이 끊긴 세션
+//   detections      새 감지 기록 (모든 대시보드)
+//   session-records 구독 중인 세션의 새 기록 (세션별 room)
+
+// 세션 room 이름
+function sessionRoom(sessionId) {
+    return `session:${sessionId}`;
+}
+
+// 실시간 모니터 연결
+function attachLiveMonitor(server, store, logger, options = {}) {
+    const config = {
+        // 대시보드 연결 토큰 (수집 서버의 조회 토큰)
+        readToken: options.readToken || null,
+        // 마지막 기록 이후 이 시간 동안 조용하면 종료된 세션으로 간주
+        activeWindow: options.activeWindow || 5 * 60 * 1000,
+        pruneInterval: options.pruneInterval || 30 * 1000,
+        ...options
+    };
+
+    const io = new Server(server);
+    const live = io.of('/live');
+    const activeSessions = new Map();
+
+    // 세션 요약 (대시보드 표시용)
+    const toSummary = (meta) => ({
+        ...summarizeSession(meta),
+        lastActivity: Date.now()
+    });
+
+    // 세션 종료 처리
+    const endSession = (sessionId, reason) => {
+        if (!activeSessions.delete(sessionId)) return;
+        live.emit('session-ended', { sessionId, reason });
+    };
+
+    // 저장된 기록 중계
+    const handleRecords = ({ sessionId, origin, startTime, records, meta }) => {
+        const summary = toSummary(meta);
+        activeSessions.set(sessionId, summary);
+        live.emit('session', summary);
+
+        const entries = records.map(record => ({
+            ...record,
+            sessionId: record.sessionId || sessionId,
+            origin,
+            absoluteTime: store.getRecordTime(record, origin === 'session' ? startTime : null)
+        }));
+
+        const detections = entries.filter(isDetection);
+        if (detections.length > 0) {
+            live.emit('detections', detections);
+        }
+        live.to(sessionRoom(sessionId)).emit('session-records', { sessionId, records: entries });
+
+        if (meta.sealed) {
+            endSession(sessionId, 'sealed');
+        }
+    };
+
+    store.on('records', handleRecords);
+
+    // 조회 토큰 확인
+    live.use((socket, next) => {
+        const { token } = socket.handshake.auth || {};
+        if (isValidToken(token, config.readToken)) {
+            next();
+            return;
+        }
+        logger.warn('대시보드 인증 실패', { ip: socket.handshake.address });
+        next(new Error('조회 토큰이 필요합니다'));
+    });
+
+    live.on('connection', (socket) => {
+        logger.info('대시보드 연결', { id: socket.id, ip: socket.handshake.address });
+        socket.emit('sessions', Array.from(activeSessions.values()));
+
+        // 세션 상세 구독 (지금까지의 타임라인을 먼저 전달)
+        socket.on('subscribe', async (sessionId, ack) => {
+            const reply = typeof ack === 'function' ? ack : () => {};
+
+            try {
+                const meta = await store.readMeta(sessionId);
+                if (!meta) {
+                    reply({ status: 'error', errors: ['세션을 찾을 수 없습니다'] });
+                    return;
+                }
+
+                Array.from(socket.rooms)
+                    .filter(room => room.startsWith('session:'))
+                    .forEach(room => socket.leave(room));
+                socket.join(sessionRoom(meta.sessionId));
+
+                const records = dedupeRecords(await store.readRecords(meta.sessionId)).sort(compareRecords);
+                reply({ status: 'ok', session: summarizeSession(meta), records });
+            } catch (error) {
+                reply({ status: 'error', errors: [error.message] });
+            }
+        });
+
+        // 세션 상세 구독 해제
+        socket.on('unsubscribe', (sessionId) => {
+            socket.leave(sessionRoom(sessionId));
+        });
+
+        socket.on('disconnect', (reason) => {
+            logger.info('대시보드 연결 종료', { id: socket.id, reason });
+        });
+    });
+
+    // 활동이 끊긴 세션 정리
+    const pruneTimer = setInterval(() => {
+        const now = Date.now();
+        activeSessions.forEach((summary, sessionId) => {
+            if (now - summary.lastActivity > config.activeWindow) {
+                endSession(sessionId, 'inactive');
+            }
+        });
+    }, config.pruneInterval);
+    pruneTimer.unref();
+
+    let closed = false;
+
+    return {
+        io,
+        // io.close()가 HTTP 서버를 다시 닫으며 close 이벤트를 반복 발생시키지 않도록 한 번만 실행
+        close() {
+            if (closed) return;
+            closed = true;
+            clearInterval(pruneTimer);
+            store.off('records', handleRecords);
+            io.close();
+        }
+    };
+}
+
+module.exports = { attachLiveMonitor };
@@ -0,0 +1,34 @@
+const winston = require('winston');
+const path = require('path');
+
+// 수집 서버 감사 로그 (src/server/logger.js)
+// 콘솔에는 사람이 읽기 쉬운 형식, 파일에는 한 줄당 하나의 JSON으로 기록
+function createLogger(options = {}) {
+    const level = options.logLevel || process.env.COLLECTOR_LOG_LEVEL || 'info';
+    const transports = [
+        new winston.transports.Console({
+            format: winston.format.combine(
+                winston.format.colorize(),
+                winston.format.simple()
+            )
+        })
+    ];
+
+    if (options.dataDir) {
+        transports.push(new winston.transports.File({
+            filename: path.join(options.dataDir, 'audit.log')
+        }));
+    }
+
+    return winston.createLogger({
+        level,
+        format: winston.format.combine(
+            winston.format.timestamp(),
+            winston.format.json()
+        ),
+        defaultMeta: { service: 'forensic-collector' },
+        transports
+    });
+}
+
+module.exports = { createLogger };
@@ -0,0 +1,240 @@
+const express = require('express');
+const HarExporter = require('../shared/har');
+const { isDetection } = require('./schema');
+
+// 저장 기록 조회 API (src/server/query.js)
+
+// 페이지 기본값과 상한
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// 숫자 쿼리 파라미터 (없거나 숫자가 아니면 null)
+function parseNumber(value) {
+    if (value === undefined || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+// 시각 쿼리 파라미터 (밀리초 또는 ISO 문자열)
+function parseTime(value) {
+    if (value === undefined || value === '') return null;
+    const number = Number(value);
+    if (Number.isFinite(number)) return number;
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : time;
+}
+
+// 페이지 파라미터
+function parsePaging(query) {
+    const page = Math.max(1, Math.floor(parseNumber(query.page) || 1));
+    const limit = Math.min(MAX_LIMIT, Math.max(1, Math.floor(parseNumber(query.limit) || DEFAULT_LIMIT)));
+    return { page, limit };
+}
+
+// 배열을 페이지 단위로 자름
+function paginate(items, { page, limit }) {
+    return {
+        page,
+        limit,
+        total: items.length,
+        totalPages: Math.ceil(items.length / limit),
+        items: items.slice((page - 1) * limit, page * limit)
+    };
+}
+
+// 같은 기록의 중복 제거 (타임라인 기록은 전송 배치와 세션 파일에 모두 포함될 수 있음)
+function dedupeRecords(records) {
+    const seen = new Map();
+    const result = [];
+
+    records.forEach(record => {
+        if (typeof record.seq !== 'number' || !record.source) {
+            result.push(record);
+            return;
+        }
+
+        const key = `${record.sessionId}:${record.source}:${record.seq}`;
+        const index = seen.get(key);
+        if (index === undefined) {
+            seen.set(key, result.length);
+            result.push(record);
+        } else if (record.origin === 'transport' && result[index].origin !== 'transport') {
+            // 해시 체인 필드가 붙은 전송 기록을 우선
+            result[index] = record;
+        }
+    });
+
+    return result;
+}
+
+// 시각 순 정렬 (같은 시각이면 타임라인 순번)
+function compareRecords(a, b) {
+    if (a.absoluteTime !== b.absoluteTime) return a.absoluteTime - b.absoluteTime;
+    return (a.seq || 0) - (b.seq || 0);
+}
+
+// 세션 메타데이터 필터
+function matchSession(meta, filters) {
+    if (filters.from !== null && (meta.lastSeen === null || meta.lastSeen < filters.from)) return false;
+    if (filters.to !== null && (meta.firstSeen === null || meta.firstSeen > filters.to)) return false;
+    if (filters.url && !(meta.url || '').includes(filters.url)) return false;
+    if (filters.host && meta.host !== filters.host) return false;
+    if (filters.minSeverity !== null && meta.maxSeverity < filters.minSeverity) return false;
+    if (filters.maxSeverity !== null && meta.maxSeverity > filters.maxSeverity) return false;
+    return true;
+}
+
+// 목록 응답용 세션 요약 (중복 제거용 배치 ID 목록은 제외)
+function summarizeSession(meta) {
+    const { batchIds, ...summary } = meta;
+    return summary;
+}
+
+// 조회 라우터 생성
+function createQueryRouter(store, logger) {
+    const router = express.Router();
+
+    // 세션 목록 (시간 범위, URL, 호스트, 최대 위험도 필터)
+    router.get('/sessions', async (req, res) => {
+        try {
+            const filters = {
+                from: parseTime(req.query.from),
+                to: parseTime(req.query.to),
+                url: req.query.url || null,
+                host: req.query.host || null,
+                minSeverity: parseNumber(req.query.minSeverity),
+                maxSeverity: parseNumber(req.query.maxSeverity)
+            };
+
+            const sessions = (await store.listSessions())
+                .filter(meta => matchSession(meta, filters))
+                .sort((a, b) => (b.lastSeen || 0) - (a.lastSeen || 0))
+                .map(summarizeSession);
+
+            res.json(paginate(sessions, parsePaging(req.query)));
+        } catch (error) {
+            logger.error('세션 목록 조회 실패', { error: error.message });
+            res.status(500).json({ status: 'error', errors: ['조회 실패'] });
+        }
+    });
+
+    // 세션 메타데이터
+    router.get('/sessions/:sessionId', async (req, res) => {
+        try {
+            const meta = await store.readMeta(req.params.sessionId);
+            if (!meta) {
+                res.status(404).json({ status: 'error', errors: ['세션을 찾을 수 없습니다'] });
+                return;
+            }
+            res.json(summarizeSession(meta));
+        } catch (error) {
+            res.status(400).json({ status: 'error', errors: [error.message] });
+        }
+    });
+
+    // 세션 통합 타임라인 (감지 기록과 녹화 이벤트를 시각 순으로 병합)
+    router.get('/sessions/:sessionId/timeline', async (req, res) => {
+        let meta;
+        try {
+            meta = await store.readMeta(req.params.sessionId);
+        } catch (error) {
+            res.status(400).json({ status: 'error', errors: [error.message] });
+            return;
+        }
+
+        if (!meta) {
+            res.status(404).json({ status: 'error', errors: ['세션을 찾을 수 없습니다'] });
+            return;
+        }
+
+        try {
+            const records = dedupeRecords(await store.readRecords(meta.sessionId)).sort(compareRecords);
+            const snapshots = await store.readSnapshots(meta.sessionId);
+            const latest = snapshots[snapshots.length - 1] || null;
+
+            res.json({
+                session: summarizeSession(meta),
+                domSnapshot: latest ? latest.snapshot : null,
+                events: records,
+                totalEvents: records.length
+            });
+        } catch (error) {
+            logger.error('타임라인 조회 실패', { sessionId: meta.sessionId, error: error.message });
+            res.status(500).json({ status: 'error', errors: ['조회 실패'] });
+        }
+    });
+
+    // 세션 네트워크 기록을 HAR 1.2로 내보내기
+    router.get('/sessions/:sessionId/har', async (req, res) => {
+        let meta;
+        try {
+            meta = await store.readMeta(req.params.sessionId);
+        } catch (error) {
+            res.status(400).json({ status: 'error', errors: [error.message] });
+            return;
+        }
+
+        if (!meta) {
+            res.status(404).json({ status: 'error', errors: ['세션을 찾을 수 없습니다'] });
+            return;
+        }
+
+        try {
+            const records = dedupeRecords(await store.readRecords(meta.sessionId))
+                .filter(record => record.source === 'network' || !record.source);
+            const har = HarExporter.buildHar(records, {
+                pageUrl: meta.url,
+                title: meta.title || meta.url,
+                sessionId: meta.sessionId,
+                startTime: meta.firstSeen
+            });
+
+            res.setHeader('Content-Disposition', `attachment; filename="forensic_${meta.sessionId}.har"`);
+            res.json(har);
+        } catch (error) {
+            logger.error('HAR 내보내기 실패', { sessionId: meta.sessionId, error: error.message });
+            res.status(500).json({ status: 'error', errors: ['내보내기 실패'] });
+        }
+    });
+
+    // 세션 전체에 걸친 감지 기록 조회 (유형 필터, 최신순 페이지)
+    router.get('/detections', async (req, res) => {
+        try {
+            const type = req.query.type || null;
+            const minSeverity = parseNumber(req.query.minSeverity);
+            const metas = await store.listSessions();
+            let detections = [];
+
+            for (const meta of metas) {
+                // 감지 기록이나 해당 유형이 없는 세션은 파일을 읽지 않음
+                // (detectionCount가 없는 이전 세션은 읽어서 확인)
+                if (meta.detectionCount === 0) continue;
+                if (type && !meta.types[type]) continue;
+                if (minSeverity !== null && meta.maxSeverity < minSeverity) continue;
+
+                const records = dedupeRecords(await store.readRecords(meta.sessionId));
+                detections = detections.concat(records.filter(record =>
+                    isDetection(record) &&
+                    (!type || record.type === type) &&
+                    (minSeverity === null || (record.severity || 0) >= minSeverity)
+                ));
+            }
+
+            detections.sort((a, b) => compareRecords(b, a));
+            res.json(paginate(detections, parsePaging(req.query)));
+        } catch (error) {
+            logger.error('감지 기록 조회 실패', { error: error.message });
+            res.status(500).json({ status: 'error', errors: ['조회 실패'] });
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    createQueryRouter,
+    isDetection,
+    dedupeRecords,
+    compareRecords,
+    summarizeSession
+};
@@ -0,0 +1,127 @@
+// 수집 데이터 스키마 검증 (src/server/schema.js)
+
+// 세션 ID는 디렉터리 이름으로 쓰이므로 경로 문자를 허용하지 않음
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_.-]{1,128}$/;
+const HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+// 기록 하나의 최대 크기 (직렬화 기준)
+const MAX_RECORD_SIZE = 1024 * 1024;
+
+// 감지 기록 공통 필드
+const RECORD_SCHEMA = {
+    type: { type: 'string', required: true, maxLength: 100 },
+    timestamp: { type: 'number', required: record => record.type !== 'evidence-seal' },
+    url: { type: 'string', maxLength: 8192 },
+    pageUrl: { type: 'string', maxLength: 8192 },
+    sessionId: { type: 'string', pattern: SESSION_ID_PATTERN },
+    source: { type: 'string', maxLength: 50 },
+    seq: { type: 'number', min: 0 },
+    time: { type: 'number', min: 0 },
+    severity: { type: 'number', min: 0, max: 1 },
+    chainIndex: { type: 'number', min: 0 },
+    prevHash: { type: 'string', pattern: HASH_PATTERN },
+    hash: { type: 'string', pattern: HASH_PATTERN }
+};
+
+// 전송 모듈 배치
+const BATCH_SCHEMA = {
+    batchId: { type: 'string', required: true, maxLength: 128 },
+    sessionId: { type: 'string', pattern: SESSION_ID_PATTERN, nullable: true },
+    createdAt: { type: 'number' },
+    records: { type: 'array', required: true, maxItems: 1000 }
+};
+
+// 세션 파일 (SessionRecorder.getSessionData / WebForensic.exportSession)
+const SESSION_SCHEMA = {
+    sessionId: { type: 'string', required: true, pattern: SESSION_ID_PATTERN },
+    startTime: { type: 'number', required: true },
+    endTime: { type: 'number' },
+    pageInfo: { type: 'object' },
+    domSnapshot: { type: 'object', nullable: true },
+    events: { type: 'array', required: true }
+};
+
+// 값의 스키마 타입 이름
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    if (typeof value === 'number' && !Number.isFinite(value)) return 'invalid-number';
+    return typeof value;
+}
+
+// 스키마 검증 (오류 메시지 배열 반환, 비어 있으면 유효)
+function validate(value, schema) {
+    if (typeOf(value) !== 'object') {
+        return ['객체가 아닙니다'];
+    }
+
+    const errors = [];
+
+    Object.entries(schema).forEach(([field, rule]) => {
+        const fieldValue = value[field];
+        const required = typeof rule.required === 'function'
+            ? rule.required(value)
+            : rule.required;
+
+        if (fieldValue === undefined || (fieldValue === null && rule.nullable)) {
+            if (required) errors.push(`${field}: 필수 항목입니다`);
+            return;
+        }
+
+        if (typeOf(fieldValue) !== rule.type) {
+            errors.push(`${field}: ${rule.type} 타입이어야 합니다`);
+            return;
+        }
+
+        if (rule.maxLength !== undefined && fieldValue.length > rule.maxLength) {
+            errors.push(`${field}: 최대 ${rule.maxLength}자입니다`);
+        }
+        if (rule.pattern && !rule.pattern.test(fieldValue)) {
+            errors.push(`${field}: 형식이 올바르지 않습니다`);
+        }
+        if (rule.min !== undefined && fieldValue < rule.min) {
+            errors.push(`${field}: ${rule.min} 이상이어야 합니다`);
+        }
+        if (rule.max !== undefined && fieldValue > rule.max) {
+            errors.push(`${field}: ${rule.max} 이하여야 합니다`);
+        }
+        if (rule.maxItems !== undefined && fieldValue.length > rule.maxItems) {
+            errors.push(`${field}: 최대 ${rule.maxItems}개입니다`);
+        }
+    });
+
+    return errors;
+}
+
+// 감지 기록 여부 (의심 활동 추적기 기록 또는 위험도가 매겨진 기록)
+// 네트워크/DOM 기록, 사용자 상호작용, 체인 봉인은 위험도가 없으므로 제외
+function isDetection(record) {
+    return record.source === 'suspicious' || typeof record.severity === 'number';
+}
+
+// 감지 기록 검증
+function validateRecord(record) {
+    const errors = validate(record, RECORD_SCHEMA);
+    if (errors.length === 0 && JSON.stringify(record).length > MAX_RECORD_SIZE) {
+        errors.push(`기록 크기가 ${MAX_RECORD_SIZE}바이트를 넘습니다`);
+    }
+    return errors;
+}
+
+// 배치 검증 (기록 자체는 validateRecord로 개별 검증)
+function validateBatch(batch) {
+    return validate(batch, BATCH_SCHEMA);
+}
+
+// 세션 파일 검증
+function validateSession(session) {
+    return validate(session, SESSION_SCHEMA);
+}
+
+module.exports = {
+    SESSION_ID_PATTERN,
+    isDetection,
+    validateRecord,
+    validateBatch,
+    validateSession
+};
@@ -0,0 +1,286 @@
+const fs = require('fs');
+const EventEmitter = require('events');
+const path = require('path');
+const { SESSION_ID_PATTERN, isDetection } = require('./schema');
+const { createLogger } = require('./logger');
+
+// 세션 ID가 없는 기록을 모아 두는 세션
+const UNASSIGNED_SESSION = 'unassigned';
+
+// 세션별 디스크 저장소 (src/server/store.js)
+// sessions/<sessionId>/ 아래에 records.jsonl(추가 전용), snapshots.jsonl, meta.json을 둔다
+// 저장이 끝날 때마다 'records' 이벤트 발생 ({ sessionId, origin, records, meta }, 세션 파일은 startTime 포함)
+class SessionStore extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.options = {
+            dataDir: options.dataDir || path.join(process.cwd(), 'data'),
+            ...options
+        };
+
+        this.logger = this.options.logger || createLogger();
+
+        this.sessionsDir = path.join(this.options.dataDir, 'sessions');
+        // 같은 세션에 대한 쓰기를 직렬화 (메타데이터 경합 방지)
+        this.queues = new Map();
+    }
+
+    // 저장 디렉터리 생성
+    async init() {
+        await fs.promises.mkdir(this.sessionsDir, { recursive: true });
+    }
+
+    // 세션 ID 정규화 (경로로 쓰일 수 없는 값은 거부)
+    resolveSessionId(sessionId) {
+        if (sessionId === undefined || sessionId === null) return UNASSIGNED_SESSION;
+        if (typeof sessionId !== 'string' || !SESSION_ID_PATTERN.test(sessionId) ||
+            sessionId === '.' || sessionId === '..') {
+            throw new Error(`잘못된 세션 ID: ${sessionId}`);
+        }
+        return sessionId;
+    }
+
+    // 세션 디렉터리 경로
+    getSessionDir(sessionId) {
+        return path.join(this.sessionsDir, this.resolveSessionId(sessionId));
+    }
+
+    // 세션 단위 직렬 실행
+    enqueue(sessionId, task) {
+        const previous = this.queues.get(sessionId) || Promise.resolve();
+        const result = previous.then(task);
+        const next = result.catch(() => {});
+        this.queues.set(sessionId, next);
+        next.then(() => {
+            if (this.queues.get(sessionId) === next) this.queues.delete(sessionId);
+        });
+        return result;
+    }
+
+    // 세션 메타데이터 읽기 (없으면 null)
+    async readMeta(sessionId) {
+        try {
+            const file = path.join(this.getSessionDir(sessionId), 'meta.json');
+            return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    // 세션 메타데이터 쓰기 (임시 파일에 쓴 뒤 교체)
+    async writeMeta(sessionId, meta) {
+        const file = path.join(this.getSessionDir(sessionId), 'meta.json');
+        const tempFile = `${file}.tmp`;
+        await fs.promises.writeFile(tempFile, JSON.stringify(meta, null, 2));
+        await fs.promises.rename(tempFile, file);
+    }
+
+    // 새 세션 메타데이터
+    createMeta(sessionId) {
+        return {
+            sessionId,
+            url: null,
+            host: null,
+            title: null,
+            userAgent: null,
+            firstSeen: null,
+            lastSeen: null,
+            recordCount: 0,
+            detectionCount: 0,
+            maxSeverity: 0,
+            types: {},
+            batchIds: [],
+            sealed: false,
+            createdAt: Date.now(),
+            updatedAt: Date.now()
+        };
+    }
+
+    // 기록 절대 시각 (세션 파일의 이벤트는 시작 시각 기준 상대 시간)
+    getRecordTime(record, startTime = null) {
+        if (typeof record.timestampAbsolute === 'number') return record.timestampAbsolute;
+        if (startTime !== null && typeof record.timestamp === 'number') return startTime + record.timestamp;
+        return typeof record.timestamp === 'number' ? record.timestamp : Date.now();
+    }
+
+    // 기록 내용을 메타데이터에 반영
+    updateMeta(meta, record, time) {
+        meta.recordCount++;
+        meta.types[record.type] = (meta.types[record.type] || 0) + 1;
+        if (isDetection(record)) meta.detectionCount = (meta.detectionCount || 0) + 1;
+
+        if (meta.firstSeen === null || time < meta.firstSeen) meta.firstSeen = time;
+        if (meta.lastSeen === null || time > meta.lastSeen) meta.lastSeen = time;
+
+        if (typeof record.severity === 'number' && record.severity > meta.maxSeverity) {
+            meta.maxSeverity = record.severity;
+        }
+        if (record.type === 'evidence-seal') {
+            meta.sealed = true;
+        }
+        // 네트워크 기록의 url은 요청 주소이므로 페이지 주소(pageUrl)를 우선
+        const pageUrl = record.pageUrl || record.url;
+        if (!meta.url && typeof pageUrl === 'string') {
+            this.setPageUrl(meta, pageUrl);
+        }
+    }
+
+    // 페이지 URL과 호스트 설정
+    setPageUrl(meta, url) {
+        meta.url = url;
+        try {
+            meta.host = new URL(url).host;
+        } catch (error) {
+            meta.host = null;
+        }
+    }
+
+    // JSONL 파일에 추가
+    async appendLines(sessionId, fileName, items) {
+        if (items.length === 0) return;
+        const file = path.join(this.getSessionDir(sessionId), fileName);
+        const lines = items.map(item => JSON.stringify(item)).join('\n') + '\n';
+        await fs.promises.appendFile(file, lines);
+    }
+
+    // 전송 모듈 배치 저장 (같은 배치가 다시 오면 무시)
+    appendBatch(sessionId, batchId, records) {
+        const id = this.resolveSessionId(sessionId);
+
+        return this.enqueue(id, async () => {
+            await fs.promises.mkdir(this.getSessionDir(id), { recursive: true });
+            const meta = await this.readMeta(id) || this.createMeta(id);
+
+            if (batchId && meta.batchIds.includes(batchId)) {
+                return { sessionId: id, stored: 0, duplicate: true };
+            }
+
+            const receivedAt = Date.now();
+            const envelopes = records.map(record => {
+                this.updateMeta(meta, record, this.getRecordTime(record));
+                return { receivedAt, origin: 'transport', batchId: batchId || null, record };
+            });
+
+            await this.appendLines(id, 'records.jsonl', envelopes);
+
+            if (batchId) meta.batchIds.push(batchId);
+            meta.updatedAt = receivedAt;
+            await this.writeMeta(id, meta);
+            this.emit('records', { sessionId: id, origin: 'transport', records, meta });
+
+            return { sessionId: id, stored: envelopes.length, duplicate: false };
+        });
+    }
+
+    // 녹화 세션 파일 저장 (이벤트는 records.jsonl, 기준 스냅샷은 snapshots.jsonl)
+    appendSession(session) {
+        const id = this.resolveSessionId(session.sessionId);
+
+        return this.enqueue(id, async () => {
+            await fs.promises.mkdir(this.getSessionDir(id), { recursive: true });
+            const meta = await this.readMeta(id) || this.createMeta(id);
+            const receivedAt = Date.now();
+            const pageInfo = session.pageInfo || {};
+
+            if (pageInfo.url) this.setPageUrl(meta, pageInfo.url);
+            meta.title = pageInfo.title || meta.title;
+            meta.userAgent = pageInfo.userAgent || meta.userAgent;
+
+            const envelopes = session.events.map(event => {
+                this.updateMeta(meta, event, this.getRecordTime(event, session.startTime));
+                return { receivedAt, origin: 'session', startTime: session.startTime, record: event };
+            });
+
+            await this.appendLines(id, 'records.jsonl', envelopes);
+
+            if (session.domSnapshot) {
+                await this.appendLines(id, 'snapshots.jsonl', [{
+                    receivedAt,
+                    startTime: session.startTime,
+                    endTime: session.endTime || null,
+                    pageInfo,
+                    snapshot: session.domSnapshot
+                }]);
+            }
+
+            meta.updatedAt = receivedAt;
+            await this.writeMeta(id, meta);
+            this.emit('records', {
+                sessionId: id,
+                origin: 'session',
+                startTime: session.startTime,
+                records: session.events,
+                meta
+            });
+
+            return { sessionId: id, stored: envelopes.length };
+        });
+    }
+
+    // 저장된 세션 ID 목록
+    async listSessionIds() {
+        try {
+            const entries = await fs.promises.readdir(this.sessionsDir, { withFileTypes: true });
+            return entries.filter(entry => entry.isDirectory()).map(entry => entry.name);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    // 전체 세션 메타데이터 목록
+    async listSessions() {
+        const ids = await this.listSessionIds();
+        const metas = await Promise.all(ids.map(id => this.readMeta(id)));
+        return metas.filter(Boolean);
+    }
+
+    // JSONL 파일 읽기 (기록 도중 잘린 마지막 줄은 건너뜀)
+    async readLines(sessionId, fileName) {
+        let content;
+        try {
+            content = await fs.promises.readFile(path.join(this.getSessionDir(sessionId), fileName), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const items = [];
+        content.split('\n').forEach(line => {
+            if (!line.trim()) return;
+            try {
+                items.push(JSON.parse(line));
+            } catch (error) {
+                this.logger.warn('손상된 줄 무시', { sessionId, fileName });
+            }
+        });
+        return items;
+    }
+
+    // 세션 기록을 절대 시각과 함께 반환
+    async readRecords(sessionId) {
+        const id = this.resolveSessionId(sessionId);
+        const envelopes = await this.readLines(id, 'records.jsonl');
+
+        return envelopes.map(envelope => ({
+            ...envelope.record,
+            sessionId: envelope.record.sessionId || id,
+            origin: envelope.origin,
+            receivedAt: envelope.receivedAt,
+            absoluteTime: this.getRecordTime(
+                envelope.record,
+                envelope.origin === 'session' ? envelope.startTime : null
+            )
+        }));
+    }
+
+    // 세션 기준 DOM 스냅샷 목록
+    readSnapshots(sessionId) {
+        return this.readLines(this.resolveSessionId(sessionId), 'snapshots.jsonl');
+    }
+}
+
+SessionStore.UNASSIGNED_SESSION = UNASSIGNED_SESSION;
+
+module.exports = SessionStore;
@@ -0,0 +1,84 @@
+// 민감 정보 내용 분류 테스트 (src/shared/__tests__/classifier.test.js)
+
+const SensitiveDataClassifier = require('../classifier');
+
+const { isLuhnValid, isCardNumber, classifyValue, findSensitiveData, maskText } = SensitiveDataClassifier;
+
+// 일치 항목의 유형과 값만 비교
+function summarize(text) {
+  return findSensitiveData(text).map(match => [match.type, match.value]);
+}
+
+describe('SensitiveDataClassifier', () => {
+  test('Luhn 체크섬', () => {
+    expect(isLuhnValid('4111111111111111')).toBe(true);
+    expect(isLuhnValid('4111111111111112')).toBe(false);
+    expect(isLuhnValid('')).toBe(false);
+    expect(isLuhnValid('4111a11111111111')).toBe(false);
+  });
+
+  test('브랜드 IIN과 자릿수가 맞는 카드 번호만 인정', () => {
+    expect(isCardNumber('4111 1111 1111 1111')).toBe(true);
+    expect(isCardNumber('5555-5555-5555-4444')).toBe(true);
+    expect(isCardNumber('378282246310005')).toBe(true);
+    // Luhn은 통과하지만 IIN이나 자릿수가 맞지 않음
+    expect(isCardNumber('1697712345000')).toBe(false);
+    expect(isCardNumber('41111111111111113')).toBe(false);
+    expect(isCardNumber('0000000000000000')).toBe(false);
+  });
+
+  test('카드 번호 뒤의 유효기간과 CVC를 카드 번호에 붙이지 않음', () => {
+    expect(summarize('4111 1111 1111 1111 12/25 123')).toEqual([
+      ['card', '4111 1111 1111 1111'],
+      ['cvc', '123']
+    ]);
+    expect(summarize('4111111111111111 123')).toEqual([
+      ['card', '4111111111111111'],
+      ['cvc', '123']
+    ]);
+  });
+
+  test('유효기간 MMYY를 CVC로 보지 않음', () => {
+    expect(summarize('4111-1111-1111-1111 exp 1225 cvc 123')).toEqual([
+      ['card', '4111-1111-1111-1111'],
+      ['cvc', '123']
+    ]);
+    expect(summarize('3782 822463 10005 exp 1227 cid 1234')).toEqual([
+      ['card', '3782 822463 10005'],
+      ['cvc', '1234']
+    ]);
+  });
+
+  test('구분자 없는 13자리 숫자열과 더 긴 숫자열의 일부는 카드 번호가 아님', () => {
+    expect(findSensitiveData('{"ts":1697712345000}')).toEqual([]);
+    expect(findSensitiveData('{"id":4222222222222}')).toEqual([]);
+    expect(findSensitiveData('order 41111111111111110000')).toEqual([]);
+  });
+
+  test('주민등록번호, 전화번호, 이메일', () => {
+    expect(summarize('주민 900101-1234567 전화 010-1234-5678 메일 kim@example.co.kr')).toEqual([
+      ['rrn', '900101-1234567'],
+      ['phone', '010-1234-5678'],
+      ['email', 'kim@example.co.kr']
+    ]);
+    expect(summarize('+82 2-123-4567')).toEqual([['phone', '+82 2-123-4567']]);
+    // 월/일이 맞지 않으면 주민등록번호가 아님
+    expect(findSensitiveData('901301-1234567')).toEqual([]);
+  });
+
+  test('값 전체 분류', () => {
+    expect(classifyValue('4111111111111111')).toBe('card');
+    expect(classifyValue('9001011234567')).toBe('rrn');
+    expect(classifyValue('01012345678')).toBe('phone');
+    expect(classifyValue('kim@example.com')).toBe('email');
+    expect(classifyValue('123')).toBeNull();
+    expect(classifyValue('123', { nearCard: true })).toBe('cvc');
+  });
+
+  test('텍스트 안의 민감 정보 치환', () => {
+    const replacer = (value, type) => `[${type}]`;
+    expect(maskText('카드 4111 1111 1111 1111 cvc 123, kim@example.com', replacer))
+      .toBe('카드 [card] cvc [cvc], [email]');
+    expect(maskText('민감 정보 없음', replacer)).toBe('민감 정보 없음');
+  });
+});
@@ -0,0 +1,97 @@
+// HAR 1.2 변환 테스트 (src/shared/__tests__/har.test.js)
+
+const HarExporter = require('../har');
+
+const START = Date.UTC(2024, 0, 1);
+
+describe('HarExporter', () => {
+  test('요청과 응답을 requestId로 묶은 항목', () => {
+    const har = HarExporter.buildHar([
+      {
+        type: 'fetch-response',
+        requestId: 'r1',
+        absoluteTime: START + 120,
+        status: 201,
+        statusText: 'Created',
+        duration: 120,
+        size: 11,
+        headers: { 'content-type': 'application/json' },
+        responseBody: '{"ok":true}'
+      },
+      {
+        type: 'fetch',
+        requestId: 'r1',
+        absoluteTime: START,
+        method: 'POST',
+        url: '/api/orders?page=2',
+        pageUrl: 'https://shop.example/checkout',
+        headers: { 'content-type': 'application/json' },
+        body: '{"item":1}'
+      }
+    ], { sessionId: 's1', startTime: START });
+
+    expect(har.log.version).toBe('1.2');
+    expect(har.log.comment).toBe('session s1');
+    expect(har.log.pages[0].startedDateTime).toBe(new Date(START).toISOString());
+    expect(har.log.entries).toHaveLength(1);
+
+    const [entry] = har.log.entries;
+    expect(entry.pageref).toBe('page_1');
+    expect(entry.time).toBe(120);
+    expect(entry.request).toMatchObject({
+      method: 'POST',
+      url: 'https://shop.example/api/orders?page=2',
+      queryString: [{ name: 'page', value: '2' }],
+      headers: [{ name: 'content-type', value: 'application/json' }],
+      postData: { mimeType: 'application/json', text: '{"item":1}' },
+      bodySize: 10
+    });
+    expect(entry.response).toMatchObject({
+      status: 201,
+      statusText: 'Created',
+      bodySize: 11,
+      content: { size: 11, mimeType: 'application/json', text: '{"ok":true}' }
+    });
+  });
+
+  test('응답이 없는 요청은 상태 0, 항목은 시각 순', () => {
+    const har = HarExporter.buildHar([
+      { type: 'beacon', requestId: 'b2', absoluteTime: START + 50, url: 'https://t.example/b', body: 'x' },
+      { type: 'xhr', requestId: 'x1', absoluteTime: START, method: 'GET', url: 'https://shop.example/a' },
+      { type: 'dom-mutation', absoluteTime: START + 10 }
+    ]);
+
+    expect(har.log.entries.map(entry => entry._requestId)).toEqual(['x1', 'b2']);
+    expect(har.log.entries[0].response.status).toBe(0);
+    expect(har.log.entries[0].request.bodySize).toBe(0);
+    expect(har.log.pages[0].startedDateTime).toBe(new Date(START).toISOString());
+  });
+
+  test('WebSocket 후속 기록을 확장 필드로 묶음', () => {
+    const har = HarExporter.buildHar([
+      { type: 'websocket', requestId: 'w1', absoluteTime: START, url: 'wss://shop.example/live' },
+      { type: 'websocket-open', requestId: 'w1', absoluteTime: START + 100 },
+      { type: 'websocket-message', requestId: 'w1', absoluteTime: START + 1500, direction: 'send', body: 'hi' },
+      { type: 'websocket-close', requestId: 'w1', absoluteTime: START + 2000, code: 1000, reason: '' }
+    ]);
+
+    const [entry] = har.log.entries;
+    expect(entry._resourceType).toBe('websocket');
+    expect(entry._webSocketMessages.map(message => [message.type, message.time])).toEqual([
+      ['open', 0.1],
+      ['message', 1.5],
+      ['close', 2]
+    ]);
+    expect(entry._webSocketMessages[1]).toMatchObject({ opcode: 1, direction: 'send', data: 'hi' });
+  });
+
+  test('잘린 본문 표시', () => {
+    const har = HarExporter.buildHar([
+      { type: 'fetch', requestId: 'r1', absoluteTime: START, url: 'https://shop.example/', body: 'abc', bodyTruncated: true },
+      { type: 'fetch-response', requestId: 'r1', absoluteTime: START, status: 200, responseBody: 'de', responseBodyTruncated: true }
+    ]);
+
+    expect(har.log.entries[0].request.postData.comment).toBe('truncated');
+    expect(har.log.entries[0].response.content.comment).toBe('truncated');
+  });
+});
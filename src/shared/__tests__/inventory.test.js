@@ -0,0 +1,110 @@
+// 스크립트 목록 기준선 테스트 (src/shared/__tests__/inventory.test.js)
+
+const crypto = require('crypto');
+const ScriptInventory = require('../inventory');
+
+const PAGE_URL = 'https://shop.example/checkout';
+
+// 인라인 스크립트 목록 (페이지 안의 순서대로)
+function inlineEntries(contents) {
+  return contents.map((content, index) =>
+    ScriptInventory.createEntry({ content, inline: true, index, pageUrl: PAGE_URL }));
+}
+
+// 페이지 스크립트 목록
+function inventory(entries) {
+  return ScriptInventory.createInventory(PAGE_URL, entries);
+}
+
+describe('ScriptInventory', () => {
+  test('SRI 형식 해시', () => {
+    const content = 'console.log("결제");';
+    expect(ScriptInventory.computeIntegrity(content))
+      .toBe(`sha256-${crypto.createHash('sha256').update(content, 'utf8').digest('base64')}`);
+  });
+
+  test('외부 스크립트는 절대 URL로 식별', () => {
+    const entry = ScriptInventory.createEntry({ url: '/js/app.js#v2', content: 'a()', pageUrl: PAGE_URL });
+
+    expect(entry).toMatchObject({
+      key: 'https://shop.example/js/app.js',
+      url: 'https://shop.example/js/app.js',
+      inline: false,
+      size: 3
+    });
+    expect(ScriptInventory.createEntry({ url: 'https://cdn.example/x.js', pageUrl: PAGE_URL }))
+      .toMatchObject({ integrity: null, size: null });
+  });
+
+  test('외부 스크립트 추가, 삭제, 내용 변경', () => {
+    const baseline = inventory([
+      ScriptInventory.createEntry({ url: '/js/app.js', content: 'a()', pageUrl: PAGE_URL }),
+      ScriptInventory.createEntry({ url: '/js/old.js', content: 'o()', pageUrl: PAGE_URL })
+    ]);
+    const current = inventory([
+      ScriptInventory.createEntry({ url: '/js/app.js', content: 'a(); skim()', pageUrl: PAGE_URL }),
+      ScriptInventory.createEntry({ url: 'https://evil.example/s.js', pageUrl: PAGE_URL })
+    ]);
+
+    const diff = ScriptInventory.compareInventories(baseline, current);
+    expect(diff.added.map(entry => entry.url)).toEqual(['https://evil.example/s.js']);
+    expect(diff.removed.map(entry => entry.url)).toEqual(['https://shop.example/js/old.js']);
+    expect(diff.modified.map(entry => entry.url)).toEqual(['https://shop.example/js/app.js']);
+    expect(diff.unchanged).toBe(0);
+  });
+
+  test('앞에 인라인 스크립트가 추가되어도 기존 인라인 스크립트는 변경 없음', () => {
+    const baseline = inventory(inlineEntries(['init()', 'track()']));
+    const current = inventory(inlineEntries(['skim()', 'init()', 'track()']));
+
+    const diff = ScriptInventory.compareInventories(baseline, current);
+    expect(diff.added).toHaveLength(1);
+    expect(diff.added[0].integrity).toBe(ScriptInventory.computeIntegrity('skim()'));
+    expect(diff.modified).toEqual([]);
+    expect(diff.removed).toEqual([]);
+    expect(diff.unchanged).toBe(2);
+  });
+
+  test('내용이 같은 인라인 스크립트가 없으면 같은 순서끼리 내용 변경으로 비교', () => {
+    const baseline = inventory(inlineEntries(['init()', 'track()']));
+    const current = inventory(inlineEntries(['init()', 'track(); skim()']));
+
+    const diff = ScriptInventory.compareInventories(baseline, current);
+    expect(diff.modified).toHaveLength(1);
+    expect(diff.modified[0]).toMatchObject({
+      key: 'inline:1',
+      baselineIntegrity: ScriptInventory.computeIntegrity('track()')
+    });
+    expect(diff.added).toEqual([]);
+    expect(diff.removed).toEqual([]);
+    expect(diff.unchanged).toBe(1);
+  });
+
+  test('인라인 스크립트 삭제', () => {
+    const baseline = inventory(inlineEntries(['init()', 'track()', 'chat()']));
+    const current = inventory(inlineEntries(['init()', 'chat()']));
+
+    const diff = ScriptInventory.compareInventories(baseline, current);
+    expect(diff.removed.map(entry => entry.integrity)).toEqual([ScriptInventory.computeIntegrity('track()')]);
+    expect(diff.modified).toEqual([]);
+    expect(diff.unchanged).toBe(2);
+  });
+
+  test('변경 기록과 위험도', () => {
+    const findings = ScriptInventory.toDriftFindings({
+      added: [
+        ScriptInventory.createEntry({ url: 'https://evil.example/s.js', pageUrl: PAGE_URL }),
+        ...inlineEntries(['skim()'])
+      ],
+      modified: [],
+      removed: inlineEntries(['init()'])
+    });
+
+    expect(findings.map(finding => [finding.type, finding.change, finding.inline])).toEqual([
+      ['script-drift', 'added', false],
+      ['script-drift', 'added', true],
+      ['script-drift', 'removed', true]
+    ]);
+    expect(findings.map(ScriptInventory.getDriftSeverity)).toEqual([0.9, 0.8, 0.4]);
+  });
+});
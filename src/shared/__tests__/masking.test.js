@@ -0,0 +1,81 @@
+// 민감 정보 마스킹 엔진 테스트 (src/shared/__tests__/masking.test.js)
+
+const crypto = require('crypto');
+const MaskingEngine = require('../masking');
+
+describe('MaskingEngine', () => {
+  test('SHA-256 구현이 표준 결과와 같음', () => {
+    ['', 'abc', '카드 4111', 'x'.repeat(200)].forEach(text => {
+      expect(MaskingEngine.sha256Hex(text))
+        .toBe(crypto.createHash('sha256').update(text, 'utf8').digest('hex'));
+    });
+  });
+
+  test('유형별 마스킹 방식', () => {
+    const engine = new MaskingEngine({ maskingPolicy: { hashSalt: 'salt' } });
+
+    expect(engine.maskValue('4111 1111 1111 1111')).toBe('•••• •••• •••• 1111');
+    expect(engine.maskValue('900101-1234567')).toBe('********');
+    expect(engine.maskValue('010-1234-5678')).toBe('•••-••••-5678');
+    expect(engine.maskValue('123', null, { nearCard: true })).toBe('***');
+    expect(engine.maskValue('kim@example.com')).toMatch(/^\[hash:[0-9a-f]{16}\]$/);
+  });
+
+  test('같은 솔트에서는 같은 값이 같은 해시', () => {
+    const first = new MaskingEngine({ maskingPolicy: { hashSalt: 'salt' } });
+    const second = new MaskingEngine({ maskingPolicy: { hashSalt: 'salt' } });
+    const other = new MaskingEngine({ maskingPolicy: { hashSalt: 'other' } });
+
+    expect(first.hash('kim@example.com')).toBe(second.hash('kim@example.com'));
+    expect(first.hash('kim@example.com')).not.toBe(other.hash('kim@example.com'));
+  });
+
+  test('필드 이름 패턴과 허용 필드', () => {
+    const engine = new MaskingEngine({ maskingPolicy: { allowFields: ['contactEmail'] } });
+
+    expect(engine.maskValue('hunter2', 'password')).toBe('*******');
+    expect(engine.maskValue('hunter2', 'nickname')).toBe('hunter2');
+    expect(engine.maskValue('kim@example.com', 'contactEmail')).toBe('kim@example.com');
+    // 이전 버전 maskPatterns 옵션
+    expect(new MaskingEngine({ maskPatterns: ['secret'] }).maskValue('x1', 'mySecret')).toBe('**');
+  });
+
+  test('정책에서 뺀 유형은 마스킹하지 않음', () => {
+    const engine = new MaskingEngine({ maskingPolicy: { classifiers: ['card'] } });
+
+    expect(engine.maskText('메일 kim@example.com 카드 4111111111111111'))
+      .toBe('메일 kim@example.com 카드 ••••••••••••1111');
+  });
+
+  test('해시 토큰 안의 숫자는 다시 마스킹하지 않음', () => {
+    const engine = new MaskingEngine({ maskingPolicy: { hashSalt: 'salt' } });
+    const masked = engine.maskText('kim@example.com');
+
+    expect(engine.maskText(masked)).toBe(masked);
+  });
+
+  test('JSON, 폼 인코딩, 텍스트 본문 마스킹', () => {
+    const engine = new MaskingEngine({ maskingPolicy: { strategies: { email: 'redact' } } });
+
+    expect(JSON.parse(engine.maskPayload(
+      '{"card":{"number":"4111111111111111"},"password":"pw","items":["kim@example.com"]}',
+      'application/json'
+    ))).toEqual({
+      card: { number: '••••••••••••1111' },
+      password: '**',
+      items: ['********']
+    });
+    expect(engine.maskPayload('password=pw&q=hello', 'application/x-www-form-urlencoded'))
+      .toBe('password=**&q=hello');
+    expect(engine.maskPayload('{잘못된 JSON 010-1234-5678', 'application/json'))
+      .toBe('{잘못된 JSON •••-••••-5678');
+  });
+
+  test('URL 쿼리 값 마스킹 (변경이 없으면 원래 문자열 유지)', () => {
+    const engine = new MaskingEngine();
+
+    expect(engine.maskUrl('/api?password=pw&page=2', 'https://shop.example/'))
+      .toBe('https://shop.example/api?password=**&page=2');
+    expect(engine.maskUrl('/api?page=2', 'https://shop.example/')).toBe('/api?page=2');
+  });
+});
@@ -0,0 +1,314 @@
+// 민감 정보 내용 분류 모듈 (src/shared/classifier.js)
+// 필드 이름과 무관하게 값의 내용으로 카드 번호, CVC, 주민등록번호, 전화번호, 이메일을 판별
+// DOMTracker, NetworkTracker, SuspiciousTracker, SessionRecorder가 마스킹과 감지에 함께 사용
+
+// 카드 브랜드별 IIN 앞자리와 자릿수 (국내 전용 카드는 9로 시작하는 16자리)
+const CARD_BRANDS = [
+  { brand: 'visa', prefix: /^4/, lengths: [13, 16, 19] },
+  { brand: 'mastercard', prefix: /^(?:5[1-5]|2(?:2(?:2[1-9]|[3-9]\d)|[3-6]\d\d|7(?:[01]\d|20)))/, lengths: [16] },
+  { brand: 'amex', prefix: /^3[47]/, lengths: [15] },
+  { brand: 'diners', prefix: /^3(?:0[0-5]|[689])/, lengths: [14, 16] },
+  { brand: 'jcb', prefix: /^35(?:2[89]|[3-8]\d)/, lengths: [16, 17, 18, 19] },
+  { brand: 'discover', prefix: /^6(?:011|4[4-9]|5)/, lengths: [16, 17, 18, 19] },
+  { brand: 'unionpay', prefix: /^62/, lengths: [16, 17, 18, 19] },
+  { brand: 'maestro', prefix: /^(?:5[06-9]|6\d)/, lengths: [13, 14, 15, 16, 17, 18, 19] },
+  { brand: 'domestic', prefix: /^9/, lengths: [16] }
+];
+
+// 같은 시작 위치에서 시도할 카드 번호 길이 (흔한 길이 우선, 뒤따르는 CVC를 카드 번호로 붙이지 않도록)
+const CARD_LENGTHS = [16, 15, 14, 19, 18, 17, 13];
+const MAX_CARD_LENGTH = 19;
+
+// 주민등록번호 (생년월일 + 성별 자리 1~8, 외국인등록번호 포함)
+const RRN_PATTERN = /\d{2}(?:0[1-9]|1[0-2])(?:0[1-9]|[12]\d|3[01])[- ]?[1-8]\d{6}/g;
+
+// 한국 전화번호 (휴대전화, 지역번호, 070, +82 국제 형식)
+const PHONE_PATTERN = /(?:\+82[- ]?|0)(?:1[016789]|2|[3-6][1-5]|70)[- )]?\d{3,4}[- ]?\d{4}/g;
+
+// 이메일 주소
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g;
+
+// 카드 번호 뒤 CVC를 찾을 거리 (문자 수)
+const CVC_WINDOW = 40;
+
+// 분류 유형 (검사 순서대로, 앞선 유형과 겹치는 일치는 무시)
+const DATA_TYPES = ['card', 'rrn', 'phone', 'email'];
+
+// 앞뒤가 숫자가 아닌지 확인 (긴 숫자열의 일부 오탐 방지)
+function isDigitBounded(text, start, end) {
+  return !/\d/.test(text.charAt(start - 1)) && !/\d/.test(text.charAt(end));
+}
+
+// Luhn 체크섬 검증
+function isLuhnValid(digits) {
+  let sum = 0;
+  let double = false;
+
+  for (let i = digits.length - 1; i >= 0; i--) {
+    let digit = digits.charCodeAt(i) - 48;
+    if (digit < 0 || digit > 9) return false;
+    if (double) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+    double = !double;
+  }
+
+  return digits.length > 0 && sum % 10 === 0;
+}
+
+// 숫자만 추출
+function toDigits(value) {
+  return String(value).replace(/\D/g, '');
+}
+
+// 카드 브랜드 (IIN 앞자리와 자릿수가 맞는 브랜드가 없으면 null)
+function getCardBrand(digits) {
+  const brand = CARD_BRANDS.find(entry =>
+    entry.prefix.test(digits) && entry.lengths.includes(digits.length)
+  );
+  return brand ? brand.brand : null;
+}
+
+// 숫자열이 카드 번호인지 (브랜드, Luhn 검증)
+function isCardDigits(digits) {
+  // 같은 숫자 반복(0000...)은 Luhn을 통과하지만 카드 번호가 아님
+  return !!getCardBrand(digits) && !/^(\d)\1+$/.test(digits) && isLuhnValid(digits);
+}
+
+// 카드 번호 여부 (값 전체 기준)
+function isCardNumber(value) {
+  const text = String(value).trim();
+  if (!/^[\d -]+$/.test(text)) return false;
+  return isCardDigits(toDigits(text));
+}
+
+// 주민등록번호 여부
+function isRRN(value) {
+  const text = String(value).trim();
+  RRN_PATTERN.lastIndex = 0;
+  const match = RRN_PATTERN.exec(text);
+  return !!match && match[0] === text;
+}
+
+// 전화번호 여부
+function isPhoneNumber(value) {
+  const text = String(value).trim();
+  PHONE_PATTERN.lastIndex = 0;
+  const match = PHONE_PATTERN.exec(text);
+  return !!match && match[0] === text;
+}
+
+// 이메일 여부
+function isEmail(value) {
+  const text = String(value).trim();
+  EMAIL_PATTERN.lastIndex = 0;
+  const match = EMAIL_PATTERN.exec(text);
+  return !!match && match[0] === text;
+}
+
+// CVC 여부 (카드 번호 옆에 있을 때만 의미가 있음)
+function isCvc(value, context = {}) {
+  return !!context.nearCard && /^\d{3,4}$/.test(String(value).trim());
+}
+
+// 값 전체의 분류 (해당 없으면 null)
+// context.nearCard: 같은 폼에 카드 번호가 입력되어 있는지
+function classifyValue(value, context = {}) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value !== 'string' && typeof value !== 'number') return null;
+
+  if (isCardNumber(value)) return 'card';
+  if (isRRN(value)) return 'rrn';
+  if (isPhoneNumber(value)) return 'phone';
+  if (isEmail(value)) return 'email';
+  if (isCvc(value, context)) return 'cvc';
+  return null;
+}
+
+// 패턴 일치 목록
+function findPatternMatches(text, pattern, type, accept) {
+  const matches = [];
+  pattern.lastIndex = 0;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const start = match.index;
+    const end = start + match[0].length;
+    if (accept(match[0], start, end)) {
+      matches.push({ type, start, end, value: match[0] });
+    }
+  }
+
+  return matches;
+}
+
+// start 위치에서 시작하는 카드 번호 (숫자 사이 공백/하이픈 하나 허용, 없으면 null)
+function findCardAt(text, start) {
+  // 숫자 개수별 끝 위치
+  const ends = [];
+  let digits = '';
+  let position = start;
+
+  while (position < text.length && /\d/.test(text[position]) && digits.length < MAX_CARD_LENGTH) {
+    digits += text[position];
+    position++;
+    ends[digits.length] = position;
+    if (/[ -]/.test(text.charAt(position)) && /\d/.test(text.charAt(position + 1))) position++;
+  }
+
+  for (const length of CARD_LENGTHS) {
+    const end = ends[length];
+    // 더 긴 숫자열의 앞부분은 카드 번호로 보지 않음
+    if (!end || /\d/.test(text.charAt(end))) continue;
+    const value = text.slice(start, end);
+    // 구분자 없는 13자리는 밀리초 타임스탬프 등과 구별할 수 없어 제외
+    if (length === 13 && value.length === 13) continue;
+    if (isCardDigits(digits.slice(0, length))) {
+      return { type: 'card', start, end, value };
+    }
+  }
+
+  return null;
+}
+
+// 카드 번호 일치 (브랜드 IIN/자릿수와 Luhn 검증을 통과한 후보만)
+function findCardMatches(text) {
+  const matches = [];
+
+  for (let start = 0; start < text.length; start++) {
+    if (!/\d/.test(text[start]) || /\d/.test(text.charAt(start - 1))) continue;
+    const match = findCardAt(text, start);
+    if (match) {
+      matches.push(match);
+      start = match.end - 1;
+    }
+  }
+
+  return matches;
+}
+
+// CVC 앞에 오는 표시
+const CVC_LABEL = /(?:cvc|cvv|cvn|cid|csc|보안\s*코드|보안\s*번호)\W*$/i;
+
+// 유효기간 앞에 오는 표시
+const EXPIRY_LABEL = /(?:exp\w*|valid\w*|mm\s*\/?\s*yy|유효\s*기간|만료\S*)\W*$/i;
+
+// 카드 번호 뒤에 오는 CVC
+// 브랜드별 자릿수(Amex 4자리, 그 외 3자리)만 후보로 보고, CVC 표시가 붙은 후보를 우선
+// 유효기간(MM/YY, 유효기간 표시 뒤의 숫자, 뒤에 다른 후보가 있는 MMYY)은 건너뜀
+function findCvcMatches(text, cardMatches) {
+  const matches = [];
+
+  cardMatches.forEach(card => {
+    const cvcLength = getCardBrand(toDigits(card.value)) === 'amex' ? 4 : 3;
+    const windowText = text.slice(card.end, card.end + CVC_WINDOW);
+    const pattern = /\d+(?:\/\d+)?/g;
+    const candidates = [];
+    let match;
+
+    while ((match = pattern.exec(windowText)) !== null) {
+      const start = card.end + match.index;
+      const end = start + match[0].length;
+      const label = windowText.slice(Math.max(0, match.index - 16), match.index);
+      if (match[0].includes('/') || match[0].length !== cvcLength || !isDigitBounded(text, start, end)) continue;
+      if (EXPIRY_LABEL.test(label)) continue;
+      candidates.push({ type: 'cvc', start, end, value: match[0], labeled: CVC_LABEL.test(label) });
+    }
+
+    const cvc = candidates.find(candidate => candidate.labeled) ||
+      candidates.find((candidate, index) =>
+        !(index < candidates.length - 1 && /^(?:0[1-9]|1[0-2])\d\d$/.test(candidate.value))
+      );
+    if (cvc) {
+      matches.push({ type: 'cvc', start: cvc.start, end: cvc.end, value: cvc.value });
+    }
+  });
+
+  return matches;
+}
+
+// 텍스트 안의 민감 정보 위치 목록 ({ type, start, end, value }, 시작 위치 순)
+function findSensitiveData(text) {
+  if (typeof text !== 'string' || text.length === 0) return [];
+
+  const cards = findCardMatches(text);
+  const candidates = [
+    ...cards,
+    ...findPatternMatches(text, RRN_PATTERN, 'rrn', (value, start, end) => isDigitBounded(text, start, end)),
+    ...findPatternMatches(text, PHONE_PATTERN, 'phone', (value, start, end) => isDigitBounded(text, start, end)),
+    ...findPatternMatches(text, EMAIL_PATTERN, 'email', () => true)
+  ];
+
+  // 유형 우선순위대로 겹치지 않는 일치만 채택 (카드 번호 안의 전화번호 모양 등 제외)
+  const accepted = [];
+  DATA_TYPES.forEach(type => {
+    candidates
+      .filter(match => match.type === type)
+      .forEach(match => {
+        const overlaps = accepted.some(other => match.start < other.end && other.start < match.end);
+        if (!overlaps) accepted.push(match);
+      });
+  });
+
+  findCvcMatches(text, cards).forEach(match => {
+    const overlaps = accepted.some(other => match.start < other.end && other.start < match.end);
+    if (!overlaps) accepted.push(match);
+  });
+
+  return accepted.sort((a, b) => a.start - b.start);
+}
+
+// 텍스트에 포함된 민감 정보 유형 목록 (중복 제거)
+function detectTypes(text) {
+  return Array.from(new Set(findSensitiveData(text).map(match => match.type)));
+}
+
+// 텍스트 안의 민감 정보 치환 (replacer(value, type) => string)
+function maskText(text, replacer) {
+  const matches = findSensitiveData(text);
+  if (matches.length === 0) return text;
+
+  let result = '';
+  let position = 0;
+  matches.forEach(match => {
+    result += text.slice(position, match.start) + replacer(match.value, match.type);
+    position = match.end;
+  });
+  return result + text.slice(position);
+}
+
+// 입력 요소와 같은 폼(없으면 문서)에 카드 번호가 입력되어 있는지
+// readValue: 값 접근 감지에 걸리지 않도록 원본 getter로 값을 읽는 함수
+function hasCardNearby(element, readValue) {
+  const scope = element.form || element.ownerDocument;
+  if (!scope) return false;
+
+  const fields = scope.querySelectorAll
+    ? scope.querySelectorAll('input, textarea')
+    : scope.elements || [];
+  return Array.from(fields).some(field =>
+    field !== element && isCardNumber(readValue ? readValue(field) : field.value)
+  );
+}
+
+const SensitiveDataClassifier = {
+  DATA_TYPES: [...DATA_TYPES, 'cvc'],
+  isLuhnValid,
+  isCardNumber,
+  isRRN,
+  isPhoneNumber,
+  isEmail,
+  classifyValue,
+  findSensitiveData,
+  detectTypes,
+  maskText,
+  hasCardNearby
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SensitiveDataClassifier;
+} else {
+  window.SensitiveDataClassifier = SensitiveDataClassifier;
+}
@@ -0,0 +1,233 @@
+// HAR 1.2 변환 모듈 (src/shared/har.js)
+// 브라우저 번들(NetworkTracker)과 수집 서버가 함께 사용하므로 CommonJS로 작성
+
+// 요청 기록 유형과 해당 응답 기록 유형
+const REQUEST_TYPES = ['fetch', 'xhr', 'puppeteer-request', 'beacon', 'websocket', 'eventsource'];
+const RESPONSE_TYPES = ['fetch-response', 'xhr-response', 'puppeteer-response'];
+
+// 연결형 요청의 후속 기록 (HAR 항목의 확장 필드로 묶음)
+const WEBSOCKET_TYPES = ['websocket-open', 'websocket-message', 'websocket-error', 'websocket-close'];
+const EVENTSOURCE_TYPES = ['eventsource-open', 'eventsource-message', 'eventsource-error'];
+
+const CREATOR = { name: 'web-forensic', version: '1.0.0' };
+
+// 기록의 절대 시각 (ms)
+function getRecordTime(record) {
+  if (typeof record.absoluteTime === 'number') return record.absoluteTime;
+  if (typeof record.timestampAbsolute === 'number') return record.timestampAbsolute;
+  return record.timestamp;
+}
+
+// 객체 헤더를 HAR 이름/값 목록으로 변환
+function toNameValueList(headers) {
+  if (!headers) return [];
+  return Object.keys(headers)
+    .filter(name => headers[name] !== undefined && headers[name] !== null)
+    .map(name => ({ name, value: String(headers[name]) }));
+}
+
+// 쿼리 문자열 목록
+function getQueryString(url, baseUrl) {
+  try {
+    const parsed = new URL(url, baseUrl);
+    const list = [];
+    parsed.searchParams.forEach((value, name) => list.push({ name, value }));
+    return { url: parsed.href, queryString: list };
+  } catch (error) {
+    return { url: String(url), queryString: [] };
+  }
+}
+
+// 텍스트 길이 (바이트)
+function getByteLength(text) {
+  if (typeof TextEncoder !== 'undefined') {
+    return new TextEncoder().encode(text).length;
+  }
+  return Buffer.byteLength(text);
+}
+
+// 요청 본문을 HAR postData로 변환
+function toPostData(request) {
+  if (request.body === undefined || request.body === null || request.body === '') return undefined;
+
+  const text = typeof request.body === 'string' ? request.body : JSON.stringify(request.body);
+  const postData = {
+    mimeType: (request.headers && request.headers['content-type']) || '',
+    text
+  };
+  if (request.bodyTruncated) {
+    postData.comment = 'truncated';
+  }
+  return postData;
+}
+
+// 응답 기록을 HAR response로 변환 (응답이 없으면 상태 0)
+function toResponse(response) {
+  if (!response) {
+    return {
+      status: 0,
+      statusText: '',
+      httpVersion: '',
+      cookies: [],
+      headers: [],
+      content: { size: 0, mimeType: '' },
+      redirectURL: '',
+      headersSize: -1,
+      bodySize: -1
+    };
+  }
+
+  const headers = response.headers || {};
+  const content = {
+    size: typeof response.size === 'number' ? response.size : 0,
+    mimeType: headers['content-type'] || ''
+  };
+  if (typeof response.responseBody === 'string') {
+    content.text = response.responseBody;
+    if (response.responseBodyTruncated) {
+      content.comment = 'truncated';
+    }
+  }
+
+  const result = {
+    status: typeof response.status === 'number' ? response.status : 0,
+    statusText: response.statusText || '',
+    httpVersion: '',
+    cookies: [],
+    headers: toNameValueList(headers),
+    content,
+    redirectURL: headers.location || '',
+    headersSize: -1,
+    bodySize: typeof response.size === 'number' ? response.size : -1
+  };
+  if (response.error) {
+    result._error = response.error;
+  }
+  return result;
+}
+
+// 연결형 요청의 후속 기록을 HAR 확장 필드로 변환
+function toConnectionMessages(records, baseTime) {
+  return records.map(record => ({
+    type: record.type.replace(/^(websocket|eventsource)-/, ''),
+    time: (getRecordTime(record) - baseTime) / 1000,
+    opcode: record.type === 'websocket-message' ? 1 : undefined,
+    direction: record.direction,
+    event: record.event,
+    data: record.body,
+    code: record.code,
+    reason: record.reason
+  }));
+}
+
+// 요청 기록 하나를 HAR 항목으로 변환
+function toEntry(request, response, followUps, pageId) {
+  const startTime = getRecordTime(request);
+  const duration = response && typeof response.duration === 'number' ? response.duration : 0;
+  const { url, queryString } = getQueryString(request.url, request.pageUrl);
+
+  const entry = {
+    pageref: pageId,
+    startedDateTime: new Date(startTime).toISOString(),
+    time: duration,
+    request: {
+      method: request.method || 'GET',
+      url,
+      httpVersion: '',
+      cookies: [],
+      headers: toNameValueList(request.headers),
+      queryString,
+      headersSize: -1,
+      bodySize: -1
+    },
+    response: toResponse(response),
+    cache: {},
+    timings: {
+      blocked: -1,
+      dns: -1,
+      connect: -1,
+      send: 0,
+      wait: duration,
+      receive: 0,
+      ssl: -1
+    },
+    _requestId: request.requestId || null,
+    _type: request.type
+  };
+
+  const postData = toPostData(request);
+  if (postData) {
+    entry.request.postData = postData;
+    entry.request.bodySize = typeof request.size === 'number' ? request.size : getByteLength(postData.text);
+  } else {
+    entry.request.bodySize = 0;
+  }
+
+  if (request.type === 'websocket') {
+    entry._webSocketMessages = toConnectionMessages(followUps, startTime);
+    entry._resourceType = 'websocket';
+  } else if (request.type === 'eventsource') {
+    entry._eventSourceMessages = toConnectionMessages(followUps, startTime);
+    entry._resourceType = 'eventsource';
+  }
+
+  return entry;
+}
+
+// 네트워크 기록 목록을 HAR 1.2 객체로 변환
+function buildHar(records, options = {}) {
+  const requests = [];
+  const responses = new Map();
+  const followUps = new Map();
+
+  records.forEach(record => {
+    if (!record || !record.type) return;
+
+    if (REQUEST_TYPES.includes(record.type)) {
+      requests.push(record);
+    } else if (RESPONSE_TYPES.includes(record.type) && record.requestId) {
+      responses.set(record.requestId, record);
+    } else if ((WEBSOCKET_TYPES.includes(record.type) || EVENTSOURCE_TYPES.includes(record.type)) && record.requestId) {
+      if (!followUps.has(record.requestId)) followUps.set(record.requestId, []);
+      followUps.get(record.requestId).push(record);
+    }
+  });
+
+  requests.sort((a, b) => getRecordTime(a) - getRecordTime(b));
+
+  const pageId = options.pageId || 'page_1';
+  const startTime = options.startTime ||
+    (requests.length > 0 ? getRecordTime(requests[0]) : Date.now());
+  const pageUrl = options.pageUrl || (requests[0] && requests[0].pageUrl) || '';
+
+  return {
+    log: {
+      version: '1.2',
+      creator: { ...CREATOR },
+      pages: [{
+        startedDateTime: new Date(startTime).toISOString(),
+        id: pageId,
+        title: options.title || pageUrl,
+        pageTimings: {
+          onContentLoad: -1,
+          onLoad: -1
+        }
+      }],
+      entries: requests.map(request => toEntry(
+        request,
+        request.requestId ? responses.get(request.requestId) : null,
+        request.requestId ? followUps.get(request.requestId) || [] : [],
+        pageId
+      )),
+      comment: options.sessionId ? `session ${options.sessionId}` : ''
+    }
+  };
+}
+
+const HarExporter = { buildHar, getRecordTime };
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HarExporter;
+} else {
+  window.HarExporter = HarExporter;
+}
@@ -0,0 +1,185 @@
+// 스크립트 목록 기준선 모듈 (src/shared/inventory.js)
+// 페이지의 스크립트 목록(URL, SRI 형식 해시, 크기, 인라인 여부)을 만들고 기준선과 비교해 추가/삭제/변경을 찾음
+// 브라우저 번들(SuspiciousTracker)과 크롤러(src/cli/crawl.js)가 함께 사용하므로 CommonJS로 작성
+
+const BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+// 변경 유형별 위험도 (외부 스크립트 추가와 내용 변경이 Magecart형 침해의 전형적인 흔적)
+const DRIFT_SEVERITY = {
+  added: 0.9,
+  'added-inline': 0.8,
+  modified: 0.95,
+  removed: 0.4
+};
+
+// SHA-256 (번들/서버에서는 모듈, 테스트 페이지에서는 전역 스크립트)
+function getSha256Hex() {
+  if (typeof module !== 'undefined' && module.exports) {
+    return require('./masking').sha256Hex;
+  }
+  return window.MaskingEngine.sha256Hex;
+}
+
+// 16진수 문자열을 base64로 (페이지의 btoa 감시에 걸리지 않도록 직접 변환)
+function hexToBase64(hex) {
+  const bytes = hex.match(/../g).map(pair => parseInt(pair, 16));
+  let result = '';
+
+  for (let i = 0; i < bytes.length; i += 3) {
+    const chunk = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+    result += BASE64_ALPHABET[(chunk >> 18) & 63] + BASE64_ALPHABET[(chunk >> 12) & 63];
+    result += i + 1 < bytes.length ? BASE64_ALPHABET[(chunk >> 6) & 63] : '=';
+    result += i + 2 < bytes.length ? BASE64_ALPHABET[chunk & 63] : '=';
+  }
+
+  return result;
+}
+
+// SRI 형식 해시 (sha256-<base64>)
+function computeIntegrity(content) {
+  return `sha256-${hexToBase64(getSha256Hex()(content))}`;
+}
+
+// UTF-8 바이트 크기
+function getByteSize(text) {
+  if (typeof TextEncoder !== 'undefined') return new TextEncoder().encode(text).length;
+  return Buffer.byteLength(text, 'utf8');
+}
+
+// 비교용 스크립트 URL (절대 URL, 조각 제거)
+function normalizeScriptUrl(url, pageUrl) {
+  try {
+    const resolved = new URL(url, pageUrl);
+    resolved.hash = '';
+    return resolved.href;
+  } catch (error) {
+    return url;
+  }
+}
+
+// 스크립트 항목 생성
+// 외부 스크립트는 URL, 인라인 스크립트는 페이지 안의 순서로 식별 (비교할 때는 인라인 스크립트를 내용 해시로 먼저 맞춤)
+// content가 없으면(교차 출처 응답을 읽지 못한 경우 등) 해시와 크기는 null
+function createEntry({ url, content, inline = false, index = 0, pageUrl }) {
+  const hasContent = typeof content === 'string';
+  const normalizedUrl = inline ? null : normalizeScriptUrl(url, pageUrl);
+
+  return {
+    key: inline ? `inline:${index}` : normalizedUrl,
+    url: normalizedUrl,
+    inline,
+    integrity: hasContent ? computeIntegrity(content) : null,
+    size: hasContent ? getByteSize(content) : null
+  };
+}
+
+// 페이지 스크립트 목록 생성
+function createInventory(pageUrl, entries) {
+  return {
+    pageUrl,
+    createdAt: Date.now(),
+    scripts: entries
+  };
+}
+
+// 인라인 스크립트 짝짓기 ([기준선 항목 또는 null, 현재 항목] 목록과 짝이 없는 기준선 항목)
+// 같은 내용끼리 먼저 맞추고 남은 것만 순서로 맞춤 (앞에 인라인 스크립트가 추가되어 순서가 밀려도 변경으로 보지 않음)
+function matchInlineScripts(baselineScripts, currentScripts) {
+  const remaining = baselineScripts.slice();
+  const pairs = [];
+  const unmatched = [];
+
+  currentScripts.forEach(entry => {
+    const index = entry.integrity
+      ? remaining.findIndex(previous => previous.integrity === entry.integrity)
+      : -1;
+    if (index === -1) {
+      unmatched.push(entry);
+    } else {
+      pairs.push([remaining.splice(index, 1)[0], entry]);
+    }
+  });
+
+  unmatched.forEach(entry => {
+    const index = remaining.findIndex(previous => previous.key === entry.key);
+    pairs.push([index === -1 ? null : remaining.splice(index, 1)[0], entry]);
+  });
+
+  return { pairs, removed: remaining };
+}
+
+// 기준선과 현재 목록 비교 ({ added, removed, modified, unchanged })
+// 어느 한쪽 해시를 모르면 내용 변경은 판단하지 않음
+function compareInventories(baseline, current) {
+  const diff = { added: [], removed: [], modified: [], unchanged: 0 };
+
+  const compareEntry = (previous, entry) => {
+    if (!previous) {
+      diff.added.push(entry);
+    } else if (previous.integrity && entry.integrity && previous.integrity !== entry.integrity) {
+      diff.modified.push({ ...entry, baselineIntegrity: previous.integrity, baselineSize: previous.size });
+    } else {
+      diff.unchanged++;
+    }
+  };
+
+  const baselineScripts = new Map(baseline.scripts.filter(entry => !entry.inline).map(entry => [entry.key, entry]));
+  const currentScripts = new Map(current.scripts.filter(entry => !entry.inline).map(entry => [entry.key, entry]));
+
+  currentScripts.forEach((entry, key) => compareEntry(baselineScripts.get(key), entry));
+  baselineScripts.forEach((entry, key) => {
+    if (!currentScripts.has(key)) diff.removed.push(entry);
+  });
+
+  const inline = matchInlineScripts(
+    baseline.scripts.filter(entry => entry.inline),
+    current.scripts.filter(entry => entry.inline)
+  );
+  inline.pairs.forEach(([previous, entry]) => compareEntry(previous, entry));
+  diff.removed.push(...inline.removed);
+
+  return diff;
+}
+
+// 비교 결과를 감지 기록 형식으로 변환
+function toDriftFindings(diff) {
+  const toFinding = change => entry => ({
+    type: 'script-drift',
+    change,
+    key: entry.key,
+    url: entry.url,
+    inline: entry.inline,
+    integrity: entry.integrity,
+    size: entry.size,
+    baselineIntegrity: entry.baselineIntegrity,
+    baselineSize: entry.baselineSize
+  });
+
+  return [
+    ...diff.added.map(toFinding('added')),
+    ...diff.modified.map(toFinding('modified')),
+    ...diff.removed.map(toFinding('removed'))
+  ];
+}
+
+// 변경 기록의 위험도
+function getDriftSeverity(finding) {
+  if (finding.change === 'added' && finding.inline) return DRIFT_SEVERITY['added-inline'];
+  return DRIFT_SEVERITY[finding.change] || 0;
+}
+
+const ScriptInventory = {
+  computeIntegrity,
+  normalizeScriptUrl,
+  createEntry,
+  createInventory,
+  compareInventories,
+  toDriftFindings,
+  getDriftSeverity
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ScriptInventory;
+} else {
+  window.ScriptInventory = ScriptInventory;
+}
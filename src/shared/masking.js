@@ -0,0 +1,324 @@
+// 민감 정보 마스킹 엔진 (src/shared/masking.js)
+// 하나의 정책(필드 이름/선택자, 내용 분류, 유형별 마스킹 방식, 허용 필드)으로
+// DOMTracker, NetworkTracker, SuspiciousTracker, SessionRecorder가 같은 방식으로 마스킹
+
+// 기본 마스킹 정책
+const DEFAULT_MASKING_POLICY = {
+  // 이름에 포함되면 마스킹하는 필드 이름 패턴 (대소문자 무시)
+  fieldPatterns: ['password', 'card', 'cvc', 'cvv', 'ssn'],
+  // 일치하면 마스킹하는 요소 선택자
+  fieldSelectors: ['input[type="password"]', '[autocomplete^="cc-"]', '[data-forensic-mask]'],
+  // 값 내용으로 판별할 유형 (src/shared/classifier.js)
+  classifiers: ['card', 'cvc', 'rrn', 'phone', 'email'],
+  // 유형별 마스킹 방식: redact(전체 가림), last4(끝 4자리만 남김), hash(솔트 해시, 같은 값끼리 연결 가능)
+  strategies: {
+    field: 'redact',
+    card: 'last4',
+    cvc: 'redact',
+    rrn: 'redact',
+    phone: 'last4',
+    email: 'hash'
+  },
+  // 마스킹하지 않을 필드 (이름 또는 선택자)
+  allowFields: [],
+  // 해시 솔트 (없으면 엔진마다 임의 생성, 수집 서버에서 세션 간 연결하려면 고정 값 지정)
+  hashSalt: null
+};
+
+// 페이지 감시용으로 감싸기 전의 JSON.parse/JSON.stringify (마스킹이 변환 시도로 기록되지 않도록)
+const nativeJsonParse = JSON.parse;
+const nativeJsonStringify = JSON.stringify;
+
+// 이미 해시로 치환된 값 (다시 검사하지 않음)
+const HASH_TOKEN_PATTERN = /\[hash:[0-9a-f]+\]/g;
+
+// SHA-256 라운드 상수
+const SHA256_K = [
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+];
+
+// 동기 SHA-256 (마스킹은 기록 생성 중에 동기로 이루어지므로 Web Crypto 대신 사용)
+function sha256Hex(message) {
+  const bytes = typeof TextEncoder !== 'undefined'
+    ? new TextEncoder().encode(message)
+    : Uint8Array.from(Buffer.from(message, 'utf8'));
+
+  // 패딩: 0x80, 0으로 채운 뒤 마지막 8바이트에 비트 길이
+  const length = ((bytes.length + 9 + 63) >> 6) << 6;
+  const data = new Uint8Array(length);
+  data.set(bytes);
+  data[bytes.length] = 0x80;
+  const bitLength = bytes.length * 8;
+  const view = new DataView(data.buffer);
+  view.setUint32(length - 8, Math.floor(bitLength / 0x100000000));
+  view.setUint32(length - 4, bitLength >>> 0);
+
+  const hash = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+  const w = new Array(64);
+  const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+  for (let offset = 0; offset < length; offset += 64) {
+    for (let i = 0; i < 16; i++) {
+      w[i] = view.getUint32(offset + i * 4);
+    }
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+    }
+
+    let [a, b, c, d, e, f, g, h] = hash;
+    for (let i = 0; i < 64; i++) {
+      const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i]) | 0;
+      const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+      h = g;
+      g = f;
+      f = e;
+      e = (d + t1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) | 0;
+    }
+
+    [a, b, c, d, e, f, g, h].forEach((value, i) => {
+      hash[i] = (hash[i] + value) | 0;
+    });
+  }
+
+  return hash.map(value => (value >>> 0).toString(16).padStart(8, '0')).join('');
+}
+
+// 내용 분류기 (번들/서버에서는 모듈, 테스트 페이지에서는 전역 스크립트)
+function getSensitiveDataClassifier() {
+  if (typeof module !== 'undefined' && module.exports) {
+    return require('./classifier');
+  }
+  return window.SensitiveDataClassifier;
+}
+
+class MaskingEngine {
+  // policy: 기본 정책에 덮어쓸 값 (options.maskingPolicy)
+  // options.maskPatterns: 이전 버전 호환용 필드 이름 패턴
+  constructor(options = {}) {
+    const policy = options.maskingPolicy || {};
+
+    this.policy = {
+      ...DEFAULT_MASKING_POLICY,
+      ...(options.maskPatterns ? { fieldPatterns: options.maskPatterns } : {}),
+      ...policy,
+      strategies: {
+        ...DEFAULT_MASKING_POLICY.strategies,
+        ...(policy.strategies || {})
+      }
+    };
+    this.salt = this.policy.hashSalt ||
+      `${Date.now().toString(36)}${Math.random().toString(36).substr(2, 9)}`;
+    this.classifier = getSensitiveDataClassifier();
+  }
+
+  // 필드 정보 정규화 (이름 문자열, 요소, { name, element } 모두 허용)
+  resolveField(field) {
+    if (!field) return { name: '', element: null };
+    if (typeof field === 'string') return { name: field, element: null };
+    if (field.nodeType === 1) {
+      return { name: field.name || field.id || '', element: field };
+    }
+    return { name: field.name || '', element: field.element || null };
+  }
+
+  // 요소가 선택자 목록 중 하나와 일치하는지
+  matchesSelector(element, selectors) {
+    if (!element || typeof element.matches !== 'function') return false;
+    return selectors.some(selector => {
+      try {
+        return element.matches(selector);
+      } catch (error) {
+        console.warn('[MaskingEngine] 잘못된 선택자:', selector);
+        return false;
+      }
+    });
+  }
+
+  // 허용 목록에 있는 필드인지
+  isAllowed(field) {
+    const { name, element } = this.resolveField(field);
+    const lowerName = name.toLowerCase();
+    return this.policy.allowFields.some(entry => entry.toLowerCase() === lowerName) ||
+      this.matchesSelector(element, this.policy.allowFields);
+  }
+
+  // 이름 패턴 또는 선택자로 민감 필드인지
+  isSensitiveField(field) {
+    const { name, element } = this.resolveField(field);
+    const lowerName = name.toLowerCase();
+    return (lowerName !== '' && this.policy.fieldPatterns.some(pattern =>
+      lowerName.includes(pattern.toLowerCase()))) ||
+      this.matchesSelector(element, this.policy.fieldSelectors);
+  }
+
+  // 값 분류 문맥 (같은 폼에 카드 번호가 입력되어 있으면 3~4자리 숫자를 CVC로 판별)
+  // readValue: 값 접근 감지에 걸리지 않도록 원본 getter로 값을 읽는 함수
+  getContext(element, readValue) {
+    return { nearCard: !!element && this.classifier.hasCardNearby(element, readValue) };
+  }
+
+  // 정책에서 사용하는 내용 유형만 반환 (해당 없으면 null)
+  classify(value, context = {}) {
+    const dataType = this.classifier.classifyValue(value, context);
+    return dataType && this.policy.classifiers.includes(dataType) ? dataType : null;
+  }
+
+  // 텍스트에 포함된 민감 정보 유형 목록 (퍼센트 인코딩은 풀어서 검사)
+  detect(...texts) {
+    const types = new Set();
+    texts.forEach(text => {
+      if (typeof text !== 'string' || !text) return;
+      let decoded = text;
+      try {
+        decoded = decodeURIComponent(text.replace(/\+/g, ' '));
+      } catch (error) {
+        // 잘못된 퍼센트 인코딩은 원문으로 검사
+      }
+      this.classifier.detectTypes(decoded)
+        .filter(type => this.policy.classifiers.includes(type))
+        .forEach(type => types.add(type));
+    });
+    return Array.from(types);
+  }
+
+  // 솔트 해시 (같은 엔진/솔트에서는 같은 값이 같은 해시가 됨)
+  hash(value) {
+    return `[hash:${sha256Hex(`${this.salt}:${value}`).slice(0, 16)}]`;
+  }
+
+  // 유형에 정해진 방식으로 값 전체 마스킹
+  maskAs(value, dataType) {
+    const text = String(value);
+    const strategy = this.policy.strategies[dataType] || this.policy.strategies.field;
+
+    switch (strategy) {
+      case 'hash':
+        return this.hash(text);
+      case 'last4':
+        // 4자리 이하는 남길 부분이 없으므로 전체를 가림
+        return text.length > 4
+          ? text.slice(0, -4).replace(/[^\s-]/g, '•') + text.slice(-4)
+          : '•'.repeat(text.length);
+      case 'redact':
+      default:
+        return '*'.repeat(Math.max(1, Math.min(text.length, 8)));
+    }
+  }
+
+  // 필드 값 마스킹 (내용 유형 > 필드 이름/선택자 > 텍스트 안의 민감 정보 순)
+  maskValue(value, field, context = {}) {
+    if (value === null || value === undefined || value === '') return value;
+    if (typeof value !== 'string' && typeof value !== 'number') return value;
+    if (field && this.isAllowed(field)) return value;
+
+    const dataType = this.classify(value, context);
+    if (dataType) return this.maskAs(value, dataType);
+    if (field && this.isSensitiveField(field)) return this.maskAs(value, 'field');
+    return typeof value === 'string' ? this.maskText(value) : value;
+  }
+
+  // 텍스트 안에 섞인 민감 정보만 마스킹
+  maskText(text) {
+    if (typeof text !== 'string' || !text) return text;
+
+    // 해시 토큰 안의 숫자가 전화번호 등으로 다시 판별되지 않도록 토큰 사이만 검사
+    let result = '';
+    let position = 0;
+    HASH_TOKEN_PATTERN.lastIndex = 0;
+    let token;
+    while ((token = HASH_TOKEN_PATTERN.exec(text)) !== null) {
+      result += this.maskPlainText(text.slice(position, token.index)) + token[0];
+      position = token.index + token[0].length;
+    }
+    return result + this.maskPlainText(text.slice(position));
+  }
+
+  // 해시 토큰이 없는 텍스트 구간 마스킹
+  maskPlainText(text) {
+    if (!text) return text;
+    return this.classifier.maskText(text, (value, dataType) =>
+      (this.policy.classifiers.includes(dataType) ? this.maskAs(value, dataType) : value));
+  }
+
+  // 객체/배열 재귀 마스킹 (키를 필드 이름으로 사용, 배열 원소는 상위 키를 따름)
+  maskObject(value, fieldName = '') {
+    if (Array.isArray(value)) {
+      return value.map(item => this.maskObject(item, fieldName));
+    }
+    if (value && typeof value === 'object') {
+      const masked = {};
+      Object.keys(value).forEach(key => {
+        masked[key] = this.maskObject(value[key], key);
+      });
+      return masked;
+    }
+    return this.maskValue(value, fieldName);
+  }
+
+  // 폼 인코딩 본문 마스킹
+  maskFormEncoded(text) {
+    const params = new URLSearchParams(text);
+    const masked = new URLSearchParams();
+    params.forEach((value, key) => masked.append(key, this.maskValue(value, key)));
+    return masked.toString();
+  }
+
+  // URL 쿼리 값과 경로의 민감 정보 마스킹 (변경이 없으면 원래 문자열 유지)
+  maskUrl(url, baseUrl) {
+    if (typeof url !== 'string' || !url) return url;
+
+    try {
+      const parsed = new URL(url, baseUrl);
+      let changed = false;
+      parsed.searchParams.forEach((value, key) => {
+        const masked = this.maskValue(value, key);
+        if (masked !== value) {
+          parsed.searchParams.set(key, masked);
+          changed = true;
+        }
+      });
+      return this.maskText(changed ? parsed.href : url);
+    } catch (error) {
+      return this.maskText(url);
+    }
+  }
+
+  // 형식에 맞춰 본문 마스킹 (JSON, 폼 인코딩, 일반 텍스트)
+  maskPayload(text, contentType) {
+    if (typeof text !== 'string' || !text) return text;
+
+    try {
+      if (contentType && contentType.includes('application/json')) {
+        return nativeJsonStringify(this.maskObject(nativeJsonParse(text)));
+      }
+      if (contentType && contentType.includes('application/x-www-form-urlencoded')) {
+        return this.maskFormEncoded(text);
+      }
+    } catch (error) {
+      // 선언된 형식으로 파싱되지 않는 본문은 텍스트로 마스킹
+    }
+    return this.maskText(text);
+  }
+}
+
+MaskingEngine.DEFAULT_POLICY = DEFAULT_MASKING_POLICY;
+MaskingEngine.sha256Hex = sha256Hex;
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MaskingEngine;
+} else {
+  window.MaskingEngine = MaskingEngine;
+}